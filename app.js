@@ -1,10 +1,12 @@
 import { handleOAuthRedirect, bindLoginButton, getToken, getGistId } from "./auth.js";
-import { initResizers, renderSidebar, bindEditorEvents, bindPaneFocusEvents, updateLoginIndicator, loadFile, applyReadonlyUI } from "./ui.js";
+import { initResizers, renderSidebar, bindEditorEvents, bindPaneFocusEvents, updateLoginIndicator, loadFile, applyReadonlyUI, renderSyncState } from "./ui.js";
 import { loadState, migrateWorkspace, setWorkspace, getWorkspace, saveState, inflateWorkspace, createEmptyWorkspace } from "./workspace.js";
 import { setupMarked } from "./md-editor.js";
-import { startSyncLoop, bindVisibilityEvents, bindActivityEvents, reconcileLocalAndCloud, loadWorkspaceFromGist, getSyncEnabled, isReadOnlyDevice } from "./sync.js";
+import { startSyncLoop, stopSyncLoop, bindVisibilityEvents, bindActivityEvents, reconcileLocalAndCloud, loadWorkspaceFromGist, saveWorkspaceToGist, reloadSyncBaseline, bindBackgroundSync, handleExpiredToken, getSyncEnabled, isReadOnlyDevice } from "./sync.js";
 import { logger, isMobileLogDumpActive, dumpMobileLogs, purgeMobileLogs } from "./logger.js";
 import { updateSyncToggleButton } from "./binding.js";
+import { initTabs } from "./tabs.js";
+import { onSyncStateChange } from "./sync-state.js";
 
 // Debug helpers (only used in DevTools)
 window.debug = {
@@ -48,6 +50,10 @@ async function init() {
             document.getElementById("purge-logs-btn").onclick = purgeMobileLogs;
         }
 
+        // Status badge and sync toggle follow the sync state machine
+        onSyncStateChange(renderSyncState);
+        onSyncStateChange(updateSyncToggleButton);
+
         // 1. Markdown renderer must be ready before any preview happens
         logger.debug("md-editor", "setupMarked()");
         setupMarked();
@@ -58,11 +64,43 @@ async function init() {
             await handleOAuthRedirect();
         }
 
+        // ------------------------------------------------------------
+        // 2.5 Agree with other open tabs which one runs sync.
+        // Only the owner reconciles and runs the sync loop; the others
+        // pick up its changes and take over if it closes.
+        // ------------------------------------------------------------
+        logger.debug("app: init()", "Running tabs.initTabs()");
+        await initTabs({
+            onBecomeOwner: () => {
+                reloadSyncBaseline();
+                if (getSyncEnabled()) startSyncLoop();
+            },
+            onLoseOwner: () => stopSyncLoop(),
+            onSaveRequest: async () => {
+                try {
+                    await saveWorkspaceToGist();
+                } catch (err) {
+                    if (err.message === "TOKEN_INVALID") {
+                        handleExpiredToken();
+                        return;
+                    }
+                    logger.error("app: onSaveRequest", "Save requested by another tab failed", err);
+                }
+            }
+        });
+
+        // ------------------------------------------------------------
+        // 2.6 Service worker for saves queued while offline; takes over
+        // the result of any that went out while the app was closed
+        // ------------------------------------------------------------
+        logger.debug("app: init()", "Running sync.bindBackgroundSync()");
+        await bindBackgroundSync();
+
         // ------------------------------------------------------------
         // 3. Load LOCAL workspace (but do NOT create or save anything)
         // ------------------------------------------------------------
         logger.debug("app: init()", "Running workspace.loadState()");
-        let local = loadState();   // null or valid array
+        let local = await loadState();   // null or valid array
         let workspace = null;
 
         if (local && Array.isArray(local) && local.length > 0) {
@@ -111,7 +149,7 @@ async function init() {
         logger.debug("app: init()", "Setting workspace into memory");
         setWorkspace(migrated);
 
-        logger.debug("app: init()", "Saving workspace to localStorage");
+        logger.debug("app: init()", "Saving workspace to IndexedDB");
         saveState(migrated);
 
         // ------------------------------------------------------------
@@ -38,6 +38,7 @@
 import { updateLoginIndicator, showNotification } from "./ui.js";
 import { runSyncCheck, stopSyncLoop } from "./sync.js";
 import { deviceId } from "./device.js";
+import { scopedKey } from "./workspaces.js";
 import { logger, getCallerName } from "./logger.js";
 
 logger.debug("auth","auth.js loaded from:", import.meta.url);
@@ -76,8 +77,8 @@ export function clearToken() {
 export function clearGistId() {
     logger.debug("auth", "Running clearGistId()");
     try {
-        localStorage.removeItem("gist_id");
-        localStorage.removeItem(`gist_id_${String(deviceId)}`);
+        localStorage.removeItem(scopedKey("gist_id"));
+        localStorage.removeItem(scopedKey(`gist_id_${String(deviceId)}`));
     } catch (error) {
         logger.error("auth: clearGistId", error);
     }
@@ -93,14 +94,14 @@ export function getGistId() {
 
     try {    
         // Preferred new key
-        const scoped = localStorage.getItem("gist_id_" + String(deviceId));
+        const scoped = localStorage.getItem(scopedKey("gist_id_" + String(deviceId)));
         if (scoped && scoped !== "undefined" && scoped !== "null") {
             logger.debug("auth: getGistId", "Preferred new key found: ", scoped);
             return scoped;
         }
 
         // Legacy fallback
-        const legacy = localStorage.getItem("gist_id");
+        const legacy = localStorage.getItem(scopedKey("gist_id"));
         if (legacy && legacy !== "undefined" && legacy !== "null") {
             logger.debug("auth: getGistId", "Legacy fallback key found: ", legacy);
             return legacy;
@@ -120,10 +121,10 @@ export function setGistId(id) {
 
     try {
         // Preferred new key (device-scoped)
-        localStorage.setItem("gist_id_" + String(deviceId), id);
+        localStorage.setItem(scopedKey("gist_id_" + String(deviceId)), id);
 
         // Legacy key for backward compatibility
-        localStorage.setItem("gist_id", id);
+        localStorage.setItem(scopedKey("gist_id"), id);
 
     } catch (error) {
         logger.error("auth: setGistId", "Failed to store gist id", { id, error });
@@ -0,0 +1,157 @@
+// background-sync.js
+// Page side of the service worker save queue (see sw.js).
+//
+// sync.js hands a gist save that failed for lack of network to
+// queueBackgroundSave(); the worker sends it when connectivity returns,
+// even if this tab is gone by then. Finished records stay in the queue
+// until a page for that workspace takes them with takeSettledSave() and
+// records the new cloud baseline.
+//
+// Everything here degrades to "no background sync": without service
+// worker support saves simply aren't queued and sync behaves as before.
+
+import { logger, getCallerName } from "./logger.js";
+
+logger.debug("background-sync", "background-sync.js loaded from:", import.meta.url);
+
+// Shared with sw.js
+const QUEUE_DB = "kb-sync-queue";
+const QUEUE_STORE = "saves";
+const SYNC_TAG = "kb-save";
+const STATUS_CHANNEL = "kb-sw-status";
+
+let registration = null;
+let queuePromise = null;
+let getCredentials = () => null;
+
+// ------------------------------------------------------------
+// Register the worker and listen to its status channel.
+// onStatus receives { type, workspaceId, error } (see sw.js).
+// credentials() → { workspaceId, token } for this page's workspace, sent
+// with a flush request so the token needn't be stored in the queue.
+// ------------------------------------------------------------
+export async function initBackgroundSync({ onStatus = () => {}, credentials = () => null } = {}) {
+    logger.debug("background-sync", () => "Running initBackgroundSync(). CALLED BY: " + getCallerName("initBackgroundSync"));
+
+    if (!("serviceWorker" in navigator) || !window.indexedDB) {
+        logger.info("background-sync", "Service workers unavailable — saves are not queued while offline");
+        return false;
+    }
+
+    try {
+        registration = await navigator.serviceWorker.register("./sw.js");
+    } catch (err) {
+        logger.warn("background-sync", "Service worker registration failed", err);
+        return false;
+    }
+
+    getCredentials = credentials;
+
+    if (window.BroadcastChannel) {
+        new BroadcastChannel(STATUS_CHANNEL).onmessage = (event) => onStatus(event.data);
+    }
+
+    // Without Background Sync, this page asks the worker itself
+    window.addEventListener("online", requestFlush);
+
+    logger.info("background-sync", `Service worker registered (Background Sync ${registration.sync ? "available" : "unavailable"})`);
+    return true;
+}
+
+// ------------------------------------------------------------
+// Queue a save. Replaces any save already queued for the workspace —
+// a later delta always contains the earlier one. The token is stored only
+// if Background Sync may flush it with no page open.
+//
+//   save { workspaceId, gistId, token, description, changes, hash,
+//          fileHashes, flat, expectedCloudHash }
+// ------------------------------------------------------------
+export async function queueBackgroundSave(save) {
+    if (!registration) return false;
+
+    const record = { ...save, status: "pending", queuedAt: new Date().toISOString() };
+    await queuePut({ ...record, token: registration.sync ? save.token : null });
+    logger.info("background-sync", `Save queued for workspace ${save.workspaceId}`);
+
+    if (registration.sync) {
+        try {
+            await registration.sync.register(SYNC_TAG);
+        } catch (err) {
+            logger.warn("background-sync", "Background Sync registration refused — flushing when this page is back online", err);
+            await queuePut({ ...record, token: null });
+        }
+    }
+    return true;
+}
+
+// A direct save supersedes anything still queued
+export async function dropQueuedSave(workspaceId) {
+    if (!registration) return;
+    await queueDelete(workspaceId);
+}
+
+// The settled record for a workspace ("done", "conflict", "auth-expired"),
+// removed from the queue. Unsent edits are still in the local workspace,
+// so a record that didn't go out needs no retry from here.
+export async function takeSettledSave(workspaceId) {
+    if (!registration) return null;
+
+    const record = await queueGet(workspaceId);
+    if (!record || record.status === "pending") return null;
+
+    await queueDelete(workspaceId);
+    return record;
+}
+
+function requestFlush() {
+    navigator.serviceWorker.controller?.postMessage({ type: "flush", credentials: getCredentials() });
+}
+
+// ------------------------------------------------------------
+// Queue storage (same layout as sw.js)
+// ------------------------------------------------------------
+function openQueue() {
+    if (queuePromise) return queuePromise;
+
+    queuePromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(QUEUE_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(QUEUE_STORE, { keyPath: "workspaceId" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            logger.error("background-sync", "Failed to open the save queue", req.error);
+            queuePromise = null;
+            reject(req.error);
+        };
+    });
+
+    return queuePromise;
+}
+
+async function queueGet(workspaceId) {
+    const db = await openQueue();
+    return new Promise((resolve, reject) => {
+        const req = db.transaction(QUEUE_STORE, "readonly").objectStore(QUEUE_STORE).get(workspaceId);
+        req.onsuccess = () => resolve(req.result ?? null);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function queuePut(record) {
+    const db = await openQueue();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(QUEUE_STORE, "readwrite");
+        tx.objectStore(QUEUE_STORE).put(record);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function queueDelete(workspaceId) {
+    const db = await openQueue();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(QUEUE_STORE, "readwrite");
+        tx.objectStore(QUEUE_STORE).delete(workspaceId);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
@@ -1,8 +1,13 @@
 import { applyMarkdownFormat, formatTable } from "./md-editor.js";
-import { applyBgColorFormat, applyClearFormatting, applyColorFormat, toggleBgColorPopup, toggleColorPopup, toggleTablePopup, zoomEditor, zoomPreview, resetZoom, updatePreview, exportAll, deleteFile, addFolder, testFunctionality, copyRenderedPuml, importWorkspace, activeFileId, collapseAllFolders } from "./ui.js";
-import { markLocalEdit, saveWorkspaceToGist, loadWorkspaceFromGist, showRestoreDialog, toggleSyncLoop, syncIntervalId, setSyncEnabled, getSyncEnabled, handleExpiredToken, isReadOnlyDevice, applyCloudWorkspace } from "./sync.js";
+import { applyBgColorFormat, applyClearFormatting, applyColorFormat, toggleBgColorPopup, toggleColorPopup, toggleTablePopup, zoomEditor, zoomPreview, resetZoom, updatePreview, exportAll, deleteFile, addFolder, testFunctionality, copyRenderedPuml, importWorkspace, activeFileId, collapseAllFolders, renderSidebar, NEW_WORKSPACE_OPTION } from "./ui.js";
+import { markLocalEdit, saveWorkspaceToGist, loadWorkspaceFromGist, showRestoreDialog, showStorageProviderDialog, showWorkspacePicker, showEncryptionDialog, switchWorkspace, newLocalWorkspace, toggleSyncLoop, setSyncEnabled, getSyncEnabled, handleExpiredToken, isReadOnlyDevice, applyCloudWorkspace } from "./sync.js";
 import { logger, getCallerName } from "./logger.js";
 import { clearToken } from "./auth.js";
+import { isLoopRunning } from "./sync-state.js";
+import { showSyncJournalPanel } from "./sync-journal.js";
+import { showRecoveryPanel } from "./snapshots.js";
+import { showIntegrityPanel } from "./integrity.js";
+import { showTrashPanel } from "./trash.js";
 
 logger.debug("binding","binding.js loaded from:", import.meta.url);
 
@@ -320,6 +325,13 @@ export function bindToolbarEvents(textarea) {
 
     document.getElementById("add-folder-btn")?.addEventListener("click", () => addFolder());
     document.getElementById("restore-btn")?.addEventListener("click", () => showRestoreDialog());
+    document.getElementById("storage-btn")?.addEventListener("click", () => showStorageProviderDialog());
+    document.getElementById("workspaces-btn")?.addEventListener("click", () => showWorkspacePicker());
+    document.getElementById("journal-btn")?.addEventListener("click", () => showSyncJournalPanel());
+    document.getElementById("encryption-btn")?.addEventListener("click", () => showEncryptionDialog());
+    document.getElementById("recovery-btn")?.addEventListener("click", () => showRecoveryPanel());
+    document.getElementById("integrity-btn")?.addEventListener("click", () => showIntegrityPanel());
+    document.getElementById("trash-btn")?.addEventListener("click", () => showTrashPanel());
 
     document.getElementById("importAll-btn")?.addEventListener("click", () => {
         const input = document.getElementById("workspace-import-file");
@@ -329,10 +341,9 @@ export function bindToolbarEvents(textarea) {
     document.getElementById("delete-btn")?.addEventListener("click", () => deleteFile(activeFileId));
     document.getElementById("test-btn")?.addEventListener("click", () => testFunctionality());
     document.getElementById("sync-toggle-btn")?.addEventListener("click", () => {
-        const turningOn = (syncIntervalId === null);
+        const turningOn = !isLoopRunning();
         toggleSyncLoop();          // start or stop the loop
-        setSyncEnabled(turningOn); // persist the new state
-        updateSyncToggleButton();  // update UI
+        setSyncEnabled(turningOn); // persist the new state (the button follows sync-state events)
     });
 
     document.getElementById("workspace-import-file")?.addEventListener("change", async (event) => {
@@ -382,6 +393,7 @@ export function bindToolbarEvents(textarea) {
     });
 }
 
+// Subscribed to sync-state.js events in app.js
 export function updateSyncToggleButton() {
     const btn = document.getElementById("sync-toggle-btn");
     if (!btn) return;
@@ -397,7 +409,7 @@ export function updateSyncToggleButton() {
     }
 
     // Sync enabled → reflect actual loop state
-    const running = syncIntervalId !== null;
+    const running = isLoopRunning();
 
     btn.textContent = running ? "Stop Sync" : "Start Sync";
     btn.classList.toggle("sync-running", running);
@@ -460,6 +472,17 @@ export function hidePopupsIfClickedOutside(e) {
 
 export function bindSidebarEvents() {
     logger.debug("binding", () => "Running bindSidebarEvents(). CALLED BY: " + getCallerName("bindSidebarEvents"));
+
+    document.getElementById("workspace-switcher")?.addEventListener("change", async (e) => {
+        const id = e.target.value;
+        if (id === NEW_WORKSPACE_OPTION) {
+            await newLocalWorkspace();
+        } else {
+            await switchWorkspace(id);
+        }
+        renderSidebar();   // puts the selection back if nothing changed
+    });
+
     const closeBtn = document.getElementById("close-sidebar-btn");
     if (!closeBtn) return;
 
@@ -0,0 +1,314 @@
+// conflict-dialog.js
+// Per-file review of a three-way merge before it is applied.
+//
+// Lists every file that differs between this device ("mine") and the cloud
+// ("theirs") — edits, adds, deletes and renames — with a side-by-side diff and
+// a choice of keep mine / take theirs / edit merged for each one.
+
+import { logger, getCallerName } from "./logger.js";
+import { diffLines, flatKey, CONFLICT_START, CONFLICT_END } from "./merge.js";
+import { decodeName } from "./workspace.js";
+import { showModal, hideModal, escapeHtml } from "./ui.js";
+
+logger.debug("conflict-dialog", "conflict-dialog.js loaded from:", import.meta.url);
+
+// Unchanged runs longer than this are collapsed in the diff view
+const DIFF_CONTEXT_LINES = 3;
+
+export function displayPath(path) {
+    return path.split("___").map(decodeName).join(" / ");
+}
+
+function hasConflictMarkers(text) {
+    return (text ?? "").split("\n").some(line => line === CONFLICT_START || line === CONFLICT_END);
+}
+
+// ------------------------------------------------------------
+// Describe what happened to a file, using the base to tell who did what
+// ------------------------------------------------------------
+function describeChange({ base, local, cloud }, isConflict) {
+    if (isConflict) {
+        if (!local) return "conflict: deleted here, edited in cloud";
+        if (!cloud) return "conflict: deleted in cloud, edited here";
+        if (!base) return "conflict: added on both sides";
+        return "conflict: edited on both sides";
+    }
+
+    if (!base) return local ? "added here" : "added in cloud";
+    if (!local) return "deleted here";
+    if (!cloud) return "deleted in cloud";
+
+    const changes = [];
+    const localRenamed = local.path !== base.path;
+    const cloudRenamed = cloud.path !== base.path;
+    const localEdited = local.content !== base.content;
+    const cloudEdited = cloud.content !== base.content;
+
+    if (localRenamed) changes.push("renamed here");
+    if (cloudRenamed) changes.push("renamed in cloud");
+    if (localEdited && cloudEdited) changes.push("edited on both sides");
+    else if (localEdited) changes.push("edited here");
+    else if (cloudEdited) changes.push("edited in cloud");
+
+    return changes.join(", ") || "changed";
+}
+
+// ------------------------------------------------------------
+// Side-by-side diff table: mine on the left, theirs on the right
+// ------------------------------------------------------------
+export function buildDiffTable(mineText, theirsText, { left = "Mine (this device)", right = "Theirs (cloud)" } = {}) {
+    const rows = [];
+    const ops = diffLines(mineText ?? "", theirsText ?? "");
+
+    for (let i = 0; i < ops.length; i++) {
+        const op = ops[i];
+
+        if (op.type === "equal") {
+            const lines = op.lines;
+            const isFirst = i === 0;
+            const isLast = i === ops.length - 1;
+            const keepHead = isFirst ? 0 : DIFF_CONTEXT_LINES;
+            const keepTail = isLast ? 0 : DIFF_CONTEXT_LINES;
+
+            if (lines.length > keepHead + keepTail + 1) {
+                lines.slice(0, keepHead).forEach(l => rows.push(["", l, l]));
+                rows.push(["skip", `${lines.length - keepHead - keepTail} unchanged lines`]);
+                lines.slice(lines.length - keepTail).forEach(l => rows.push(["", l, l]));
+            } else {
+                lines.forEach(l => rows.push(["", l, l]));
+            }
+            continue;
+        }
+
+        // Pair a delete with the insert that follows it so edits line up
+        const deleted = op.type === "delete" ? op.lines : [];
+        let inserted = op.type === "insert" ? op.lines : [];
+        if (op.type === "delete" && ops[i + 1]?.type === "insert") {
+            inserted = ops[i + 1].lines;
+            i++;
+        }
+
+        for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+            rows.push(["change", deleted[j], inserted[j]]);
+        }
+    }
+
+    const cell = (text, cls) => text === undefined
+        ? `<td></td>`
+        : `<td class="${cls}">${escapeHtml(text) || "&nbsp;"}</td>`;
+
+    const body = rows.map(([kind, left, right]) => {
+        if (kind === "skip") return `<tr><td colspan="2" class="diff-skip">… ${escapeHtml(left)} …</td></tr>`;
+        if (kind === "change") return `<tr>${cell(left, "diff-del")}${cell(right, "diff-ins")}</tr>`;
+        return `<tr>${cell(left, "")}${cell(right, "")}</tr>`;
+    }).join("");
+
+    return `
+        <table class="diff-table">
+            <thead><tr><th>${escapeHtml(left)}</th><th>${escapeHtml(right)}</th></tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+}
+
+function buildSideNote(entry, label) {
+    return entry
+        ? `<div><strong>${label}:</strong> ${escapeHtml(displayPath(entry.path))}</div>`
+        : `<div><strong>${label}:</strong> <em>deleted</em></div>`;
+}
+
+// ------------------------------------------------------------
+// One row per differing file
+// ------------------------------------------------------------
+function buildFileItem(item, index) {
+    const el = document.createElement("details");
+    el.className = "conflict-file";
+    el.open = item.isConflict;
+
+    const name = `conflict-choice-${index}`;
+    const option = (value, label, disabled = false) => `
+        <label>
+            <input type="radio" name="${name}" value="${value}"
+                ${item.choice === value ? "checked" : ""} ${disabled ? "disabled" : ""}>
+            ${label}
+        </label>
+    `;
+
+    const path = (item.local || item.cloud).path;
+
+    el.innerHTML = `
+        <summary class="conflict-file-header">
+            <span class="conflict-file-path">${escapeHtml(displayPath(path))}</span>
+            <span class="conflict-status ${item.isConflict ? "is-conflict" : ""}">${escapeHtml(item.status)}</span>
+        </summary>
+        <div class="conflict-file-header">
+            ${option("mine", item.local ? "Keep mine" : "Keep deleted")}
+            ${option("theirs", item.cloud ? "Take theirs" : "Delete")}
+            ${option("merged", "Edit merged", item.merged === null)}
+        </div>
+        <div class="conflict-file-error hidden"></div>
+        <div class="conflict-file-paths"></div>
+        <div class="conflict-file-diff"></div>
+        <textarea class="hidden" spellcheck="false"></textarea>
+    `;
+
+    const textarea = el.querySelector("textarea");
+    textarea.value = item.merged?.content ?? "";
+    textarea.addEventListener("input", () => { item.editedContent = textarea.value; });
+
+    const syncEditor = () => textarea.classList.toggle("hidden", item.choice !== "merged");
+
+    el.querySelectorAll(`input[name="${name}"]`).forEach(radio => {
+        radio.addEventListener("change", () => {
+            item.choice = radio.value;
+            logger.debugSyncing("conflict-dialog", `${path} → ${item.choice}`);
+            syncEditor();
+        });
+    });
+
+    // Diffs are built on first open — a big workspace can have hundreds of entries
+    const renderDiff = () => {
+        if (el.dataset.rendered) return;
+        el.dataset.rendered = "1";
+
+        const renamed = item.local && item.cloud && item.local.path !== item.cloud.path;
+        el.querySelector(".conflict-file-paths").innerHTML = renamed || !item.local || !item.cloud
+            ? buildSideNote(item.local, "Mine") + buildSideNote(item.cloud, "Theirs")
+            : "";
+        el.querySelector(".conflict-file-diff").innerHTML =
+            buildDiffTable(item.local?.content, item.cloud?.content);
+    };
+
+    el.addEventListener("toggle", () => { if (el.open) renderDiff(); });
+    if (el.open) renderDiff();
+    syncEditor();
+
+    item.element = el;
+    return el;
+}
+
+// ------------------------------------------------------------
+// Show the review dialog for a mergeFlat() result.
+//
+// Resolves with the final flat list (everything that merged cleanly plus
+// the user's choice per file), or null if the user cancels.
+// ------------------------------------------------------------
+export function showConflictDialog(result) {
+    logger.debugSyncing("conflict-dialog", () => "Running showConflictDialog(). CALLED BY: " + getCallerName("showConflictDialog"));
+
+    const autoMerged = new Map(result.flat.map(e => [flatKey(e), e]));
+    const conflicts = new Map(result.conflicts.map(c => [c.key, c]));
+
+    // Files that differ between mine and theirs (folders follow their files)
+    const items = result.entries
+        .filter(e => (e.local || e.cloud) && (e.local || e.cloud).content !== null)
+        .filter(e => e.local?.path !== e.cloud?.path || e.local?.content !== e.cloud?.content)
+        .map(e => {
+            const conflict = conflicts.get(e.key) || null;
+            const auto = autoMerged.get(e.key) || null;
+            const merged = conflict
+                ? { ...(conflict.local || conflict.cloud), id: conflict.id, path: conflict.path, content: conflict.merged }
+                : auto;
+
+            // Default to what the automatic merge would have done
+            let choice = "merged";
+            if (!merged) choice = e.local ? "theirs" : "mine";
+
+            return {
+                ...e,
+                isConflict: !!conflict,
+                status: describeChange(e, !!conflict),
+                merged,
+                choice,
+                editedContent: null,
+                element: null
+            };
+        })
+        // Conflicts first, then by path
+        .sort((a, b) => (b.isConflict - a.isConflict) ||
+            (a.local || a.cloud).path.localeCompare((b.local || b.cloud).path));
+
+    logger.debugSyncing("conflict-dialog", `${items.length} differing file(s), ${conflicts.size} conflict(s)`);
+
+    return new Promise(resolve => {
+        const body = document.createElement("div");
+
+        const intro = document.createElement("p");
+        intro.textContent = items.length === 0
+            ? "No files differ — only folders changed."
+            : `${items.length} file(s) differ between this device and the cloud` +
+              (conflicts.size ? `, ${conflicts.size} need a decision.` : ".");
+        body.appendChild(intro);
+
+        items.forEach((item, i) => body.appendChild(buildFileItem(item, i)));
+
+        const apply = () => {
+            const keys = new Set(items.map(i => i.key));
+            const final = result.flat.filter(e => !keys.has(flatKey(e)));
+            let invalid = 0;
+
+            for (const item of items) {
+                const errorEl = item.element.querySelector(".conflict-file-error");
+                errorEl.classList.add("hidden");
+
+                if (item.choice === "mine") {
+                    if (item.local) final.push(item.local);
+                    continue;
+                }
+
+                if (item.choice === "theirs") {
+                    if (item.cloud) final.push(item.cloud);
+                    continue;
+                }
+
+                const content = item.editedContent ?? item.merged.content;
+                if (hasConflictMarkers(content)) {
+                    errorEl.textContent = "Remove the conflict markers (<<<<<<< / >>>>>>>) before applying.";
+                    errorEl.classList.remove("hidden");
+                    item.element.open = true;
+                    invalid++;
+                    continue;
+                }
+
+                final.push({ ...item.merged, content });
+            }
+
+            if (invalid > 0) {
+                logger.warn("conflict-dialog", `${invalid} file(s) still contain conflict markers`);
+                return;
+            }
+
+            logger.info("conflict-dialog", `Applying reviewed merge (${final.length} entries)`);
+            hideModal();
+            resolve(final);
+        };
+
+        const cancel = () => {
+            logger.info("conflict-dialog", "Merge review cancelled");
+            hideModal();
+            resolve(null);
+        };
+
+        showModal({
+            title: "Review cloud changes",
+            body,
+            wide: true,
+            onClose: () => resolve(null),
+            actions: [
+                { label: "Cancel", action: cancel },
+                { label: "Keep all mine", action: () => { setAll(items, "mine"); } },
+                { label: "Take all theirs", action: () => { setAll(items, "theirs"); } },
+                { label: "Apply", primary: true, action: apply }
+            ]
+        });
+    });
+}
+
+function setAll(items, choice) {
+    for (const item of items) {
+        item.choice = choice;
+        const radio = item.element.querySelector(`input[value="${choice}"]`);
+        if (radio) radio.checked = true;
+        item.element.querySelector("textarea").classList.add("hidden");
+    }
+}
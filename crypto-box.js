@@ -0,0 +1,232 @@
+// crypto-box.js
+// Optional passphrase encryption of page contents (WebCrypto).
+//
+// Keys are derived from the passphrase with PBKDF2-SHA256 and a random
+// salt; pages are encrypted with AES-GCM and a fresh IV each time:
+//
+//   kbenc:v1:<base64 iv>:<base64 ciphertext>
+//
+// The parameters live in __workspace.json as `encryption`:
+//   { version: 1, kdf: "PBKDF2-SHA256", iterations, salt, check }
+// where `check` is a known text encrypted with the key, so a passphrase
+// can be verified before anything is decrypted with it. The salt doubles
+// as the key's id: a new passphrase always gets a new salt.
+//
+// Only page contents are encrypted. Page and folder names stay readable in
+// the manifest (sync, history and the workspace list need them). Hashes of
+// encrypted contents that go in the manifest are keyed (keyedHash), so they
+// can't be used to test guesses at a page.
+//
+// Keys are held in memory only — each page load asks for the passphrase
+// once, the first time something encrypted is read or written. The prompt
+// is a native <dialog>, so it can open on top of the history panel.
+
+import { logger, getCallerName } from "./logger.js";
+import { scopedKey } from "./workspaces.js";
+
+logger.debug("crypto-box", "crypto-box.js loaded from:", import.meta.url);
+
+export const ENCRYPTED_PREFIX = "kbenc:v1:";
+
+const SETTINGS_KEY = "kb_encryption";     // this workspace's parameters (never the key)
+const ITERATIONS = 310_000;
+const CHECK_TEXT = "bian-kb-encryption-check";
+const MAX_ATTEMPTS = 3;
+
+const keys = new Map();          // salt → CryptoKey
+const macKeys = new Map();       // salt → HMAC key for keyedHash()
+const declined = new Set();      // salts whose passphrase prompt was cancelled this session
+
+// ------------------------------------------------------------
+// base64 <-> bytes
+// ------------------------------------------------------------
+function toBase64(bytes) {
+    let binary = "";
+    for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// ------------------------------------------------------------
+// Parameters for the active workspace
+// ------------------------------------------------------------
+export function getEncryption() {
+    try {
+        return JSON.parse(localStorage.getItem(scopedKey(SETTINGS_KEY)) || "null");
+    } catch (err) {
+        logger.error("crypto-box", "Failed to parse encryption settings", err);
+        return null;
+    }
+}
+
+export function setEncryption(params) {
+    if (params) {
+        localStorage.setItem(scopedKey(SETTINGS_KEY), JSON.stringify(params));
+    } else {
+        localStorage.removeItem(scopedKey(SETTINGS_KEY));
+    }
+}
+
+// ------------------------------------------------------------
+// Keys
+// ------------------------------------------------------------
+// → { key, mac }: the AES-GCM key, and an HMAC key expanded from the same
+// PBKDF2 output with HKDF (so the passphrase is stretched only once)
+async function deriveKeys(passphrase, params) {
+    const material = await crypto.subtle.importKey(
+        "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]
+    );
+
+    const bits = await crypto.subtle.deriveBits(
+        { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(params.salt), iterations: params.iterations },
+        material,
+        256
+    );
+
+    const key = await crypto.subtle.importKey("raw", bits, { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+    const hkdf = await crypto.subtle.importKey("raw", bits, "HKDF", false, ["deriveKey"]);
+    const mac = await crypto.subtle.deriveKey(
+        { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: new TextEncoder().encode("kb-content-hash") },
+        hkdf,
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["sign"]
+    );
+
+    return { key, mac };
+}
+
+async function verifyKey(key, params) {
+    try {
+        return await decryptText(key, params.check) === CHECK_TEXT;
+    } catch (err) {
+        return false;
+    }
+}
+
+// New parameters (and key) for a passphrase
+export async function createEncryption(passphrase) {
+    const params = {
+        version: 1,
+        kdf: "PBKDF2-SHA256",
+        iterations: ITERATIONS,
+        salt: toBase64(crypto.getRandomValues(new Uint8Array(16)))
+    };
+
+    const { key, mac } = await deriveKeys(passphrase, params);
+    params.check = await encryptText(key, CHECK_TEXT);
+
+    keys.set(params.salt, key);
+    macKeys.set(params.salt, mac);
+    return params;
+}
+
+export function hasKey(params) {
+    return !!params && keys.has(params.salt);
+}
+
+// Checks a passphrase against params; caches and returns the key if it fits
+export async function tryPassphrase(passphrase, params) {
+    const { key, mac } = await deriveKeys(passphrase, params);
+    if (!await verifyKey(key, params)) return null;
+
+    keys.set(params.salt, key);
+    macKeys.set(params.salt, mac);
+    declined.delete(params.salt);
+    return key;
+}
+
+// ------------------------------------------------------------
+// The key for params — asking for the passphrase if needed.
+// Throws ENCRYPTION_LOCKED if it isn't given (and doesn't ask again for
+// the same params this session unless { force: true }).
+// ------------------------------------------------------------
+export async function unlock(params, { message = "This workspace is encrypted. Passphrase:", force = false } = {}) {
+    logger.debug("crypto-box", () => "Running unlock(). CALLED BY: " + getCallerName("unlock"));
+
+    if (keys.has(params.salt)) return keys.get(params.salt);
+    if (declined.has(params.salt) && !force) throw new Error("ENCRYPTION_LOCKED");
+
+    let question = message;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const passphrase = await askPassphrase(question);
+        if (passphrase === null) break;
+
+        const key = await tryPassphrase(passphrase, params);
+        if (key) return key;
+
+        question = "Wrong passphrase — try again:";
+    }
+
+    declined.add(params.salt);
+    throw new Error("ENCRYPTION_LOCKED");
+}
+
+// Resolves with the entered passphrase, or null if cancelled
+export function askPassphrase(message) {
+    return new Promise(resolve => {
+        const dialog = document.createElement("dialog");
+        dialog.className = "passphrase-dialog";
+        dialog.innerHTML = `
+            <form method="dialog">
+                <p class="passphrase-message"></p>
+                <input type="password" class="passphrase-input" autocomplete="off">
+                <div class="passphrase-actions">
+                    <button value="ok" class="btn-tool btn-primary">OK</button>
+                    <button value="cancel" class="btn-tool">Cancel</button>
+                </div>
+            </form>
+        `;
+        dialog.querySelector(".passphrase-message").textContent = message;
+
+        const input = dialog.querySelector("input");
+        dialog.addEventListener("close", () => {
+            const value = dialog.returnValue === "ok" ? input.value : null;
+            dialog.remove();
+            resolve(value);
+        });
+
+        document.body.appendChild(dialog);
+        dialog.showModal();
+        input.focus();
+    });
+}
+
+// ------------------------------------------------------------
+// Keyed hash (HMAC-SHA256, hex) of text, with the key for salt.
+// Throws ENCRYPTION_LOCKED if that key isn't unlocked.
+// ------------------------------------------------------------
+export async function keyedHash(salt, text) {
+    const mac = macKeys.get(salt);
+    if (!mac) throw new Error("ENCRYPTION_LOCKED");
+
+    const signature = await crypto.subtle.sign("HMAC", mac, new TextEncoder().encode(text ?? ""));
+    return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ------------------------------------------------------------
+// Text
+// ------------------------------------------------------------
+export function isEncrypted(text) {
+    return typeof text === "string" && text.startsWith(ENCRYPTED_PREFIX);
+}
+
+export async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text ?? ""));
+    return `${ENCRYPTED_PREFIX}${toBase64(iv)}:${toBase64(data)}`;
+}
+
+export async function decryptText(key, text) {
+    const [iv, data] = text.slice(ENCRYPTED_PREFIX.length).split(":");
+
+    try {
+        const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(data));
+        return new TextDecoder().decode(plain);
+    } catch (err) {
+        throw new Error("DECRYPT_FAILED");
+    }
+}
@@ -15,6 +15,28 @@ if (!deviceId || deviceId === "undefined" || deviceId === "null" || deviceId.tri
     logger.debug("device", "Using EXISTING deviceId:", String(deviceId));
 }
 
+// Short human label for this device, e.g. "Chrome on Windows"
+export function describeDevice() {
+    const ua = navigator.userAgent;
+
+    const browser =
+        /Edg\//.test(ua) ? "Edge" :
+        /Firefox\//.test(ua) ? "Firefox" :
+        /Chrome\//.test(ua) ? "Chrome" :
+        /Safari\//.test(ua) ? "Safari" :
+        "Browser";
+
+    const os =
+        /Android/.test(ua) ? "Android" :
+        /iPhone|iPad/.test(ua) ? "iOS" :
+        /Windows/.test(ua) ? "Windows" :
+        /Mac OS X/.test(ua) ? "macOS" :
+        /Linux/.test(ua) ? "Linux" :
+        "unknown OS";
+
+    return `${browser} on ${os}`;
+}
+
 export { deviceId };
 
 
@@ -0,0 +1,456 @@
+// gist-provider.js
+// GitHub Gist storage provider (the default). One secret gist per workspace;
+// gist revisions give us history for free.
+
+import { getToken, getGistId, setGistId, requireLogin } from "./auth.js";
+import { encodePath } from "./workspace.js";
+import { showNotification, setRateLimitStatus } from "./ui.js";
+import { WORKSPACE_KIND } from "./workspace-metadata.js";
+import { SCHEMA_VERSION } from "./schema.js";
+import { logger, getCallerName } from "./logger.js";
+
+logger.debug("gist-provider", "gist-provider.js loaded from:", import.meta.url);
+
+export const GIST_API = "https://api.github.com/gists";
+
+// ------------------------------------------------------------
+// GitHub API client
+//
+// Several devices polling every couple of minutes add up, so:
+//   - GETs are conditional (If-None-Match). An unchanged resource comes back
+//     as a 304, which doesn't count against the rate limit, and we answer
+//     from the copy we kept.
+//   - X-RateLimit-* headers are tracked and shown next to the sync status.
+//   - When GitHub says stop (403/429), nothing is sent until the reset time
+//     or Retry-After has passed, plus jitter so devices don't all return at
+//     once. Calls made meanwhile throw "RATE_LIMITED".
+//   - The last few requests of the quota are kept for saves; polling stops
+//     before the quota runs out. A GET a save needs passes { forSave: true }.
+// ------------------------------------------------------------
+const ETAG_CACHE_SIZE = 50;
+const RESERVED_FOR_SAVES = 20;
+const BACKOFF_BASE_MS = 60_000;
+const BACKOFF_MAX_MS = 15 * 60_000;
+
+const etagCache = new Map();   // url → { etag, body, contentType }
+
+const rateLimit = {
+    limit: null,
+    remaining: null,
+    reset: null           // epoch ms
+};
+let backoffUntil = 0;
+let backoffAttempts = 0;
+
+export function getRateLimit() {
+    return { ...rateLimit, backoffUntil };
+}
+
+export async function githubFetch(url, { forSave = false, ...options } = {}) {
+    logger.debugSyncing("gist-provider", () => "Running githubFetch(). CALLED BY: " + getCallerName("githubFetch"));
+    const token = getToken(); // your existing getter
+    const method = (options.method || "GET").toUpperCase();
+    const now = Date.now();
+
+    if (now < backoffUntil) {
+        logger.warn("gist-provider: githubFetch", `Backing off until ${formatTime(backoffUntil)} — ${method} ${url} not sent`);
+        throw new Error("RATE_LIMITED");
+    }
+
+    if (method === "GET" && !forSave && rateLimit.remaining !== null && rateLimit.remaining <= RESERVED_FOR_SAVES && now < rateLimit.reset) {
+        logger.warn("gist-provider: githubFetch", `Only ${rateLimit.remaining} requests left — keeping them for saves`);
+        throw new Error("RATE_LIMITED");
+    }
+
+    const headers = {
+        "Authorization": `token ${token}`,
+        ...options.headers
+    };
+
+    const cached = method === "GET" ? etagCache.get(url) : null;
+    if (cached) {
+        headers["If-None-Match"] = cached.etag;
+    }
+
+    const res = await fetch(url, { ...options, headers });
+
+    readRateLimit(res);
+
+    if (res.status === 401) {
+        throw new Error("TOKEN_INVALID");
+    }
+
+    if (res.status === 304 && cached) {
+        logger.debugSyncing("gist-provider: githubFetch", `304 Not Modified — using cached ${url}`);
+        backoffAttempts = 0;
+        return new Response(cached.body, {
+            status: 200,
+            headers: { "Content-Type": cached.contentType, "ETag": cached.etag }
+        });
+    }
+
+    if (isRateLimited(res)) {
+        startBackoff(res);
+        throw new Error("RATE_LIMITED");
+    }
+
+    if (!res.ok) {
+        const text = await res.text();
+        throw new Error(`GITHUB_ERROR ${res.status}: ${text}`);
+    }
+
+    backoffAttempts = 0;
+
+    const etag = res.headers.get("ETag");
+    if (method === "GET" && etag) {
+        rememberEtag(url, etag, await res.clone().text(), res.headers.get("Content-Type"));
+    }
+
+    return res;
+}
+
+function rememberEtag(url, etag, body, contentType) {
+    etagCache.delete(url);
+    etagCache.set(url, { etag, body, contentType: contentType || "application/json" });
+
+    // Map keeps insertion order → the first key is the least recently stored
+    if (etagCache.size > ETAG_CACHE_SIZE) {
+        etagCache.delete(etagCache.keys().next().value);
+    }
+}
+
+function readRateLimit(res) {
+    const remaining = res.headers.get("X-RateLimit-Remaining");
+    if (remaining === null) return;
+
+    rateLimit.limit = Number(res.headers.get("X-RateLimit-Limit"));
+    rateLimit.remaining = Number(remaining);
+    rateLimit.reset = Number(res.headers.get("X-RateLimit-Reset")) * 1000;
+
+    showRateLimit();
+}
+
+// Primary limit: 403/429 with nothing remaining. Secondary limit: Retry-After.
+function isRateLimited(res) {
+    if (res.status !== 403 && res.status !== 429) return false;
+    return res.headers.get("X-RateLimit-Remaining") === "0" || res.headers.has("Retry-After") || res.status === 429;
+}
+
+function startBackoff(res) {
+    const now = Date.now();
+    const retryAfter = Number(res.headers.get("Retry-After"));
+
+    let wait;
+    if (retryAfter > 0) {
+        wait = retryAfter * 1000;
+    } else if (rateLimit.remaining === 0 && rateLimit.reset > now) {
+        wait = rateLimit.reset - now;
+    } else {
+        wait = Math.min(BACKOFF_BASE_MS * 2 ** backoffAttempts, BACKOFF_MAX_MS);
+    }
+
+    // Up to a quarter extra, so devices that hit the limit together spread out
+    wait += Math.random() * wait * 0.25;
+
+    backoffAttempts++;
+    backoffUntil = now + wait;
+
+    logger.warn("gist-provider: startBackoff", `GitHub rate limit hit (${res.status}) — backing off until ${formatTime(backoffUntil)}`);
+    showRateLimit();
+}
+
+function showRateLimit() {
+    const now = Date.now();
+
+    if (now < backoffUntil) {
+        setRateLimitStatus("out", `Rate limited · retry ${formatTime(backoffUntil)}`,
+            "GitHub asked us to slow down — syncing pauses until then");
+        return;
+    }
+    if (rateLimit.remaining === null) return;
+
+    const low = rateLimit.remaining <= RESERVED_FOR_SAVES;
+    setRateLimitStatus(low ? "low" : "ok",
+        `API ${rateLimit.remaining}/${rateLimit.limit} · resets ${formatTime(rateLimit.reset)}`,
+        low ? "Almost out of GitHub requests — only saves are sent until the reset" : "GitHub API requests left this hour");
+}
+
+function formatTime(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// ------------------------------------------------------------
+// Complete gist file contents
+//
+// The gist API truncates file content over ~1 MB (file.truncated; raw_url
+// has all of it) and lists at most 300 files (data.truncated). This fills
+// both gaps; files missing from a truncated listing are found through the
+// __workspace.json manifest and fetched by name.
+//
+// Returns { files, complete } — complete is false if anything could not be
+// read, in which case the content must not be trusted or saved back.
+// ------------------------------------------------------------
+async function completeGistFiles(data, { revision = null, only = null } = {}) {
+    logger.debugSyncing("gist-provider", () => "Running completeGistFiles(). CALLED BY: " + getCallerName("completeGistFiles"));
+
+    const files = { ...(data?.files || {}) };
+    let complete = true;
+
+    // 1. Files whose content was cut off
+    for (const [name, file] of Object.entries(files)) {
+        if (!file || !file.truncated) continue;
+        if (only && !only.includes(name)) continue;
+
+        logger.debugSyncing("gist-provider: completeGistFiles", `Content of ${name} truncated (${file.size} bytes) — fetching raw_url`);
+        const content = await fetchRawGistFile(file.raw_url);
+
+        if (content === null) {
+            complete = false;
+            continue;
+        }
+        files[name] = { ...file, content, truncated: false };
+    }
+
+    if (only) return { files, complete };
+
+    // 2. Files left out of a truncated listing
+    const expected = expectedGistFileNames(files["__workspace.json"]?.content);
+    const missing = expected.filter(name => !(name in files));
+
+    if (data?.truncated) {
+        logger.warn("gist-provider: completeGistFiles", `Gist file listing truncated — ${missing.length} file(s) to fetch by name`);
+
+        if (expected.length === 0) {
+            // Nothing tells us which files we didn't get
+            logger.error("gist-provider: completeGistFiles", "Listing truncated and no manifest to complete it from");
+            complete = false;
+        }
+
+        const owner = data.owner?.login;
+        for (const name of missing) {
+            const url = `https://gist.githubusercontent.com/${owner}/${data.id}/raw/${revision ? revision + "/" : ""}${encodeURIComponent(name)}`;
+            const content = owner ? await fetchRawGistFile(url) : null;
+
+            if (content === null) {
+                complete = false;
+                continue;
+            }
+            files[name] = { filename: name, content };
+        }
+    } else if (missing.length > 0) {
+        // Listing is complete, so these are really gone (e.g. deleted on github.com)
+        logger.warn("gist-provider: completeGistFiles", `Manifest lists files the gist doesn't have: ${missing.join(", ")}`);
+    }
+
+    if (!complete) {
+        logger.error("gist-provider: completeGistFiles", "Gist content could not be fully loaded");
+    }
+
+    return { files, complete };
+}
+
+async function fetchRawGistFile(url) {
+    try {
+        // Raw URLs are served from gist.githubusercontent.com — no API token needed
+        const res = await fetch(url);
+        if (!res.ok) {
+            logger.error("gist-provider: fetchRawGistFile", `Raw fetch failed (${res.status}): ${url}`);
+            return null;
+        }
+        return await res.text();
+    } catch (err) {
+        logger.error("gist-provider: fetchRawGistFile", `Raw fetch failed: ${url}`, err);
+        return null;
+    }
+}
+
+// Gist filenames the manifest says should exist
+function expectedGistFileNames(manifestText) {
+    if (!manifestText) return [];
+
+    try {
+        const parsed = JSON.parse(manifestText);
+        if (parsed.fileHashes) return Object.keys(parsed.fileHashes);
+
+        // Older manifests: derive the names from the file nodes
+        return (Array.isArray(parsed.nodes) ? parsed.nodes : [])
+            .filter(n => n && n.type === "file" && n.path)
+            .map(n => parsed.layout === "id" ? n.file : encodePath(n.path));
+    } catch (err) {
+        logger.error("gist-provider: expectedGistFileNames", "Failed to parse __workspace.json", err);
+        return [];
+    }
+}
+
+// ------------------------------------------------------------
+// Workspace gists on the account
+//
+// A workspace gist's __workspace.json has kind: "bian-kb-workspace". Gists
+// saved before the marker existed are recognised by a manifest with a nodes
+// array and flagged legacy; they get the marker on their next save.
+// Manifests are read through raw_url, which doesn't use the API quota.
+// ------------------------------------------------------------
+const GISTS_PER_PAGE = 100;
+const MAX_GIST_PAGES = 10;
+
+export async function listWorkspaceGists() {
+    logger.debugSyncing("gist-provider", () => "Running listWorkspaceGists(). CALLED BY: " + getCallerName("listWorkspaceGists"));
+
+    const gists = [];
+    for (let page = 1; page <= MAX_GIST_PAGES; page++) {
+        const res = await githubFetch(`${GIST_API}?per_page=${GISTS_PER_PAGE}&page=${page}`);
+        const list = await res.json();
+        if (!Array.isArray(list)) break;
+
+        gists.push(...list);
+        if (list.length < GISTS_PER_PAGE) break;
+    }
+
+    const workspaces = [];
+    for (const gist of gists) {
+        const file = gist.files?.["__workspace.json"];
+        if (!file) continue;
+
+        const text = await fetchRawGistFile(file.raw_url);
+        if (text === null) continue;
+
+        let manifest;
+        try {
+            manifest = JSON.parse(text);
+        } catch (err) {
+            logger.warn("gist-provider: listWorkspaceGists", `Gist ${gist.id} has an unreadable __workspace.json — skipped`);
+            continue;
+        }
+
+        const marked = manifest?.kind === WORKSPACE_KIND;
+        if (!marked && !Array.isArray(manifest?.nodes)) continue;
+
+        workspaces.push({
+            id: gist.id,
+            name: manifest.name || gist.description || "Untitled workspace",
+            updatedAt: gist.updated_at,
+            pages: (manifest.nodes || []).filter(n => n && n.type === "file").length,
+            legacy: !marked
+        });
+    }
+
+    logger.debugSyncing("gist-provider: listWorkspaceGists", `${workspaces.length} workspace gist(s) among ${gists.length}`);
+    return workspaces.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+// New, empty workspace gist → its id
+export async function createWorkspaceGist(name) {
+    logger.debugSyncing("gist-provider", () => "Running createWorkspaceGist(). CALLED BY: " + getCallerName("createWorkspaceGist"));
+
+    const manifest = { version: 1, schemaVersion: SCHEMA_VERSION, kind: WORKSPACE_KIND, name, layout: "id", nodes: [] };
+
+    const res = await githubFetch(GIST_API, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+            description: workspaceDescription(name),
+            public: false,
+            files: { "__workspace.json": { content: JSON.stringify(manifest, null, 2) } }
+        })
+    });
+
+    const data = await res.json();
+    if (!data?.id) {
+        throw new Error("GITHUB_ERROR: gist created without an id");
+    }
+
+    logger.info("gist-provider: createWorkspaceGist", `Created workspace gist ${data.id} (${name})`);
+    return data.id;
+}
+
+export function workspaceDescription(name) {
+    return `BIAN Workspace: ${name}`;
+}
+
+export const gistProvider = {
+    id: "gist",
+    label: "GitHub Gist",
+
+    // Signed in is enough: without a gist, load() finds nothing and save() creates one
+    async isReady({ quiet = false } = {}) {
+        return quiet ? !!getToken() : requireLogin();
+    },
+
+    async configure() {
+        // Sign-in goes through the OAuth button; the gist is adopted or created on login
+        if (getToken()) return true;
+        showNotification("info", "Use “Sign in to cloud” to connect your GitHub account");
+        return false;
+    },
+
+    identity() {
+        const id = getGistId();
+        return { provider: "gist", id, label: id ? `Gist ${id.slice(0, 8)}` : "GitHub Gist" };
+    },
+
+    // forSave → the read a save depends on, allowed into the reserved quota
+    async load({ manifestOnly = false, forSave = false } = {}) {
+        const gistId = getGistId();
+        if (!gistId) return null;
+
+        const res = await githubFetch(`${GIST_API}/${gistId}`, { forSave });
+        const data = await res.json();
+
+        const { files, complete } = await completeGistFiles(data, {
+            only: manifestOnly ? ["__workspace.json"] : null
+        });
+
+        return {
+            id: data.id,
+            updatedAt: data.updated_at,
+            names: Object.keys(data.files || {}),
+            files,
+            complete
+        };
+    },
+
+    async save(changes, { description = "BIAN Workspace Backup" } = {}) {
+        const gistId = getGistId();
+
+        const res = await githubFetch(gistId ? `${GIST_API}/${gistId}` : GIST_API, {
+            method: gistId ? "PATCH" : "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ description, public: false, files: changes })
+        });
+
+        const data = await res.json();
+
+        if (!gistId && data.id) {
+            logger.debugSyncing("gist-provider: save", `New gist created with ID: ${data.id}`);
+            setGistId(data.id);
+        }
+
+        return { id: data.id || gistId };
+    },
+
+    async listRevisions() {
+        const gistId = getGistId();
+        if (!gistId) return [];
+
+        const res = await githubFetch(`${GIST_API}/${gistId}/commits`);
+        const data = await res.json();
+
+        return (Array.isArray(data) ? data : []).map(rev => ({
+            version: rev.version,
+            committedAt: rev.committed_at
+        }));
+    },
+
+    async getRevision(version, { manifestOnly = false } = {}) {
+        const gistId = getGistId();
+        if (!gistId) return null;
+
+        const res = await githubFetch(`${GIST_API}/${gistId}/${version}`);
+        const data = await res.json();
+
+        return completeGistFiles(data, {
+            revision: version,
+            only: manifestOnly ? ["__workspace.json"] : null
+        });
+    }
+};
@@ -0,0 +1,485 @@
+// history-panel.js
+// Browse cloud revisions before restoring one.
+//
+// Lists revisions with their date, the device that saved them and the files
+// they changed; selecting one previews how it differs from the current
+// workspace. Restoring is its own button — selecting never restores.
+//
+// The panel only renders: the caller supplies the revision list and loaders,
+// so nothing here knows which storage provider is in use.
+
+import { logger, getCallerName } from "./logger.js";
+import { encodePath, flatSubtree } from "./workspace.js";
+import { deviceId } from "./device.js";
+import { displayPath, buildDiffTable } from "./conflict-dialog.js";
+import { showModal, hideModal, escapeHtml } from "./ui.js";
+
+logger.debug("history-panel", "history-panel.js loaded from:", import.meta.url);
+
+// Revision summaries need a fetch each, so they load a page at a time
+const PAGE_SIZE = 15;
+const MAX_LISTED_FILES = 5;
+
+function formatWhen(iso) {
+    return iso ? new Date(iso).toLocaleString() : "unknown date";
+}
+
+// Manifest paths are raw names joined with ___
+function manifestPath(path) {
+    return path.split("___").join(" / ");
+}
+
+// gist filename → { id, path } for the files a manifest lists
+function fileIndex(manifest) {
+    const index = new Map();
+    for (const node of manifest?.nodes || []) {
+        if (!node || node.type !== "file" || !node.path) continue;
+        const name = manifest.layout === "id" ? node.file : encodePath(node.path);
+        index.set(name, { id: node.id, path: manifestPath(node.path) });
+    }
+    return index;
+}
+
+// ------------------------------------------------------------
+// What a revision changed, from its manifest and the one before it.
+// Returns [{ path, kind }], or null if the manifests can't tell
+// (saved before per-file hashes existed).
+// ------------------------------------------------------------
+function summarizeRevision(manifest, older) {
+    if (!manifest?.fileHashes || !older?.fileHashes) return null;
+
+    const newIndex = fileIndex(manifest);
+    const oldIndex = fileIndex(older);
+    const changes = [];
+
+    for (const [name, hash] of Object.entries(manifest.fileHashes)) {
+        const path = newIndex.get(name)?.path || name;
+        if (!(name in older.fileHashes)) changes.push({ path, kind: "added" });
+        else if (older.fileHashes[name] !== hash) changes.push({ path, kind: "edited" });
+    }
+
+    for (const name of Object.keys(older.fileHashes)) {
+        if (!(name in manifest.fileHashes)) {
+            changes.push({ path: oldIndex.get(name)?.path || name, kind: "deleted" });
+        }
+    }
+
+    // Renames and moves only show in the manifest (id layout)
+    const oldPaths = new Map([...oldIndex.values()].map(f => [f.id, f.path]));
+    for (const file of newIndex.values()) {
+        const before = oldPaths.get(file.id);
+        if (before && before !== file.path) {
+            changes.push({ path: `${before} → ${file.path}`, kind: "renamed" });
+        }
+    }
+
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function savedBy(manifest) {
+    const lastSave = manifest?.lastSave;
+    if (!lastSave) return "unknown device";
+    return lastSave.deviceId === deviceId ? "this device" : (lastSave.device || "another device");
+}
+
+// ------------------------------------------------------------
+// How a revision differs from the current workspace (flat lists)
+// ------------------------------------------------------------
+export function compareWithCurrent(revisionFlat, currentFlat) {
+    const files = list => list.filter(e => e.content !== null);
+    const key = e => e.id || e.path;
+
+    const current = new Map(files(currentFlat).map(e => [key(e), e]));
+    const items = [];
+
+    for (const entry of files(revisionFlat)) {
+        const now = current.get(key(entry));
+        current.delete(key(entry));
+
+        if (!now) {
+            items.push({ revision: entry, current: null, status: "not in the current workspace" });
+        } else if (now.content !== entry.content || now.path !== entry.path) {
+            const status = now.content !== entry.content
+                ? (now.path !== entry.path ? "edited and moved since" : "edited since")
+                : "moved since";
+            items.push({ revision: entry, current: now, status });
+        }
+    }
+
+    for (const entry of current.values()) {
+        items.push({ revision: null, current: entry, status: "added since" });
+    }
+
+    return items.sort((a, b) =>
+        (a.revision || a.current).path.localeCompare((b.revision || b.current).path));
+}
+
+export function buildPreviewItem(item, label) {
+    const el = document.createElement("details");
+    el.className = "conflict-file";
+
+    const path = displayPath((item.current || item.revision).path);
+    el.innerHTML = `
+        <summary class="conflict-file-header">
+            <span class="conflict-file-path">${escapeHtml(path)}</span>
+            <span class="conflict-status">${escapeHtml(item.status)}</span>
+        </summary>
+        <div class="conflict-file-diff"></div>
+    `;
+
+    // Built on first open, like the conflict dialog
+    el.addEventListener("toggle", () => {
+        if (!el.open || el.dataset.rendered) return;
+        el.dataset.rendered = "1";
+        el.querySelector(".conflict-file-diff").innerHTML = buildDiffTable(
+            item.current?.content, item.revision?.content,
+            { left: "Current workspace", right: label }
+        );
+    });
+
+    return el;
+}
+
+// ------------------------------------------------------------
+// Show the panel.
+//
+//   revisions     [{ version, committedAt }], newest first
+//   current       flat list of the current workspace
+//   loadManifest  version → Promise<manifest | null>
+//   loadRevision  version → Promise<flat | null>
+//
+// Resolves with the version to restore, or null if closed without one.
+// ------------------------------------------------------------
+export function showHistoryPanel({ revisions, current, loadManifest, loadRevision }) {
+    logger.debugSyncing("history-panel", () => "Running showHistoryPanel(). CALLED BY: " + getCallerName("showHistoryPanel"));
+
+    return new Promise(resolve => {
+        let selected = null;
+        let shown = 0;
+        let open = true;
+
+        const body = document.createElement("div");
+        body.className = "history-layout";
+        body.innerHTML = `
+            <div class="history-list">
+                <ul></ul>
+                <button class="btn-tool history-more hidden">Show older versions</button>
+            </div>
+            <div class="history-preview"><p class="history-hint">Select a version to see how it differs from your workspace.</p></div>
+        `;
+
+        const listEl = body.querySelector("ul");
+        const moreBtn = body.querySelector(".history-more");
+        const previewEl = body.querySelector(".history-preview");
+
+        const rows = revisions.map((rev, i) => {
+            const li = document.createElement("li");
+            li.className = "history-row";
+            li.innerHTML = `
+                <div class="history-row-when">${escapeHtml(formatWhen(rev.committedAt))}${i === 0 ? " <em>(latest)</em>" : ""}</div>
+                <div class="history-row-meta">Loading details…</div>
+            `;
+            li.addEventListener("click", () => select(rev, li));
+            return li;
+        });
+
+        // Summaries load one at a time — each is a request against the rate limit
+        const loadSummaries = async (from, to) => {
+            for (let i = from; i < to && open; i++) {
+                const meta = rows[i].querySelector(".history-row-meta");
+                try {
+                    const manifest = await loadManifest(revisions[i].version);
+                    const older = revisions[i + 1] ? await loadManifest(revisions[i + 1].version) : null;
+                    const changes = revisions[i + 1] ? summarizeRevision(manifest, older) : null;
+
+                    let text = escapeHtml(savedBy(manifest));
+                    if (!revisions[i + 1]) {
+                        text += " · oldest version";
+                    } else if (changes === null) {
+                        text += " · changed files unknown";
+                    } else {
+                        text += ` · ${changes.length} file(s) changed`;
+                        const listed = changes.slice(0, MAX_LISTED_FILES)
+                            .map(c => `<li>${escapeHtml(c.kind)}: ${escapeHtml(c.path)}</li>`).join("");
+                        const more = changes.length > MAX_LISTED_FILES
+                            ? `<li>…and ${changes.length - MAX_LISTED_FILES} more</li>` : "";
+                        text += `<ul class="history-row-files">${listed}${more}</ul>`;
+                    }
+                    meta.innerHTML = text;
+                } catch (err) {
+                    logger.error("history-panel", `Failed to load details for ${revisions[i].version}`, err);
+                    meta.textContent = "Details unavailable";
+                }
+            }
+        };
+
+        const showMore = () => {
+            const from = shown;
+            shown = Math.min(shown + PAGE_SIZE, revisions.length);
+            rows.slice(from, shown).forEach(li => listEl.appendChild(li));
+            moreBtn.classList.toggle("hidden", shown >= revisions.length);
+            loadSummaries(from, shown);
+        };
+
+        const select = async (rev, li) => {
+            selected = rev.version;
+            rows.forEach(r => r.classList.toggle("selected", r === li));
+            restoreBtn().disabled = true;
+            previewEl.innerHTML = `<p class="history-hint">Loading version…</p>`;
+
+            let flat;
+            try {
+                flat = await loadRevision(rev.version);
+            } catch (err) {
+                logger.error("history-panel", `Failed to load revision ${rev.version}`, err);
+                flat = null;
+            }
+            if (selected !== rev.version) return;   // another row was clicked meanwhile
+
+            if (!flat) {
+                previewEl.innerHTML = `<p class="history-hint">This version could not be fully loaded, so it can't be restored.</p>`;
+                return;
+            }
+
+            const label = `Version of ${formatWhen(rev.committedAt)}`;
+            const items = compareWithCurrent(flat, current);
+
+            previewEl.innerHTML = "";
+            const intro = document.createElement("p");
+            intro.textContent = items.length === 0
+                ? "This version matches your current workspace."
+                : `${items.length} file(s) differ from your current workspace:`;
+            previewEl.appendChild(intro);
+            items.forEach(item => previewEl.appendChild(buildPreviewItem(item, label)));
+
+            restoreBtn().disabled = false;
+        };
+
+        moreBtn.addEventListener("click", showMore);
+
+        const restoreBtn = () => document.querySelector("#modal-footer .btn-primary");
+
+        const close = () => {
+            open = false;
+            hideModal();
+            resolve(null);
+        };
+
+        const restore = () => {
+            if (!selected || restoreBtn().disabled) return;
+            logger.info("history-panel", `Restoring version ${selected}`);
+            open = false;
+            hideModal();
+            resolve(selected);
+        };
+
+        showModal({
+            title: "Version history",
+            body,
+            wide: true,
+            onClose: () => {
+                open = false;
+                resolve(null);
+            },
+            actions: [
+                { label: "Close", action: close },
+                { label: "Restore selected version", primary: true, action: restore }
+            ]
+        });
+
+        restoreBtn().disabled = true;
+        showMore();
+    });
+}
+
+// ------------------------------------------------------------
+// One node in a revision: { path, body } to compare across revisions,
+// or null if the revision doesn't have it. body covers a file's content
+// hash, or everything under a folder.
+// ------------------------------------------------------------
+function nodeSignature(manifest, nodeId) {
+    const nodes = manifest?.nodes || [];
+    const entry = nodes.find(n => n && n.id === nodeId);
+    if (!entry || !entry.path) return null;
+
+    const hashOf = n => manifest.fileHashes?.[manifest.layout === "id" ? n.file : encodePath(n.path)] ?? "";
+
+    if (entry.type === "file") {
+        return { path: entry.path, body: hashOf(entry) };
+    }
+
+    const under = entry.path + "___";
+    const body = nodes
+        .filter(n => n && n.path && n.path.startsWith(under))
+        .map(n => `${n.id}|${n.path.slice(under.length)}|${n.type === "file" ? hashOf(n) : ""}`)
+        .sort()
+        .join("\n");
+
+    return { path: entry.path, body };
+}
+
+function describeNodeChange(now, before, hasOlder, isFolder) {
+    if (!hasOlder) return "oldest version";
+    if (!before) return "created or restored";
+
+    const changes = [];
+    if (now.path !== before.path) changes.push(`moved or renamed (was ${manifestPath(before.path)})`);
+    if (now.body !== before.body) changes.push(isFolder ? "contents changed" : "edited");
+    return changes.join(", ");
+}
+
+// ------------------------------------------------------------
+// History of one file or folder.
+//
+//   node          { id, type, name }
+//   revisions     [{ version, committedAt }], newest first
+//   current       flatSubtree() of the node in the current workspace
+//   loadManifest  version → Promise<manifest | null>
+//   loadRevision  version → Promise<flat | null>
+//
+// Only revisions that changed the node are listed. Resolves with the
+// version to restore the node from, or null.
+// ------------------------------------------------------------
+export function showNodeHistoryPanel({ node, revisions, current, loadManifest, loadRevision }) {
+    logger.debugSyncing("history-panel", () => "Running showNodeHistoryPanel(). CALLED BY: " + getCallerName("showNodeHistoryPanel"));
+
+    const isFolder = node.type === "folder";
+
+    return new Promise(resolve => {
+        let selected = null;
+        let open = true;
+        const rows = [];
+
+        const body = document.createElement("div");
+        body.className = "history-layout";
+        body.innerHTML = `
+            <div class="history-list">
+                <p class="history-hint history-scan">Looking through ${revisions.length} version(s)…</p>
+                <ul></ul>
+            </div>
+            <div class="history-preview"><p class="history-hint">Select a version to see its content and how it differs from now.</p></div>
+        `;
+
+        const listEl = body.querySelector("ul");
+        const scanEl = body.querySelector(".history-scan");
+        const previewEl = body.querySelector(".history-preview");
+        const restoreBtn = () => document.querySelector("#modal-footer .btn-primary");
+
+        // One manifest per revision, fetched in order (each is a request)
+        const scan = async () => {
+            for (let i = 0; i < revisions.length && open; i++) {
+                try {
+                    const manifest = await loadManifest(revisions[i].version);
+                    const older = revisions[i + 1] ? await loadManifest(revisions[i + 1].version) : null;
+
+                    const now = nodeSignature(manifest, node.id);
+                    const before = nodeSignature(older, node.id);
+                    if (!now) continue;
+                    if (before && before.path === now.path && before.body === now.body) continue;
+
+                    addRow(revisions[i], manifest, describeNodeChange(now, before, !!revisions[i + 1], isFolder));
+                } catch (err) {
+                    logger.error("history-panel", `Failed to check revision ${revisions[i].version}`, err);
+                }
+                scanEl.textContent = `Checked ${i + 1} of ${revisions.length} version(s)…`;
+            }
+
+            if (!open) return;
+            scanEl.textContent = rows.length
+                ? `${rows.length} version(s) changed this ${isFolder ? "folder" : "file"}.`
+                : `No saved version changed this ${isFolder ? "folder" : "file"}.`;
+        };
+
+        const addRow = (rev, manifest, change) => {
+            const li = document.createElement("li");
+            li.className = "history-row";
+            li.innerHTML = `
+                <div class="history-row-when">${escapeHtml(formatWhen(rev.committedAt))}</div>
+                <div class="history-row-meta">${escapeHtml(savedBy(manifest))} · ${escapeHtml(change)}</div>
+            `;
+            li.addEventListener("click", () => select(rev, li));
+            rows.push(li);
+            listEl.appendChild(li);
+        };
+
+        const select = async (rev, li) => {
+            selected = rev.version;
+            rows.forEach(r => r.classList.toggle("selected", r === li));
+            restoreBtn().disabled = true;
+            previewEl.innerHTML = `<p class="history-hint">Loading version…</p>`;
+
+            let flat;
+            try {
+                flat = await loadRevision(rev.version);
+            } catch (err) {
+                logger.error("history-panel", `Failed to load revision ${rev.version}`, err);
+                flat = null;
+            }
+            if (selected !== rev.version) return;   // another row was clicked meanwhile
+
+            const entries = flat ? flatSubtree(flat, node.id) : [];
+            if (entries.length === 0) {
+                previewEl.innerHTML = `<p class="history-hint">This version could not be loaded, so it can't be restored.</p>`;
+                return;
+            }
+
+            const label = `Version of ${formatWhen(rev.committedAt)}`;
+            previewEl.innerHTML = "";
+
+            if (!isFolder) {
+                const pre = document.createElement("pre");
+                pre.className = "history-content";
+                pre.textContent = entries[0].content;
+                previewEl.appendChild(pre);
+            }
+
+            const items = compareWithCurrent(entries, current);
+            const intro = document.createElement("p");
+            intro.textContent = items.length === 0
+                ? "Same as now."
+                : isFolder
+                    ? `${items.length} file(s) differ from now:`
+                    : "Differences from now:";
+            previewEl.appendChild(intro);
+
+            items.forEach(item => {
+                const el = buildPreviewItem(item, label);
+                previewEl.appendChild(el);
+                if (!isFolder) el.open = true;
+            });
+
+            restoreBtn().disabled = false;
+        };
+
+        const stop = () => {
+            open = false;
+            hideModal();
+        };
+
+        showModal({
+            title: `History of ${node.name}`,
+            body,
+            wide: true,
+            onClose: () => {
+                open = false;
+                resolve(null);
+            },
+            actions: [
+                { label: "Close", action: () => { stop(); resolve(null); } },
+                {
+                    label: `Restore this ${isFolder ? "folder" : "file"} only`,
+                    primary: true,
+                    action: () => {
+                        if (!selected || restoreBtn().disabled) return;
+                        logger.info("history-panel", `Restoring ${node.id} from ${selected}`);
+                        stop();
+                        resolve(selected);
+                    }
+                }
+            ]
+        });
+
+        restoreBtn().disabled = true;
+        scan();
+    });
+}
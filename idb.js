@@ -0,0 +1,164 @@
+// idb.js
+// Minimal IndexedDB helpers — for things localStorage can't hold
+// (e.g. FileSystemDirectoryHandle objects, which only survive structured clone).
+//
+// "kv" is a plain key/value store; the other stores hold records with their
+// own key (see STORES) and are used through the store* helpers.
+//
+// Opening rejects with IDB_BLOCKED while a tab still on an older DB_VERSION
+// holds the database open; the app's other tabs have to be reloaded.
+
+import { logger } from "./logger.js";
+
+logger.debug("idb", "idb.js loaded from:", import.meta.url);
+
+const DB_NAME = "kb";
+const DB_VERSION = 5;
+const KV_STORE = "kv";
+
+export const SNAPSHOT_STORE = "snapshots";
+export const NODE_STORE = "nodes";
+export const TRASH_STORE = "trash";
+export const BASELINE_STORE = "baselines";
+
+// Record stores: name → { keyPath, autoIncrement, indexes }
+const STORES = {
+    [SNAPSHOT_STORE]: { keyPath: "id", autoIncrement: true, indexes: ["workspaceId"] },
+    [NODE_STORE]: { keyPath: ["workspaceId", "key"], indexes: ["workspaceId"] },
+    [TRASH_STORE]: { keyPath: ["workspaceId", "id"], indexes: ["workspaceId"] },
+    [BASELINE_STORE]: { keyPath: "workspaceId" }
+};
+
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(KV_STORE)) db.createObjectStore(KV_STORE);
+
+            for (const [name, { keyPath, autoIncrement = false, indexes = [] }] of Object.entries(STORES)) {
+                if (db.objectStoreNames.contains(name)) continue;
+                const store = db.createObjectStore(name, { keyPath, autoIncrement });
+                indexes.forEach(index => store.createIndex(index, index));
+            }
+        };
+
+        req.onsuccess = () => {
+            const db = req.result;
+            // Another tab wants a newer version — let it upgrade, reopen on next use
+            db.onversionchange = () => {
+                logger.info("idb", "IndexedDB upgraded by another tab — closing this connection");
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        // A tab still on the old version holds the database open
+        req.onblocked = () => {
+            logger.error("idb", "IndexedDB upgrade blocked by another tab");
+            dbPromise = null;
+            reject(new Error("IDB_BLOCKED"));
+        };
+        req.onerror = () => {
+            logger.error("idb", "Failed to open IndexedDB", req.error);
+            dbPromise = null;
+            reject(req.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+export async function idbGet(key) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const req = db.transaction(KV_STORE, "readonly").objectStore(KV_STORE).get(key);
+        req.onsuccess = () => resolve(req.result ?? null);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+export async function idbSet(key, value) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(KV_STORE, "readwrite");
+        tx.objectStore(KV_STORE).put(value, key);
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export async function idbDelete(key) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(KV_STORE, "readwrite");
+        tx.objectStore(KV_STORE).delete(key);
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// ------------------------------------------------------------
+// Record stores
+// ------------------------------------------------------------
+
+// All records, or those whose `index` equals `value`
+export async function storeGetAll(storeName, index = null, value = undefined) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const store = db.transaction(storeName, "readonly").objectStore(storeName);
+        const req = index ? store.index(index).getAll(value) : store.getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+export async function storeGet(storeName, key) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const req = db.transaction(storeName, "readonly").objectStore(storeName).get(key);
+        req.onsuccess = () => resolve(req.result ?? null);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// → the record's key
+export async function storePut(storeName, record) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, "readwrite");
+        const req = tx.objectStore(storeName).put(record);
+        tx.oncomplete = () => resolve(req.result);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export async function storeDelete(storeName, keys) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, "readwrite");
+        const store = tx.objectStore(storeName);
+        [].concat(keys).forEach(key => store.delete(key));
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Puts and deletes in one transaction — all of them or none.
+// Rejects with the transaction's error (e.g. QuotaExceededError).
+export async function storeBatch(storeName, { put = [], remove = [] }) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, "readwrite");
+        const store = tx.objectStore(storeName);
+        put.forEach(record => store.put(record));
+        remove.forEach(key => store.delete(key));
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+    });
+}
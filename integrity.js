@@ -0,0 +1,238 @@
+// integrity.js
+// Integrity scan of the workspace tree and its __workspace.json metadata,
+// with repairs.
+//
+// Problems found:
+//   missing-id     a node without a usable id (its page would be saved as
+//                  "undefined.md", over any other such page)
+//   duplicate-id   nodes sharing an id (they would share one gist file)
+//   name-collision siblings whose names give the same gist path
+//   orphan-meta    a metadata entry for a node that isn't in the tree and
+//                  wasn't deleted here — it would lend its id to whatever
+//                  next appears at its path
+//
+// saveWorkspaceToGist() runs the scan before every save and refuses to
+// save while a blocking problem (all but orphan-meta) is left, since the
+// save itself would lose pages. The panel lists problems by path and
+// repairs them one at a time or all at once.
+
+import { logger, getCallerName } from "./logger.js";
+import { getWorkspace, saveState, createNewID, encodeName, getNodePath } from "./workspace.js";
+import { getMetadata, setMetadata } from "./workspace-metadata.js";
+import { isDeleted, recordRename } from "./tombstones.js";
+import { recordOfflineOp } from "./offline-journal.js";
+import { showModal, hideModal, escapeHtml, showNotification, renderSidebar } from "./ui.js";
+
+logger.debug("integrity", "integrity.js loaded from:", import.meta.url);
+
+const PROBLEMS = {
+    "missing-id":     { label: "Missing id",                repair: "Give it a new id" },
+    "duplicate-id":   { label: "Id used more than once",    repair: "Give the copies new ids" },
+    "name-collision": { label: "Same name as a sibling",    repair: "Rename" },
+    "orphan-meta":    { label: "Metadata for a missing page", repair: "Drop the entry" }
+};
+
+function hasUsableId(node) {
+    return typeof node.id === "string" && node.id !== "" && node.id !== "undefined" && node.id !== "null";
+}
+
+// "Folder / Page.md"
+function displayPath(parts) {
+    return parts.join(" / ");
+}
+
+// ------------------------------------------------------------
+// Scan → [{ kind, path, id, blocking, nodes }]
+// nodes are the tree nodes concerned (live objects, for repair)
+// ------------------------------------------------------------
+export function scanWorkspace(tree = getWorkspace(), metadata = getMetadata()) {
+    logger.debug("integrity", () => "Running scanWorkspace(). CALLED BY: " + getCallerName("scanWorkspace"));
+
+    const problems = [];
+    const byId = new Map();   // id → [{ node, path }]
+
+    const walk = (nodes, parents) => {
+        const seen = new Map();   // gist name → first sibling with it
+
+        for (const node of nodes) {
+            const parts = [...parents, node.name];
+
+            if (!hasUsableId(node)) {
+                problems.push({ kind: "missing-id", path: displayPath(parts), id: node.id ?? null, blocking: true, nodes: [node] });
+            } else {
+                if (!byId.has(node.id)) byId.set(node.id, []);
+                byId.get(node.id).push({ node, path: displayPath(parts) });
+            }
+
+            const name = encodeName(node.name || "");
+            if (seen.has(name)) {
+                problems.push({ kind: "name-collision", path: displayPath(parts), id: node.id, blocking: true, nodes: [node], siblings: nodes });
+            } else {
+                seen.set(name, node);
+            }
+
+            if (node.type === "folder" && Array.isArray(node.children)) walk(node.children, parts);
+        }
+    };
+    walk(tree, []);
+
+    for (const [id, uses] of byId) {
+        if (uses.length < 2) continue;
+        problems.push({
+            kind: "duplicate-id",
+            path: uses.map(u => u.path).join("; "),
+            id,
+            blocking: true,
+            nodes: uses.slice(1).map(u => u.node)   // the first keeps the id
+        });
+    }
+
+    for (const entry of Array.isArray(metadata) ? metadata : []) {
+        if (!entry?.id || byId.has(entry.id) || isDeleted(entry.id)) continue;
+        problems.push({ kind: "orphan-meta", path: (entry.path || "").split("___").join(" / "), id: entry.id, blocking: false, nodes: [] });
+    }
+
+    return problems;
+}
+
+// ------------------------------------------------------------
+// Repairs. Each changes the tree / metadata in memory; the caller saves.
+// ------------------------------------------------------------
+
+// The first node keeps a duplicated id, so app://file/ links keep opening
+// the page they opened before; links can't point at a node without an id.
+function regenerateIds(problem) {
+    problem.nodes.forEach(node => {
+        const before = node.id;
+        node.id = createNewID(`integrity: ${problem.kind}`);
+        logger.info("integrity", `New id for ${problem.path}: ${before ?? "(none)"} → ${node.id}`);
+    });
+}
+
+function renameCollision(problem) {
+    const node = problem.nodes[0];
+    const taken = new Set(problem.siblings.filter(n => n !== node).map(n => encodeName(n.name || "")));
+
+    const dot = node.type === "file" ? node.name.lastIndexOf(".") : -1;
+    const stem = dot > 0 ? node.name.slice(0, dot) : node.name;
+    const ext = dot > 0 ? node.name.slice(dot) : "";
+
+    let n = 2;
+    while (taken.has(encodeName(`${stem} (${n})${ext}`))) n++;
+
+    // Recorded like a user rename, so other devices follow it
+    const tree = getWorkspace();
+    const before = node.name;
+    const oldPath = getNodePath(tree, node.id);
+    node.name = `${stem} (${n})${ext}`;
+    recordRename(node, oldPath, getNodePath(tree, node.id));
+    recordOfflineOp("rename", node);
+    logger.info("integrity", `Renamed ${problem.path}: ${before} → ${node.name}`);
+}
+
+function dropOrphan(problem) {
+    const metadata = getMetadata();
+    if (Array.isArray(metadata)) setMetadata(metadata.filter(entry => entry?.id !== problem.id));
+}
+
+export function repairProblem(problem) {
+    switch (problem.kind) {
+        case "missing-id":
+        case "duplicate-id":
+            regenerateIds(problem);
+            break;
+        case "name-collision":
+            renameCollision(problem);
+            break;
+        case "orphan-meta":
+            dropOrphan(problem);
+            break;
+        default:
+            logger.error("integrity", `No repair for ${problem.kind}`);
+    }
+}
+
+function commitRepairs() {
+    saveState();
+    renderSidebar();
+}
+
+// ------------------------------------------------------------
+// Before a save: blocking problems, or [] if the save may go ahead
+// ------------------------------------------------------------
+export function checkBeforeSave() {
+    const problems = scanWorkspace();
+    if (problems.length) {
+        logger.warn("integrity", `Workspace check: ${problems.length} problem(s)`, problems.map(p => `${p.kind}: ${p.path}`));
+    }
+    return problems.filter(p => p.blocking);
+}
+
+// ------------------------------------------------------------
+// Panel
+// ------------------------------------------------------------
+function buildRow(problem, onRepair) {
+    const li = document.createElement("li");
+    li.className = "journal-row";
+    li.innerHTML = `
+        <div class="journal-row-head">
+            <span class="journal-when">${escapeHtml(PROBLEMS[problem.kind].label)}</span>
+            <button class="btn-tool">${escapeHtml(PROBLEMS[problem.kind].repair)}</button>
+        </div>
+        <div class="journal-files">${escapeHtml(problem.path || "(unnamed)")}</div>
+        ${problem.id ? `<div class="journal-hashes">id ${escapeHtml(String(problem.id))}</div>` : ""}
+    `;
+    li.querySelector("button").addEventListener("click", () => onRepair(problem));
+    return li;
+}
+
+export function showIntegrityPanel() {
+    logger.debug("integrity", () => "Running showIntegrityPanel(). CALLED BY: " + getCallerName("showIntegrityPanel"));
+
+    const problems = scanWorkspace();
+    const body = document.createElement("div");
+
+    const repair = (problem) => {
+        repairProblem(problem);
+        commitRepairs();
+        showIntegrityPanel();   // ids and names changed — scan again
+    };
+
+    if (problems.length === 0) {
+        body.innerHTML = `<p class="history-hint">No problems found.</p>`;
+    } else {
+        const intro = document.createElement("p");
+        intro.textContent = problems.some(p => p.blocking)
+            ? `${problems.length} problem(s). Saving to the cloud is paused until the ones marked below are repaired.`
+            : `${problems.length} problem(s). None of them stop saving.`;
+        body.appendChild(intro);
+
+        const list = document.createElement("ul");
+        list.className = "journal-list";
+        problems.forEach(problem => {
+            const row = buildRow(problem, repair);
+            if (problem.blocking) row.classList.add("journal-error");
+            list.appendChild(row);
+        });
+        body.appendChild(list);
+    }
+
+    const actions = [{ label: "Close", action: () => hideModal() }];
+    if (problems.length) {
+        actions.push({
+            label: "Repair all",
+            primary: true,
+            action: () => {
+                // One kind at a time, each from a fresh scan, so the node lists are current
+                for (const kind of Object.keys(PROBLEMS)) {
+                    scanWorkspace().filter(p => p.kind === kind).forEach(repairProblem);
+                }
+                commitRepairs();
+                showNotification("success", "Workspace repaired");
+                showIntegrityPanel();
+            }
+        });
+    }
+
+    showModal({ title: "Workspace check", body, wide: true, actions });
+}
@@ -0,0 +1,227 @@
+// local-folder-provider.js
+// Stores the workspace in a folder on this computer through the
+// File System Access API (Chromium browsers). The folder can itself be
+// synced by Dropbox/OneDrive/git if you want it elsewhere.
+//
+// Revisions are full snapshots in <folder>/.history/<timestamp>.json, each
+// built from the one before it (see writeRevision).
+
+import { idbGet, idbSet } from "./idb.js";
+import { showNotification } from "./ui.js";
+import { logger, getCallerName } from "./logger.js";
+import { scopedKey } from "./workspaces.js";
+
+logger.debug("local-folder-provider", "local-folder-provider.js loaded from:", import.meta.url);
+
+const HANDLE_KEY = "localFolderHandle";
+const HISTORY_DIR = ".history";
+const MAX_REVISIONS = 30;
+
+let folderHandle = null;
+let folderHandleKey = null;   // workspace the cached handle belongs to
+
+async function getHandle() {
+    if (folderHandleKey !== scopedKey(HANDLE_KEY)) {
+        folderHandleKey = scopedKey(HANDLE_KEY);
+        folderHandle = await idbGet(folderHandleKey);
+    }
+    return folderHandle;
+}
+
+// Permission has to be re-granted after a browser restart (needs a click)
+async function ensurePermission(handle, { prompt = false } = {}) {
+    const opts = { mode: "readwrite" };
+    if (await handle.queryPermission(opts) === "granted") return true;
+    if (!prompt) return false;
+    return await handle.requestPermission(opts) === "granted";
+}
+
+async function requireHandle() {
+    const handle = await getHandle();
+    if (!handle) throw new Error("LOCAL_FOLDER_NOT_SET");
+
+    if (!await ensurePermission(handle)) {
+        throw new Error("LOCAL_FOLDER_PERMISSION");
+    }
+    return handle;
+}
+
+async function readAllFiles(dir) {
+    const files = {};
+    for await (const [name, entry] of dir.entries()) {
+        if (entry.kind !== "file") continue;
+        const file = await entry.getFile();
+        files[name] = { content: await file.text() };
+    }
+    return files;
+}
+
+async function writeFile(dir, name, content) {
+    const fileHandle = await dir.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+}
+
+// Newest revision this tab wrote — the next one starts from it
+let lastRevision = null;   // { handle, version, files }
+
+// ------------------------------------------------------------
+// A revision is the previous one with this save's changes on top, so a save
+// reads at most one file however big the workspace is. Only the first
+// revision in a folder reads every file.
+// ------------------------------------------------------------
+async function writeRevision(handle, changes) {
+    const history = await handle.getDirectoryHandle(HISTORY_DIR, { create: true });
+
+    const names = [];
+    for await (const [name, entry] of history.entries()) {
+        if (entry.kind === "file" && name.endsWith(".json")) names.push(name);
+    }
+    names.sort().reverse();
+    const newest = names[0]?.slice(0, -".json".length);
+
+    let files;
+    if (lastRevision && lastRevision.handle === handle && lastRevision.version === newest) {
+        files = { ...lastRevision.files };
+    } else if (newest) {
+        const file = await (await history.getFileHandle(names[0])).getFile();
+        files = JSON.parse(await file.text()).files || {};
+    } else {
+        files = await readAllFiles(handle);
+    }
+
+    for (const [name, file] of Object.entries(changes)) {
+        if (file === null) delete files[name];
+        else files[name] = { content: file.content ?? "" };
+    }
+
+    const version = new Date().toISOString().replace(/[:.]/g, "-");
+    await writeFile(history, `${version}.json`, JSON.stringify({ files }));
+    lastRevision = { handle, version, files };
+
+    // Keep the newest MAX_REVISIONS
+    for (const old of names.slice(MAX_REVISIONS - 1)) {
+        await history.removeEntry(old);
+    }
+}
+
+export const localFolderProvider = {
+    id: "local-folder",
+    label: "Folder on this computer",
+
+    async isReady({ quiet = false } = {}) {
+        const handle = await getHandle();
+        if (handle && await ensurePermission(handle)) return true;
+
+        if (!quiet) {
+            showNotification("warning", handle
+                ? "Folder access expired — choose Storage to grant it again"
+                : "No folder chosen — choose Storage to pick one");
+        }
+        return false;
+    },
+
+    async configure() {
+        logger.debug("local-folder-provider", () => "Running configure(). CALLED BY: " + getCallerName("configure"));
+
+        if (!window.showDirectoryPicker) {
+            showNotification("error", "This browser can't open local folders (needs the File System Access API)");
+            return false;
+        }
+
+        // Re-grant access to the folder we already have, if the user wants it
+        const existing = await getHandle();
+        if (existing && confirm(`Keep using the folder "${existing.name}"?`)) {
+            return ensurePermission(existing, { prompt: true });
+        }
+
+        try {
+            const handle = await window.showDirectoryPicker({ mode: "readwrite" });
+            await idbSet(scopedKey(HANDLE_KEY), handle);
+            folderHandle = handle;
+            folderHandleKey = scopedKey(HANDLE_KEY);
+            logger.info("local-folder-provider", `Using folder: ${handle.name}`);
+            return true;
+        } catch (err) {
+            logger.info("local-folder-provider", "Folder picker cancelled", err);
+            return false;
+        }
+    },
+
+    identity() {
+        const name = folderHandleKey === scopedKey(HANDLE_KEY) ? folderHandle?.name || null : null;
+        return { provider: "local-folder", id: name, label: name ? `Folder ${name}` : "Local folder" };
+    },
+
+    async load({ manifestOnly = false } = {}) {
+        const handle = await requireHandle();
+
+        const names = [];
+        const files = {};
+        let updatedAt = 0;
+
+        for await (const [name, entry] of handle.entries()) {
+            if (entry.kind !== "file") continue;
+            names.push(name);
+
+            const file = await entry.getFile();
+            updatedAt = Math.max(updatedAt, file.lastModified);
+
+            if (!manifestOnly || name === "__workspace.json") {
+                files[name] = { content: await file.text() };
+            }
+        }
+
+        return {
+            id: handle.name,
+            updatedAt: updatedAt ? new Date(updatedAt).toISOString() : null,
+            names,
+            files,
+            complete: true
+        };
+    },
+
+    async save(changes) {
+        const handle = await requireHandle();
+
+        for (const [name, file] of Object.entries(changes)) {
+            if (file === null) {
+                await handle.removeEntry(name).catch(err => {
+                    if (err.name !== "NotFoundError") throw err;
+                });
+            } else {
+                await writeFile(handle, name, file.content ?? "");
+            }
+        }
+
+        await writeRevision(handle, changes);
+        return { id: handle.name };
+    },
+
+    async listRevisions() {
+        const handle = await requireHandle();
+        const history = await handle.getDirectoryHandle(HISTORY_DIR, { create: true });
+
+        const revisions = [];
+        for await (const [name, entry] of history.entries()) {
+            if (entry.kind !== "file" || !name.endsWith(".json")) continue;
+            const file = await entry.getFile();
+            revisions.push({
+                version: name.slice(0, -".json".length),
+                committedAt: new Date(file.lastModified).toISOString()
+            });
+        }
+
+        return revisions.sort((a, b) => b.version.localeCompare(a.version));
+    },
+
+    async getRevision(version) {
+        const handle = await requireHandle();
+        const history = await handle.getDirectoryHandle(HISTORY_DIR);
+        const file = await (await history.getFileHandle(`${version}.json`)).getFile();
+
+        const { files } = JSON.parse(await file.text());
+        return { files: files || {}, complete: true };
+    }
+};
@@ -0,0 +1,412 @@
+// merge.js
+// Line-based diff and three-way merge used by the sync engine.
+//
+// base  = the flat list we last synced (what both sides started from)
+// local = this device's workspace
+// cloud = what is in the gist now
+//
+// Non-overlapping line edits merge automatically. Only hunks that both sides
+// changed differently are reported as conflicts.
+
+import { logger, getCallerName } from "./logger.js";
+
+logger.debug("merge", "merge.js loaded from:", import.meta.url);
+
+// Above this many DP cells we stop looking for an LCS and treat the changed
+// middle section as a single replacement (keeps large pages from freezing the tab).
+const MAX_DIFF_CELLS = 4_000_000;
+
+export const CONFLICT_START = "<<<<<<< local";
+export const CONFLICT_SEPARATOR = "=======";
+export const CONFLICT_END = ">>>>>>> cloud";
+
+export function splitLines(text) {
+    return (text ?? "").split("\n");
+}
+
+// ------------------------------------------------------------
+// Compute the changed regions between two line arrays.
+//
+// Returns [{ baseStart, baseEnd, otherStart, otherEnd }] where
+// base[baseStart..baseEnd) was replaced by other[otherStart..otherEnd).
+// ------------------------------------------------------------
+export function computeHunks(baseLines, otherLines) {
+    logger.debug("merge", () => "Running computeHunks(). CALLED BY: " + getCallerName("computeHunks"));
+
+    // 1. Trim common prefix / suffix — most edits touch a small part of a page
+    let prefix = 0;
+    while (
+        prefix < baseLines.length &&
+        prefix < otherLines.length &&
+        baseLines[prefix] === otherLines[prefix]
+    ) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (
+        suffix < baseLines.length - prefix &&
+        suffix < otherLines.length - prefix &&
+        baseLines[baseLines.length - 1 - suffix] === otherLines[otherLines.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+
+    const a = baseLines.slice(prefix, baseLines.length - suffix);
+    const b = otherLines.slice(prefix, otherLines.length - suffix);
+
+    if (a.length === 0 && b.length === 0) return [];
+
+    // 2. Too large for LCS → one replacement hunk
+    if (a.length === 0 || b.length === 0 || (a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+        return [{
+            baseStart: prefix,
+            baseEnd: prefix + a.length,
+            otherStart: prefix,
+            otherEnd: prefix + b.length
+        }];
+    }
+
+    // 3. Suffix LCS table: dp[i][j] = LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const dp = new Uint32Array((a.length + 1) * width);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            dp[i * width + j] = a[i] === b[j]
+                ? dp[(i + 1) * width + j + 1] + 1
+                : Math.max(dp[(i + 1) * width + j], dp[i * width + j + 1]);
+        }
+    }
+
+    // 4. Walk the table, collecting runs of non-matching lines as hunks
+    const hunks = [];
+    let i = 0;
+    let j = 0;
+    let open = null;
+
+    const close = () => {
+        if (open) {
+            open.baseEnd = prefix + i;
+            open.otherEnd = prefix + j;
+            hunks.push(open);
+            open = null;
+        }
+    };
+
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            close();
+            i++;
+            j++;
+            continue;
+        }
+
+        if (!open) {
+            open = { baseStart: prefix + i, otherStart: prefix + j };
+        }
+
+        if (j >= b.length || (i < a.length && dp[(i + 1) * width + j] >= dp[i * width + j + 1])) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    close();
+
+    return hunks;
+}
+
+// ------------------------------------------------------------
+// Two-way diff as a list of operations, for rendering.
+// [{ type: "equal" | "delete" | "insert", lines: [...] }]
+// ------------------------------------------------------------
+export function diffLines(oldText, newText) {
+    logger.debug("merge", () => "Running diffLines(). CALLED BY: " + getCallerName("diffLines"));
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+    const hunks = computeHunks(oldLines, newLines);
+
+    const ops = [];
+    let cursor = 0;
+
+    for (const h of hunks) {
+        if (h.baseStart > cursor) {
+            ops.push({ type: "equal", lines: oldLines.slice(cursor, h.baseStart) });
+        }
+        if (h.baseEnd > h.baseStart) {
+            ops.push({ type: "delete", lines: oldLines.slice(h.baseStart, h.baseEnd) });
+        }
+        if (h.otherEnd > h.otherStart) {
+            ops.push({ type: "insert", lines: newLines.slice(h.otherStart, h.otherEnd) });
+        }
+        cursor = h.baseEnd;
+    }
+
+    if (cursor < oldLines.length) {
+        ops.push({ type: "equal", lines: oldLines.slice(cursor) });
+    }
+
+    return ops;
+}
+
+// ------------------------------------------------------------
+// Three-way merge of a single text.
+//
+// Returns { merged, clean, conflicts } where conflicts is a list of
+// { base, local, cloud } line arrays. When not clean, `merged` contains
+// git-style conflict markers so the caller can offer it for editing.
+// ------------------------------------------------------------
+export function mergeText(base, local, cloud) {
+    logger.debug("merge", () => "Running mergeText(). CALLED BY: " + getCallerName("mergeText"));
+
+    base = base ?? "";
+    local = local ?? "";
+    cloud = cloud ?? "";
+
+    // Trivial cases first
+    if (local === cloud) return { merged: local, clean: true, conflicts: [] };
+    if (local === base) return { merged: cloud, clean: true, conflicts: [] };
+    if (cloud === base) return { merged: local, clean: true, conflicts: [] };
+
+    const baseLines = splitLines(base);
+    const localLines = splitLines(local);
+    const cloudLines = splitLines(cloud);
+
+    // ------------------------------------------------------------
+    // 1. Tag every hunk with its side and sort by base position
+    // ------------------------------------------------------------
+    const tagged = [
+        ...computeHunks(baseLines, localLines).map(h => ({ ...h, side: "local" })),
+        ...computeHunks(baseLines, cloudLines).map(h => ({ ...h, side: "cloud" }))
+    ].sort((x, y) => x.baseStart - y.baseStart || x.baseEnd - y.baseEnd);
+
+    // ------------------------------------------------------------
+    // 2. Group hunks whose base ranges overlap.
+    //
+    //    Two pure insertions at the same point also overlap —
+    //    we cannot know which order the user wants.
+    // ------------------------------------------------------------
+    const groups = [];
+    for (const h of tagged) {
+        const last = groups[groups.length - 1];
+        const overlaps = last && (
+            h.baseStart < last.baseEnd ||
+            (h.baseStart === last.baseEnd &&
+                h.baseStart === h.baseEnd &&
+                last.baseStart === last.baseEnd)
+        );
+
+        if (overlaps) {
+            last.hunks.push(h);
+            last.baseEnd = Math.max(last.baseEnd, h.baseEnd);
+        } else {
+            groups.push({ baseStart: h.baseStart, baseEnd: h.baseEnd, hunks: [h] });
+        }
+    }
+
+    // Region of one side that corresponds to base[start..end) of a group
+    function sideRegion(group, side, lines) {
+        const own = group.hunks.filter(h => h.side === side);
+        if (own.length === 0) {
+            return baseLines.slice(group.baseStart, group.baseEnd);
+        }
+        const first = own[0];
+        const last = own[own.length - 1];
+        const start = first.otherStart - (first.baseStart - group.baseStart);
+        const end = last.otherEnd + (group.baseEnd - last.baseEnd);
+        return lines.slice(start, end);
+    }
+
+    // ------------------------------------------------------------
+    // 3. Walk the groups, copying unchanged base lines in between
+    // ------------------------------------------------------------
+    const out = [];
+    const conflicts = [];
+    let cursor = 0;
+
+    for (const group of groups) {
+        out.push(...baseLines.slice(cursor, group.baseStart));
+
+        const sides = new Set(group.hunks.map(h => h.side));
+        const localPart = sideRegion(group, "local", localLines);
+        const cloudPart = sideRegion(group, "cloud", cloudLines);
+
+        if (sides.size === 1) {
+            out.push(...(sides.has("local") ? localPart : cloudPart));
+        } else if (localPart.join("\n") === cloudPart.join("\n")) {
+            // Both sides made the same change
+            out.push(...localPart);
+        } else {
+            conflicts.push({
+                base: baseLines.slice(group.baseStart, group.baseEnd),
+                local: localPart,
+                cloud: cloudPart
+            });
+            out.push(CONFLICT_START, ...localPart, CONFLICT_SEPARATOR, ...cloudPart, CONFLICT_END);
+        }
+
+        cursor = group.baseEnd;
+    }
+
+    out.push(...baseLines.slice(cursor));
+
+    return {
+        merged: out.join("\n"),
+        clean: conflicts.length === 0,
+        conflicts
+    };
+}
+
+// Three-way pick for a scalar (path, name…): whichever side moved away from base wins.
+// If both moved differently, cloud wins (it has already been shared with other devices).
+function pick3(base, local, cloud) {
+    if (local === cloud) return local;
+    if (local === base) return cloud;
+    if (cloud === base) return local;
+    return cloud;
+}
+
+// pick3() for an entry's order (an array, compared by value)
+function pickOrder(b, l, c) {
+    const [base, local, cloud] = [b, l, c].map(e => JSON.stringify(e.order ?? null));
+    return pick3(base, local, cloud) === local ? l.order : c.order;
+}
+
+// ------------------------------------------------------------
+// Three-way merge of flat workspace lists ({ path, content, id, order }).
+//
+// Folder entries (content === null) take part too, so deleted folders stay
+// deleted. Entries are matched by id, falling back to path for entries
+// that have no id on some side.
+//
+// Returns:
+//   flat      → merged entries that need no decision
+//   conflicts → [{ key, id, kind, path, base, local, cloud, merged }]
+//               kind: "content" | "add-add" | "delete-modify" | "modify-delete"
+//               base/local/cloud are the raw entries (or null)
+//   entries   → [{ key, base, local, cloud }] for every key, so callers can
+//               list everything that differs (not just the conflicts)
+// ------------------------------------------------------------
+export function mergeFlat(baseFlat, localFlat, cloudFlat) {
+    logger.debug("merge", () => "Running mergeFlat(). CALLED BY: " + getCallerName("mergeFlat"));
+
+    const clean = list => (Array.isArray(list) ? list : [])
+        .filter(e => e && typeof e.path === "string" && e.path.length > 0);
+
+    const base = clean(baseFlat);
+    const local = clean(localFlat);
+    const cloud = clean(cloudFlat);
+
+    // ------------------------------------------------------------
+    // 1. Work out a stable key for every entry.
+    //    Prefer the node id; entries without one borrow the id that
+    //    another side has for the same path.
+    // ------------------------------------------------------------
+    const pathToId = new Map();
+    for (const e of [...cloud, ...local, ...base]) {
+        if (e.id && !pathToId.has(e.path)) pathToId.set(e.path, e.id);
+    }
+
+    const keyOf = e => {
+        const id = e.id || pathToId.get(e.path);
+        return id ? `id:${id}` : `path:${e.path}`;
+    };
+
+    const index = list => {
+        const map = new Map();
+        for (const e of list) map.set(keyOf(e), e);
+        return map;
+    };
+
+    const baseMap = index(base);
+    const localMap = index(local);
+    const cloudMap = index(cloud);
+
+    const keys = [...new Set([...cloudMap.keys(), ...localMap.keys(), ...baseMap.keys()])].sort();
+
+    const flat = [];
+    const conflicts = [];
+    const entries = [];
+
+    for (const key of keys) {
+        const b = baseMap.get(key) || null;
+        const l = localMap.get(key) || null;
+        const c = cloudMap.get(key) || null;
+
+        entries.push({ key, base: b, local: l, cloud: c });
+
+        const id = l?.id || c?.id || b?.id || pathToId.get((l || c || b).path) || null;
+        const isFolder = (l || c || b).content === null;
+
+        // ------------------------------------------------------------
+        // 2. Gone on both sides, or only ever existed in base
+        // ------------------------------------------------------------
+        if (!l && !c) continue;
+
+        // ------------------------------------------------------------
+        // 3. Added since last sync
+        // ------------------------------------------------------------
+        if (!b) {
+            if (l && !c) { flat.push({ ...l, id }); continue; }
+            if (c && !l) { flat.push({ ...c, id }); continue; }
+
+            if (isFolder || l.content === c.content) {
+                flat.push({ ...c, id });
+                continue;
+            }
+
+            const result = mergeText("", l.content, c.content);
+            conflicts.push({ key, id, kind: "add-add", path: c.path, base: null, local: l, cloud: c, merged: result.merged });
+            continue;
+        }
+
+        // ------------------------------------------------------------
+        // 4. Deleted on one side
+        // ------------------------------------------------------------
+        if (!l) {
+            // Deleted locally: honour it unless the cloud edited the file meanwhile
+            if (isFolder || c.content === b.content) continue;
+            conflicts.push({ key, id, kind: "delete-modify", path: c.path, base: b, local: null, cloud: c, merged: c.content });
+            continue;
+        }
+
+        if (!c) {
+            // Deleted in the cloud: honour it unless we edited the file meanwhile
+            if (isFolder || l.content === b.content) continue;
+            conflicts.push({ key, id, kind: "modify-delete", path: l.path, base: b, local: l, cloud: null, merged: l.content });
+            continue;
+        }
+
+        // ------------------------------------------------------------
+        // 5. Present everywhere → merge path, order and content
+        // ------------------------------------------------------------
+        const path = pick3(b.path, l.path, c.path);
+        const order = pickOrder(b, l, c);
+
+        if (isFolder) {
+            flat.push({ ...c, path, order, id });
+            continue;
+        }
+
+        const result = mergeText(b.content, l.content, c.content);
+
+        if (result.clean) {
+            flat.push({ ...c, path, order, id, content: result.merged });
+        } else {
+            conflicts.push({ key, id, kind: "content", path, base: b, local: l, cloud: c, merged: result.merged });
+        }
+    }
+
+    logger.debug("merge", "mergeFlat result", {
+        merged: flat.length,
+        conflicts: conflicts.map(c => `${c.kind}:${c.path}`)
+    });
+
+    return { flat, conflicts, entries };
+}
+
+// Key of an entry returned by mergeFlat() (ids are already aligned there)
+export function flatKey(entry) {
+    return entry.id ? `id:${entry.id}` : `path:${entry.path}`;
+}
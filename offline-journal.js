@@ -0,0 +1,222 @@
+// offline-journal.js
+// Edits made while sync can't reach the cloud, kept so they can be replayed.
+//
+// While sync is offline or the GitHub session has expired, every create,
+// rename, move, delete and content edit is appended here (per workspace, in
+// localStorage). Once something is journaled, later edits are journaled too
+// until a replay — even across a reload or a re-login — so the order holds.
+//
+// On reconnect sync.js loads the current cloud workspace and replays the
+// operations onto it with applyOfflineOps(). Operations refer to nodes by
+// id; ones whose target is gone from the cloud are reported, and edited or
+// created pages whose folder is gone land in a "Recovered offline edits"
+// folder rather than being dropped.
+
+import { logger, getCallerName } from "./logger.js";
+import { scopedKey } from "./workspaces.js";
+import { findNodeById, findNodeAndParent, createFolder, insertChild } from "./workspace.js";
+import { getSyncState, SYNC_STATES } from "./sync-state.js";
+
+logger.debug("offline-journal", "offline-journal.js loaded from:", import.meta.url);
+
+const JOURNAL_KEY = "kb_offline_journal";
+const RECOVERY_FOLDER = "Recovered offline edits";
+
+function readOps() {
+    try {
+        const ops = JSON.parse(localStorage.getItem(scopedKey(JOURNAL_KEY)) || "[]");
+        return Array.isArray(ops) ? ops : [];
+    } catch (err) {
+        logger.error("offline-journal", "Failed to parse offline journal", err);
+        return [];
+    }
+}
+
+function writeOps(ops) {
+    localStorage.setItem(scopedKey(JOURNAL_KEY), JSON.stringify(ops));
+}
+
+export function getOfflineOps() {
+    return readOps();
+}
+
+export function hasOfflineOps() {
+    return readOps().length > 0;
+}
+
+export function clearOfflineOps() {
+    localStorage.removeItem(scopedKey(JOURNAL_KEY));
+}
+
+function isDisconnected() {
+    const state = getSyncState();
+    return state === SYNC_STATES.OFFLINE || state === SYNC_STATES.AUTH_EXPIRED || !navigator.onLine;
+}
+
+// What a node looked like, without UI-only fields
+function snapshot(node) {
+    const { pathCache, ...rest } = node;
+    return JSON.parse(JSON.stringify(rest));
+}
+
+// ------------------------------------------------------------
+// Journal an operation, if sync is disconnected (or already journaling).
+//
+//   type   "create" | "rename" | "move" | "delete" | "edit"
+//   node   the node after the change
+//   parentId  for create / move: the folder it is now in (null = top level)
+//   index     for move: its place in that folder
+// ------------------------------------------------------------
+export function recordOfflineOp(type, node, { parentId = null, index = null } = {}) {
+    const ops = readOps();
+    if (ops.length === 0 && !isDisconnected()) return;
+    if (!node?.id) return;
+
+    logger.debug("offline-journal", () => `Journaling ${type} of ${node.id}. CALLED BY: ` + getCallerName("recordOfflineOp"));
+
+    const op = { type, id: node.id, at: new Date().toISOString() };
+
+    switch (type) {
+        case "create":
+            op.parentId = parentId;
+            op.node = snapshot(node);
+            break;
+        case "rename":
+            op.name = node.name;
+            break;
+        case "move":
+            op.parentId = parentId;
+            op.index = index;
+            break;
+        case "edit":
+            // Enough to recreate the page if the cloud lost it
+            op.node = { id: node.id, type: node.type, name: node.name, content: node.content };
+
+            // Typing produces a stream of edits — only the latest matters
+            if (ops.at(-1)?.type === "edit" && ops.at(-1).id === node.id) ops.pop();
+            break;
+        case "delete":
+            op.name = node.name;
+            break;
+        default:
+            logger.error("offline-journal", `Unknown operation: ${type}`);
+            return;
+    }
+
+    ops.push(op);
+    writeOps(ops);
+}
+
+// ------------------------------------------------------------
+// Replay ops onto tree (changed in place).
+// Returns { applied, skipped: [description], recovered: [name] }.
+// ------------------------------------------------------------
+export function applyOfflineOps(tree, ops) {
+    logger.debugSyncing("offline-journal", () => "Running applyOfflineOps(). CALLED BY: " + getCallerName("applyOfflineOps"));
+
+    const skipped = [];
+    const recovered = [];
+    let applied = 0;
+    let recovery = null;
+
+    const recoveryFolder = () => {
+        if (!recovery) {
+            recovery = tree.find(n => n.type === "folder" && n.name === RECOVERY_FOLDER);
+            if (!recovery) {
+                recovery = createFolder(RECOVERY_FOLDER);
+                insertChild(tree, recovery);
+            }
+        }
+        return recovery;
+    };
+
+    // At index if given (a move), otherwise in name order
+    const put = (siblings, node, index) => {
+        if (Number.isInteger(index)) {
+            siblings.splice(Math.min(index, siblings.length), 0, node);
+        } else {
+            insertChild(siblings, node);
+        }
+    };
+
+    const place = (node, parentId, index = null) => {
+        const parent = parentId ? findNodeById(tree, parentId) : null;
+        if (parent?.type === "folder") {
+            put(parent.children, node, index);
+        } else if (!parentId && node.type === "folder") {
+            put(tree, node, index);
+        } else {
+            insertChild(recoveryFolder().children, node);
+            recovered.push(node.name);
+        }
+    };
+
+    const detach = (id) => {
+        const found = findNodeAndParent(tree, id);
+        if (!found) return null;
+        if (found.parent) {
+            found.parent.children = found.parent.children.filter(c => c.id !== id);
+        } else {
+            tree.splice(tree.indexOf(found.node), 1);
+        }
+        return found.node;
+    };
+
+    for (const op of ops) {
+        const node = findNodeById(tree, op.id);
+
+        switch (op.type) {
+            case "create":
+                if (!node) place(JSON.parse(JSON.stringify(op.node)), op.parentId);
+                applied++;
+                break;
+
+            case "rename":
+                if (!node) {
+                    skipped.push(`rename to “${op.name}” — no longer in the cloud`);
+                    break;
+                }
+                node.name = op.name;
+                applied++;
+                break;
+
+            case "move": {
+                if (!node) {
+                    skipped.push(`move of a page or folder that is no longer in the cloud`);
+                    break;
+                }
+                if (op.parentId && !findNodeById(tree, op.parentId)) {
+                    skipped.push(`move of “${node.name}” — its new folder is no longer in the cloud`);
+                    break;
+                }
+                if (op.parentId && findNodeById([node], op.parentId)) {
+                    skipped.push(`move of “${node.name}” — its new folder is now inside it`);
+                    break;
+                }
+                place(detach(op.id), op.parentId, op.index);
+                applied++;
+                break;
+            }
+
+            case "edit":
+                if (node) {
+                    node.content = op.node.content;
+                } else {
+                    // Deleted in the cloud meanwhile — keep the offline text
+                    place({ ...op.node, pathCache: null }, null);
+                }
+                applied++;
+                break;
+
+            case "delete":
+                detach(op.id);
+                applied++;
+                break;
+
+            default:
+                skipped.push(`unknown operation ${op.type}`);
+        }
+    }
+
+    return { applied, skipped, recovered };
+}
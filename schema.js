@@ -0,0 +1,109 @@
+// schema.js
+// The workspace tree's schema version and the migrations between versions.
+//
+// SCHEMA_VERSION is the shape of tree this code reads and writes. It is
+// stored with the local tree (workspace-store.js) and as `schemaVersion` in
+// __workspace.json. Trees from before versioning count as version 0.
+//
+// MIGRATIONS are applied in order: migration n brings a tree from version
+// n - 1 to n. Each changes the tree in place and must be safe to run on a
+// tree that already has its shape — a cloud tree of unknown age is
+// migrated from 0.
+//
+// A tree or manifest with a version above SCHEMA_VERSION was written by a
+// newer client. It can be read here, but is never written back: this code
+// doesn't know what the newer fields mean and would drop them.
+//
+// To change the schema: bump SCHEMA_VERSION and add its migration.
+
+import { logger, getCallerName } from "./logger.js";
+
+logger.debug("schema", "schema.js loaded from:", import.meta.url);
+
+export const SCHEMA_VERSION = 2;
+
+// ------------------------------------------------------------
+// 1 — the first format: { title, files: [{ id, title, content }] }
+//     becomes name / type / children
+// ------------------------------------------------------------
+function normalizeNode(node) {
+    // Convert old "title" to new "name"
+    if (!node.name && node.title) {
+        node.name = node.title;
+    }
+
+    // Detect folder-like nodes
+    const looksLikeFolder =
+        Array.isArray(node.children) ||
+        Array.isArray(node.files) ||   // ← THIS IS THE IMPORTANT LINE
+        node.isOpen === true;
+
+    node.type = looksLikeFolder ? "folder" : "file";
+
+    if (node.type === "folder") {
+        if (!Array.isArray(node.children)) node.children = [];
+
+        // Migrate old "files" array
+        if (Array.isArray(node.files)) {
+            node.files.forEach(f => {
+                node.children.push({ id: f.id, type: "file", name: f.title, content: f.content || "" });
+            });
+            delete node.files;
+        }
+
+        node.children.forEach(normalizeNode);
+    }
+
+    return node;
+}
+
+// ------------------------------------------------------------
+// 2 — internal linking and public sharing fields
+//     (see the field table in workspace.js)
+// ------------------------------------------------------------
+function backfillNode(node) {
+    // Internal linking
+    if (!("pathCache" in node)) node.pathCache = null;
+
+    // Public sharing
+    if (!("isPublic" in node)) node.isPublic = false;
+    if (!("publicId" in node)) node.publicId = null;
+    if (!("publicAt" in node)) node.publicAt = null;
+
+    // Folder-specific
+    if (node.type === "folder") {
+        if (!Array.isArray(node.children)) node.children = [];
+        node.children.forEach(backfillNode);
+    }
+}
+
+const MIGRATIONS = [
+    { to: 1, name: "title/files → name/type/children", run: tree => tree.forEach(normalizeNode) },
+    { to: 2, name: "linking and sharing fields",       run: tree => tree.forEach(backfillNode) }
+];
+
+export function isNewerSchema(version) {
+    return Number(version) > SCHEMA_VERSION;
+}
+
+// ------------------------------------------------------------
+// Bring tree (in place) from version `from` to SCHEMA_VERSION.
+// Returns the version the tree is now at — `from` if it is newer than
+// this code knows, in which case nothing is touched.
+// ------------------------------------------------------------
+export function migrateTree(tree, from = 0) {
+    logger.debug("schema", () => `Running migrateTree() from version ${from}. CALLED BY: ` + getCallerName("migrateTree"));
+
+    if (isNewerSchema(from)) {
+        logger.warn("schema", `Workspace schema ${from} is newer than ${SCHEMA_VERSION} — left as it is`);
+        return from;
+    }
+
+    for (const migration of MIGRATIONS) {
+        if (migration.to <= from) continue;
+        logger.debug("schema", `Migrating workspace to schema ${migration.to} (${migration.name})`);
+        migration.run(tree);
+    }
+
+    return SCHEMA_VERSION;
+}
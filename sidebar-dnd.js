@@ -0,0 +1,237 @@
+// sidebar-dnd.js
+// Drag and drop in the sidebar tree: moves pages and folders between
+// folders and reorders siblings.
+//
+// Dropping on the top or bottom edge of a row places the node before or
+// after it; dropping on the middle of a folder's row moves it into the
+// folder. The mouse uses HTML5 drag and drop. On a touch screen a row is
+// picked up by holding it briefly and then dragging — moving straight away
+// scrolls as usual, and holding still opens the row's menu.
+//
+// Nodes keep their ids, so app://file/ links keep working. The new order is
+// the tree's order, which the manifest keeps (see "Sibling order" in
+// workspace.js). A move that changes a node's path is recorded like a rename
+// (tombstones.js), so other devices don't bring the old copy back.
+
+import { logger, getCallerName } from "./logger.js";
+import { getWorkspace, findNodeById, findNodeAndParent, getNodePath, moveNode, isWithin, encodeName, saveState } from "./workspace.js";
+import { recordRename } from "./tombstones.js";
+import { recordOfflineOp } from "./offline-journal.js";
+import { isReadOnlyDevice } from "./sync.js";
+import { renderSidebar, showNotification } from "./ui.js";
+
+logger.debug("sidebar-dnd", "sidebar-dnd.js loaded from:", import.meta.url);
+
+const EDGE = 0.25;        // share of a folder row, top and bottom, that means before / after
+const HOLD_MS = 300;      // touch: hold this long before a row can be dragged
+const SLOP_PX = 10;       // touch: moving further than this during the hold is a scroll
+
+let dragged = null;       // id of the node being dragged
+let marked = null;        // row showing the drop indicator
+let touch = null;         // { row, x, y, timer, armed, active, spot } during a touch
+
+// Holding still on a touch screen opens the row's menu — then it isn't a drag
+document.addEventListener("contextmenu", e => {
+    if (!touch) return;
+    if (touch.active) {
+        e.preventDefault();
+        e.stopPropagation();
+    } else {
+        endDrag();
+    }
+}, true);
+
+// ------------------------------------------------------------
+// Where a drop on row at clientY would put the dragged node:
+// { parentId, index, zone }, or null if it can't go there.
+// index counts the target's children without the dragged node.
+// ------------------------------------------------------------
+function dropSpot(row, clientY) {
+    const tree = getWorkspace();
+    const node = findNodeById(tree, dragged);
+    const over = findNodeAndParent(tree, row.dataset.nodeId);
+    if (!node || !over || over.node === node) return null;
+
+    const rect = row.getBoundingClientRect();
+    const y = (clientY - rect.top) / rect.height;
+    const isFolder = over.node.type === "folder";
+
+    let zone;
+    if (isFolder) zone = y < EDGE ? "before" : y > 1 - EDGE ? "after" : "into";
+    else zone = y < 0.5 ? "before" : "after";
+
+    let parent = over.parent;
+    let index = null;
+
+    if (zone === "into") {
+        parent = over.node;
+    } else if (zone === "after" && isFolder && (over.node.isOpen ?? true) && over.node.children.length > 0) {
+        // Just below an open folder's row is above its first child
+        parent = over.node;
+        index = 0;
+    }
+
+    if (parent && isWithin(tree, parent.id, node.id)) return null;   // into itself
+    if (!parent && node.type !== "folder") return null;               // pages live in folders
+
+    const siblings = (parent ? parent.children : tree).filter(n => n !== node);
+    if (index === null) {
+        index = zone === "into"
+            ? siblings.length
+            : siblings.indexOf(over.node) + (zone === "after" ? 1 : 0);
+    }
+
+    return { parentId: parent ? parent.id : null, index, zone };
+}
+
+function mark(row, zone) {
+    if (marked && marked !== row) marked.classList.remove("drop-before", "drop-after", "drop-into");
+    marked = row;
+    if (!row) return;
+
+    row.classList.toggle("drop-before", zone === "before");
+    row.classList.toggle("drop-after", zone === "after");
+    row.classList.toggle("drop-into", zone === "into");
+}
+
+function endDrag() {
+    if (touch?.timer) clearTimeout(touch.timer);
+    touch?.row.classList.remove("dragging");
+    document.querySelectorAll(".sidebar-list .dragging").forEach(el => el.classList.remove("dragging"));
+    mark(null);
+    dragged = null;
+    touch = null;
+}
+
+// ------------------------------------------------------------
+// Move the dragged node to spot
+// ------------------------------------------------------------
+function drop(spot) {
+    logger.debug("sidebar-dnd", () => "Running drop(). CALLED BY: " + getCallerName("drop"));
+
+    const tree = getWorkspace();
+    const node = findNodeById(tree, dragged);
+    const found = findNodeAndParent(tree, dragged);
+    if (!node || !found) return;
+
+    const target = spot.parentId ? findNodeById(tree, spot.parentId) : null;
+    const from = found.parent ? found.parent.children : tree;
+    const to = target ? target.children : tree;
+
+    // Same place → nothing to do
+    if (from === to && from.indexOf(node) === spot.index) return;
+
+    // Two siblings with one name would share a gist path
+    if (from !== to && to.some(n => encodeName(n.name) === encodeName(node.name))) {
+        showNotification("error", `“${target ? target.name : "The top level"}” already has an item called “${node.name}”`);
+        return;
+    }
+
+    const oldPath = getNodePath(tree, node.id);
+    if (!moveNode(tree, node.id, spot.parentId, spot.index)) return;
+    if (spot.zone === "into") target.isOpen = true;
+
+    recordRename(node, oldPath, getNodePath(tree, node.id));
+    recordOfflineOp("move", node, { parentId: spot.parentId, index: spot.index });
+    logger.info("sidebar-dnd", `Moved ${oldPath} → ${getNodePath(tree, node.id)} (position ${spot.index})`);
+
+    saveState();
+    renderSidebar();
+}
+
+// ------------------------------------------------------------
+// Touch: hold, then drag
+// ------------------------------------------------------------
+function touchStart(e, row, node) {
+    endDrag();
+    if (e.touches.length !== 1) return;
+
+    const { clientX, clientY } = e.touches[0];
+    touch = { row, x: clientX, y: clientY, armed: false, active: false, spot: null };
+    touch.timer = setTimeout(() => {
+        touch.armed = true;
+        touch.timer = null;
+        dragged = node.id;
+    }, HOLD_MS);
+}
+
+function touchMove(e) {
+    if (!touch) return;
+    const { clientX, clientY } = e.touches[0];
+
+    if (!touch.armed) {
+        if (Math.hypot(clientX - touch.x, clientY - touch.y) > SLOP_PX) endDrag();   // a scroll
+        return;
+    }
+
+    if (!e.cancelable) {   // the browser is already scrolling
+        endDrag();
+        return;
+    }
+    e.preventDefault();
+
+    if (!touch.active) {
+        touch.active = true;
+        touch.row.classList.add("dragging");
+    }
+
+    const row = document.elementFromPoint(clientX, clientY)?.closest(".sidebar-list [data-node-id]");
+    touch.spot = row ? dropSpot(row, clientY) : null;
+    mark(touch.spot ? row : null, touch.spot?.zone);
+}
+
+function touchEnd(e) {
+    if (touch?.active) {
+        e.preventDefault();   // no click on the row it started from
+        if (touch.spot) drop(touch.spot);
+    }
+    endDrag();
+}
+
+// ------------------------------------------------------------
+// Make a sidebar row (a folder header or a file item) draggable and a drop
+// target. Rows can't be moved on a read-only device.
+// ------------------------------------------------------------
+export function bindDragAndDrop(row, node) {
+    row.dataset.nodeId = node.id;
+    if (isReadOnlyDevice()) return;
+
+    row.draggable = true;
+
+    row.addEventListener("dragstart", e => {
+        e.stopPropagation();
+        dragged = node.id;
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", node.name);
+        row.classList.add("dragging");
+    });
+
+    row.addEventListener("dragover", e => {
+        if (!dragged || touch) return;
+        const spot = dropSpot(row, e.clientY);
+        mark(spot ? row : null, spot?.zone);
+        if (spot) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+        }
+    });
+
+    row.addEventListener("dragleave", e => {
+        if (marked === row && !row.contains(e.relatedTarget)) mark(null);
+    });
+
+    row.addEventListener("drop", e => {
+        e.preventDefault();
+        e.stopPropagation();
+        const spot = dragged ? dropSpot(row, e.clientY) : null;
+        if (spot) drop(spot);
+        endDrag();
+    });
+
+    row.addEventListener("dragend", () => endDrag());
+
+    row.addEventListener("touchstart", e => touchStart(e, row, node), { passive: true });
+    row.addEventListener("touchmove", touchMove, { passive: false });
+    row.addEventListener("touchend", touchEnd);
+    row.addEventListener("touchcancel", () => endDrag());
+}
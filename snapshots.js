@@ -0,0 +1,231 @@
+// snapshots.js
+// Rolling local snapshots of the workspace, kept in IndexedDB.
+//
+// A snapshot is taken before anything replaces the workspace wholesale —
+// loading or merging the cloud version, an import, restoring a version,
+// replaying offline edits — and when an ID anomaly or an expired session is
+// detected. The newest MAX_SNAPSHOTS of each workspace are kept; a snapshot
+// identical to the one before it isn't stored twice.
+//
+// The recovery screen lists them, shows how one differs from the current
+// workspace and restores it. Without IndexedDB, snapshots fall back to the
+// old behaviour: a download of the workspace (exportWorkspace()).
+
+import { logger, getCallerName } from "./logger.js";
+import { SNAPSHOT_STORE, storeGetAll, storeGet, storePut, storeDelete } from "./idb.js";
+import { getActiveWorkspaceId, listWorkspaces } from "./workspaces.js";
+import { getWorkspace, setWorkspace, saveState, flattenWorkspace, flattenFolders } from "./workspace.js";
+import { deviceId } from "./device.js";
+import { compareWithCurrent, buildPreviewItem } from "./history-panel.js";
+import { showModal, hideModal, escapeHtml, showNotification, renderSidebar, closeActiveFile, exportWorkspace } from "./ui.js";
+
+logger.debug("snapshots", "snapshots.js loaded from:", import.meta.url);
+
+const MAX_SNAPSHOTS = 30;
+
+// Why a snapshot was taken, for the recovery screen
+const REASONS = {
+    "cloud-apply":    "Before loading the cloud version",
+    "cloud-merge":    "Before merging cloud changes",
+    "offline-replay": "Before replaying offline edits",
+    "import":         "Before an import",
+    "restore":        "Before restoring a cloud version",
+    "recovery":       "Before restoring a snapshot",
+    "id-anomaly":     "ID anomaly detected",
+    "token-expired":  "GitHub session expired"
+};
+
+function countPages(tree) {
+    return flattenWorkspace(tree).length;
+}
+
+function formatWhen(iso) {
+    return new Date(iso).toLocaleString();
+}
+
+// ------------------------------------------------------------
+// Take a snapshot of the workspace as it is now.
+// The copy is made before returning, so the caller may go on and replace
+// the workspace without awaiting. Never rejects.
+// ------------------------------------------------------------
+export function takeSnapshot(reason, extra = {}) {
+    logger.debug("snapshots", () => `Running takeSnapshot(${reason}). CALLED BY: ` + getCallerName("takeSnapshot"));
+
+    const tree = JSON.parse(JSON.stringify(getWorkspace() || []));
+    if (tree.length === 0) return Promise.resolve(null);   // nothing to lose
+
+    const workspaceId = getActiveWorkspaceId();
+    const record = {
+        workspaceId,
+        workspaceName: listWorkspaces().find(ws => ws.id === workspaceId)?.name || workspaceId,
+        reason,
+        extra: JSON.parse(JSON.stringify(extra)),
+        takenAt: new Date().toISOString(),
+        deviceId,
+        pages: countPages(tree),
+        tree
+    };
+
+    return storeSnapshot(record).catch(err => {
+        logger.error("snapshots", "Snapshot not stored — downloading the workspace instead", err);
+        exportWorkspace(reason, extra);
+        return null;
+    });
+}
+
+async function storeSnapshot(record) {
+    if (!window.indexedDB) throw new Error("IndexedDB unavailable");
+
+    const existing = await listSnapshots();
+    const latest = existing[0];
+
+    if (latest && JSON.stringify(latest.tree) === JSON.stringify(record.tree)) {
+        logger.debug("snapshots", `Workspace unchanged since snapshot ${latest.id} — not stored again`);
+        return latest.id;
+    }
+
+    const id = await storePut(SNAPSHOT_STORE, record);
+    logger.info("snapshots", `Snapshot ${id} taken (${record.reason}, ${record.pages} page(s))`);
+
+    const expired = existing.slice(MAX_SNAPSHOTS - 1).map(s => s.id);
+    if (expired.length) await storeDelete(SNAPSHOT_STORE, expired);
+
+    return id;
+}
+
+// Snapshots of the active workspace, newest first
+export async function listSnapshots() {
+    const all = await storeGetAll(SNAPSHOT_STORE, "workspaceId", getActiveWorkspaceId());
+    return all.sort((a, b) => b.id - a.id);
+}
+
+// ------------------------------------------------------------
+// Replace the workspace with a snapshot (the current one is kept as a
+// snapshot first). Sync saves it like any other local change.
+// ------------------------------------------------------------
+export async function restoreSnapshot(id) {
+    logger.debug("snapshots", () => "Running restoreSnapshot(). CALLED BY: " + getCallerName("restoreSnapshot"));
+
+    const snapshot = await storeGet(SNAPSHOT_STORE, id);
+    if (!snapshot || snapshot.workspaceId !== getActiveWorkspaceId()) {
+        showNotification("error", "Snapshot not found");
+        return false;
+    }
+
+    await takeSnapshot("recovery", { restoring: id });
+
+    setWorkspace(snapshot.tree);
+    saveState();
+    closeActiveFile();
+    renderSidebar();
+
+    logger.info("snapshots", `Restored snapshot ${id} (${snapshot.reason}, ${snapshot.takenAt})`);
+    showNotification("success", `Restored the snapshot of ${formatWhen(snapshot.takenAt)}`);
+    return true;
+}
+
+// ------------------------------------------------------------
+// Recovery screen
+// ------------------------------------------------------------
+function buildRow(snapshot) {
+    const li = document.createElement("li");
+    li.className = "history-row";
+    li.innerHTML = `
+        <div class="history-row-when">${escapeHtml(formatWhen(snapshot.takenAt))}</div>
+        <div class="history-row-meta">${escapeHtml(REASONS[snapshot.reason] || snapshot.reason)} · ${snapshot.pages} page(s)</div>
+    `;
+    return li;
+}
+
+export async function showRecoveryPanel() {
+    logger.debug("snapshots", () => "Running showRecoveryPanel(). CALLED BY: " + getCallerName("showRecoveryPanel"));
+
+    let snapshots;
+    try {
+        snapshots = await listSnapshots();
+    } catch (err) {
+        logger.error("snapshots", "Failed to list snapshots", err);
+        showNotification("error", "Local snapshots are unavailable in this browser");
+        return;
+    }
+
+    if (snapshots.length === 0) {
+        showModal({
+            title: "Local snapshots",
+            body: `<p class="history-hint">No snapshots yet — one is taken automatically before the workspace is replaced or merged.</p>`,
+            actions: [{ label: "Close", action: () => hideModal() }]
+        });
+        return;
+    }
+
+    let selected = null;
+    const current = [...flattenFolders(getWorkspace()), ...flattenWorkspace(getWorkspace())];
+
+    const body = document.createElement("div");
+    body.className = "history-layout";
+    body.innerHTML = `
+        <div class="history-list"><ul></ul></div>
+        <div class="history-preview"><p class="history-hint">Select a snapshot to see how it differs from your workspace.</p></div>
+    `;
+    const listEl = body.querySelector("ul");
+    const previewEl = body.querySelector(".history-preview");
+
+    const buttons = () => document.querySelectorAll("#modal-footer .btn-primary, #modal-footer .btn-danger");
+    const setEnabled = (enabled) => buttons().forEach(btn => { btn.disabled = !enabled; });
+
+    const select = (snapshot, li) => {
+        selected = snapshot;
+        listEl.querySelectorAll(".history-row").forEach(r => r.classList.toggle("selected", r === li));
+
+        const flat = [...flattenFolders(snapshot.tree), ...flattenWorkspace(snapshot.tree)];
+        const items = compareWithCurrent(flat, current);
+
+        previewEl.innerHTML = "";
+        const intro = document.createElement("p");
+        intro.textContent = items.length === 0
+            ? "This snapshot matches your current workspace."
+            : `${items.length} file(s) differ from your current workspace:`;
+        previewEl.appendChild(intro);
+
+        const label = `Snapshot of ${formatWhen(snapshot.takenAt)}`;
+        items.forEach(item => previewEl.appendChild(buildPreviewItem(item, label)));
+
+        setEnabled(true);
+    };
+
+    snapshots.forEach(snapshot => {
+        const li = buildRow(snapshot);
+        li.addEventListener("click", () => select(snapshot, li));
+        listEl.appendChild(li);
+    });
+
+    showModal({
+        title: "Local snapshots",
+        body,
+        wide: true,
+        actions: [
+            { label: "Close", action: () => hideModal() },
+            {
+                label: "Delete",
+                danger: true,
+                action: async () => {
+                    if (!selected || !confirm("Delete this snapshot?")) return;
+                    await storeDelete(SNAPSHOT_STORE, selected.id);
+                    showRecoveryPanel();
+                }
+            },
+            {
+                label: "Restore selected snapshot",
+                primary: true,
+                action: async () => {
+                    if (!selected) return;
+                    if (!confirm("Replace your workspace with this snapshot? The current workspace is kept as a snapshot.")) return;
+                    hideModal();
+                    await restoreSnapshot(selected.id);
+                }
+            }
+        ]
+    });
+
+    setEnabled(false);
+}
@@ -0,0 +1,71 @@
+// storage-provider.js
+// Where the workspace is stored. The sync engine only talks to the active
+// provider; GitHub Gist is the default.
+//
+// Every provider stores a flat set of named text files (pages plus
+// __workspace.json) and implements:
+//
+//   id, label
+//   isReady({ quiet })     → Promise<bool>  has what it needs (may notify unless quiet)
+//   configure()            → Promise<bool>  interactive setup (sign-in, pick folder, URL…)
+//   identity()             → { provider, id, label } of the store it points at
+//   load({ manifestOnly }) → Promise<{ id, updatedAt, names, files, complete } | null>
+//                            files: { name: { content } }; with manifestOnly only
+//                            __workspace.json needs content (names still lists all)
+//   save(changes, opts)    → Promise<{ id }>   changes: { name: { content } | null }
+//                            (null deletes the file)
+//   listRevisions()        → Promise<[{ version, committedAt }]>  newest first
+//   getRevision(version, { manifestOnly })
+//                          → Promise<{ files, complete } | null>
+//
+// Errors are thrown; "TOKEN_INVALID" means the credentials need renewing.
+
+import { logger } from "./logger.js";
+import { scopedKey } from "./workspaces.js";
+import { gistProvider } from "./gist-provider.js";
+import { localFolderProvider } from "./local-folder-provider.js";
+import { webdavProvider } from "./webdav-provider.js";
+
+logger.debug("storage-provider", "storage-provider.js loaded from:", import.meta.url);
+
+const PROVIDER_KEY = "storageProvider";
+const DEFAULT_PROVIDER = "gist";
+
+let providers = null;
+
+// Built on first use — the provider modules sit inside the sync/auth import cycle
+function registry() {
+    if (!providers) {
+        providers = new Map();
+        for (const provider of [gistProvider, localFolderProvider, webdavProvider]) {
+            providers.set(provider.id, provider);
+        }
+    }
+    return providers;
+}
+
+export function registerProvider(provider) {
+    registry().set(provider.id, provider);
+}
+
+export function listProviders() {
+    return [...registry().values()];
+}
+
+export function getActiveProviderId() {
+    const id = localStorage.getItem(scopedKey(PROVIDER_KEY));
+    return registry().has(id) ? id : DEFAULT_PROVIDER;
+}
+
+export function setActiveProviderId(id) {
+    if (!registry().has(id)) {
+        logger.error("storage-provider", `Unknown storage provider: ${id}`);
+        return;
+    }
+    localStorage.setItem(scopedKey(PROVIDER_KEY), id);
+    logger.info("storage-provider", `Active storage provider → ${id}`);
+}
+
+export function getProvider() {
+    return registry().get(getActiveProviderId());
+}
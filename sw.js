@@ -0,0 +1,161 @@
+// sw.js
+// Service worker that owns the queue of saves made while offline.
+//
+// A gist save that can't reach GitHub is queued here (see
+// background-sync.js) and flushed with the Background Sync API once
+// connectivity returns — also when the tab that queued it has since been
+// closed. Pages without Background Sync send a "flush" message instead
+// when they come back online.
+//
+// The GitHub token is only kept in a queued record when Background Sync can
+// run the flush without a page; otherwise the page sends it with the
+// "flush" message. A settled record never keeps it.
+//
+// This is a plain script, not a module, so it has its own small IndexedDB
+// helpers. The queue lives in its own database so the page's "kb" database
+// can change version without the worker having to follow:
+//
+//   "kb-sync-queue" / "saves", one record per workspace id:
+//   { workspaceId, gistId, token, description, changes, hash, fileHashes,
+//     flat, expectedCloudHash, queuedAt, status, error }
+//   status: "pending" | "done" | "conflict" | "auth-expired"
+//
+// Progress goes to open pages over the "kb-sw-status" BroadcastChannel as
+//   { type: "flushing" | "flushed" | "conflict" | "auth-expired" | "failed", workspaceId, error }
+// The page applies finished records itself (baseline, cloud file state).
+
+const QUEUE_DB = "kb-sync-queue";
+const QUEUE_STORE = "saves";
+const SYNC_TAG = "kb-save";
+const STATUS_CHANNEL = "kb-sw-status";
+const GIST_API = "https://api.github.com/gists";
+
+const status = new BroadcastChannel(STATUS_CHANNEL);
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener("sync", (event) => {
+    if (event.tag === SYNC_TAG) event.waitUntil(flushQueue());
+});
+
+self.addEventListener("message", (event) => {
+    if (event.data?.type === "flush") event.waitUntil(flushQueue(event.data.credentials).catch(() => {}));
+});
+
+// ------------------------------------------------------------
+// Flushing
+// ------------------------------------------------------------
+
+// Rejects if anything is left to retry — the browser then schedules
+// the sync event again with its own backoff. credentials ({ workspaceId,
+// token }, from a page) stand in for a token the record doesn't hold.
+async function flushQueue(credentials = null) {
+    const pending = (await queueGetAll()).filter(entry => entry.status === "pending");
+    let retry = false;
+
+    for (const entry of pending) {
+        const token = entry.token || (credentials?.workspaceId === entry.workspaceId ? credentials.token : null);
+        if (!token) continue;   // waits for its page to flush it
+
+        try {
+            await flushEntry(entry, token);
+        } catch (err) {
+            retry = true;
+            post({ type: "failed", workspaceId: entry.workspaceId, error: err.message });
+        }
+    }
+
+    if (retry) throw new Error("Saves still pending");
+}
+
+async function flushEntry(entry, token) {
+    post({ type: "flushing", workspaceId: entry.workspaceId });
+
+    const url = `${GIST_API}/${entry.gistId}`;
+    const headers = { "Authorization": `token ${token}` };
+
+    // Don't overwrite what another device saved after this one was queued —
+    // the page merges that the usual way and saves again
+    const current = await fetch(url, { headers, cache: "no-store" });
+    if (current.status === 401) return settle(entry, "auth-expired");
+    if (!current.ok) throw new Error(`GitHub answered ${current.status}`);
+
+    // An unknown cloud hash can't be shown to match — a conflict too
+    const cloudHash = await manifestHash(await current.json());
+    if (entry.expectedCloudHash && cloudHash !== entry.expectedCloudHash) {
+        return settle(entry, "conflict");
+    }
+
+    const res = await fetch(url, {
+        method: "PATCH",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({ description: entry.description, files: entry.changes })
+    });
+    if (res.status === 401) return settle(entry, "auth-expired");
+    if (!res.ok) throw new Error(`GitHub answered ${res.status}`);
+
+    await settle(entry, "done");
+}
+
+async function settle(entry, outcome) {
+    // The token isn't needed once the record is no longer pending
+    const record = { ...entry, token: null, status: outcome, settledAt: new Date().toISOString() };
+
+    await queuePut(record);
+    post({ type: outcome === "done" ? "flushed" : outcome, workspaceId: entry.workspaceId });
+}
+
+// Hash recorded in __workspace.json, or null (older gist, unreadable file).
+// A truncated manifest is fetched whole from its raw_url.
+async function manifestHash(gist) {
+    const file = gist?.files?.["__workspace.json"];
+    if (!file) return null;
+
+    try {
+        let content = file.content;
+        if (file.truncated) {
+            const raw = await fetch(file.raw_url, { cache: "no-store" });
+            if (!raw.ok) return null;
+            content = await raw.text();
+        }
+        return JSON.parse(content).hash || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function post(message) {
+    status.postMessage(message);
+}
+
+// ------------------------------------------------------------
+// Queue storage (same layout as background-sync.js)
+// ------------------------------------------------------------
+function openQueue() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(QUEUE_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(QUEUE_STORE, { keyPath: "workspaceId" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function queueGetAll() {
+    const db = await openQueue();
+    return new Promise((resolve, reject) => {
+        const req = db.transaction(QUEUE_STORE, "readonly").objectStore(QUEUE_STORE).getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function queuePut(record) {
+    const db = await openQueue();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(QUEUE_STORE, "readwrite");
+        tx.objectStore(QUEUE_STORE).put(record);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
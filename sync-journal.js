@@ -0,0 +1,197 @@
+// sync-journal.js
+// A persisted record of what sync decided and why.
+//
+// Each sync check, save and cloud-change outcome adds an entry:
+//   { at, reason, decision, local, cloud, lastSynced, files, error, count }
+// Hashes are kept as 8-character prefixes, like the debug log. Identical
+// entries in a row (the periodic "nothing-changed") are folded into one
+// with a count, so the journal covers days rather than hours.
+//
+// The panel answers "why did my edit disappear?" on devices without
+// DevTools; "Copy" puts the journal on the clipboard to send on.
+
+import { logger, getCallerName } from "./logger.js";
+import { scopedKey } from "./workspaces.js";
+import { showModal, hideModal, escapeHtml, showNotification } from "./ui.js";
+
+logger.debug("sync-journal", "sync-journal.js loaded from:", import.meta.url);
+
+const JOURNAL_KEY = "kb_sync_journal";
+const MAX_ENTRIES = 200;
+
+// What each decision means, for the panel
+const DECISIONS = {
+    "adopt-cloud-baseline": "Took the cloud version as the starting point",
+    "load-cloud":           "Nothing on this device — loaded the cloud workspace",
+    "resume-skip":          "Nothing changed while away",
+    "cloud-newer":          "Cloud had changes — asked what to do",
+    "nothing-changed":      "Device and cloud match",
+    "login-push":           "Login: this device was newer — saved it to the cloud",
+    "login-pull":           "Login: the cloud was newer — loaded it",
+    "login-match":          "Login: device and cloud already match",
+    "cloud-merged":         "Cloud changes merged into this device",
+    "cloud-declined":       "Cloud changes not taken — kept this device's version",
+    "offline-replayed":     "Edits made while offline replayed onto the cloud version",
+    "saved":                "Saved to the cloud",
+    "save-nothing-sent":    "Save: the cloud already had everything",
+    "save-refused":         "Save refused",
+    "save-failed":          "Save failed",
+    "save-queued":          "Offline — save handed to the background queue",
+    "background-conflict":  "Queued save not sent — the cloud changed meanwhile",
+    "disconnected":         "Storage not reachable — sync stopped",
+    "offline":              "Offline",
+    "rate-limited":         "GitHub rate limit — skipped",
+    "auth-expired":         "GitHub session expired",
+    "error":                "Error"
+};
+
+function short(hash) {
+    return hash ? hash.slice(0, 8) : null;
+}
+
+function readJournal() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(scopedKey(JOURNAL_KEY)) || "[]");
+        return Array.isArray(entries) ? entries : [];
+    } catch (err) {
+        logger.error("sync-journal", "Failed to parse sync journal", err);
+        return [];
+    }
+}
+
+function writeJournal(entries) {
+    try {
+        localStorage.setItem(scopedKey(JOURNAL_KEY), JSON.stringify(entries.slice(-MAX_ENTRIES)));
+    } catch (err) {
+        // A full localStorage must not break sync — drop the older half and carry on
+        logger.warn("sync-journal", "Could not write sync journal — trimming it", err);
+        try {
+            localStorage.setItem(scopedKey(JOURNAL_KEY), JSON.stringify(entries.slice(-MAX_ENTRIES / 2)));
+        } catch (retryErr) {
+            logger.error("sync-journal", "Sync journal not saved", retryErr);
+        }
+    }
+}
+
+function sameOutcome(a, b) {
+    return a && b &&
+        a.reason === b.reason && a.decision === b.decision &&
+        a.local === b.local && a.cloud === b.cloud && a.lastSynced === b.lastSynced &&
+        !a.error && !b.error && !a.files?.length && !b.files?.length;
+}
+
+// ------------------------------------------------------------
+// Add an entry. Hashes may be passed whole; files are display paths.
+// ------------------------------------------------------------
+export function recordSyncEntry({ reason, decision, local = null, cloud = null, lastSynced = null, files = [], error = null }) {
+    const entry = {
+        at: new Date().toISOString(),
+        reason,
+        decision,
+        local: short(local),
+        cloud: short(cloud),
+        lastSynced: short(lastSynced),
+        files,
+        error
+    };
+
+    const entries = readJournal();
+    const last = entries[entries.length - 1];
+
+    if (sameOutcome(last, entry)) {
+        last.count = (last.count || 1) + 1;
+        last.until = entry.at;
+    } else {
+        entries.push(entry);
+    }
+
+    writeJournal(entries);
+}
+
+export function getSyncJournal() {
+    return readJournal();
+}
+
+export function clearSyncJournal() {
+    localStorage.removeItem(scopedKey(JOURNAL_KEY));
+}
+
+// ------------------------------------------------------------
+// Panel
+// ------------------------------------------------------------
+function formatWhen(entry) {
+    const from = new Date(entry.at).toLocaleString();
+    return entry.count > 1
+        ? `${from} – ${new Date(entry.until).toLocaleTimeString()} (×${entry.count})`
+        : from;
+}
+
+function entryAsText(entry) {
+    const hashes = `local=${entry.local ?? "-"} cloud=${entry.cloud ?? "-"} lastSynced=${entry.lastSynced ?? "-"}`;
+    const lines = [`${formatWhen(entry)}  ${entry.reason} → ${entry.decision}  ${hashes}`];
+    if (entry.files?.length) lines.push(`    files: ${entry.files.join(", ")}`);
+    if (entry.error) lines.push(`    error: ${entry.error}`);
+    return lines.join("\n");
+}
+
+function buildRow(entry) {
+    const li = document.createElement("li");
+    li.className = `journal-row ${entry.error ? "journal-error" : ""}`;
+    li.innerHTML = `
+        <div class="journal-row-head">
+            <span class="journal-when">${escapeHtml(formatWhen(entry))}</span>
+            <span class="conflict-status">${escapeHtml(entry.reason)}</span>
+        </div>
+        <div class="journal-decision">${escapeHtml(DECISIONS[entry.decision] || entry.decision)}</div>
+        <div class="journal-hashes">local ${escapeHtml(entry.local ?? "–")} · cloud ${escapeHtml(entry.cloud ?? "–")} · last synced ${escapeHtml(entry.lastSynced ?? "–")}</div>
+        ${entry.files?.length ? `<div class="journal-files">${entry.files.map(escapeHtml).join("<br>")}</div>` : ""}
+        ${entry.error ? `<div class="journal-error-text">${escapeHtml(entry.error)}</div>` : ""}
+    `;
+    return li;
+}
+
+export function showSyncJournalPanel() {
+    logger.debug("sync-journal", () => "Running showSyncJournalPanel(). CALLED BY: " + getCallerName("showSyncJournalPanel"));
+
+    const entries = readJournal().reverse();   // newest first
+    const body = document.createElement("div");
+
+    if (entries.length === 0) {
+        body.innerHTML = `<p class="history-hint">Nothing recorded yet — entries appear as this device syncs.</p>`;
+    } else {
+        const list = document.createElement("ul");
+        list.className = "journal-list";
+        entries.forEach(entry => list.appendChild(buildRow(entry)));
+        body.appendChild(list);
+    }
+
+    showModal({
+        title: "Sync activity",
+        body,
+        wide: true,
+        actions: [
+            { label: "Close", action: () => hideModal() },
+            {
+                label: "Copy",
+                action: async () => {
+                    try {
+                        await navigator.clipboard.writeText(entries.map(entryAsText).join("\n"));
+                        showNotification("success", "Sync activity copied");
+                    } catch (err) {
+                        logger.error("sync-journal", "Copy failed", err);
+                        showNotification("error", "Could not copy to the clipboard");
+                    }
+                }
+            },
+            {
+                label: "Clear",
+                danger: true,
+                action: () => {
+                    if (!confirm("Clear the sync activity log for this workspace?")) return;
+                    clearSyncJournal();
+                    showSyncJournalPanel();
+                }
+            }
+        ]
+    });
+}
@@ -0,0 +1,136 @@
+// sync-state.js
+// The sync engine's state, in one place.
+//
+// Sync is always in exactly one of these states:
+//
+//   idle          nothing in flight
+//   checking      runSyncCheck() is comparing local and cloud
+//   saving        saveWorkspaceToGist() is writing
+//   conflict      the cloud changed and the user is being asked about it
+//   offline       the network or the storage can't be reached
+//   auth-expired  the GitHub session ended; nothing runs until login
+//
+// Moves between them go through transition(), which refuses the ones the
+// table below doesn't allow — e.g. a save can't start while the
+// cloud-change dialog is open, and a check can't start during a save.
+// Alongside the state: whether sync is enabled and whether the loop runs.
+//
+// Every change is announced to onSyncStateChange() listeners as
+//   { state, previous, enabled, loopRunning, info }
+// so the status badge and the sync toggle render from events instead of
+// being updated by hand.
+
+import { logger, getCallerName } from "./logger.js";
+
+logger.debug("sync-state", "sync-state.js loaded from:", import.meta.url);
+
+export const SYNC_STATES = Object.freeze({
+    IDLE: "idle",
+    CHECKING: "checking",
+    SAVING: "saving",
+    CONFLICT: "conflict",
+    OFFLINE: "offline",
+    AUTH_EXPIRED: "auth-expired"
+});
+
+const { IDLE, CHECKING, SAVING, CONFLICT, OFFLINE, AUTH_EXPIRED } = SYNC_STATES;
+
+// state → states it may move to
+const TRANSITIONS = {
+    [IDLE]:         [CHECKING, SAVING, CONFLICT, OFFLINE, AUTH_EXPIRED],
+    [CHECKING]:     [IDLE, SAVING, CONFLICT, OFFLINE, AUTH_EXPIRED],
+    [SAVING]:       [IDLE, OFFLINE, AUTH_EXPIRED],
+    [CONFLICT]:     [IDLE, SAVING, OFFLINE, AUTH_EXPIRED],
+    [OFFLINE]:      [IDLE, CHECKING, SAVING, AUTH_EXPIRED],
+    [AUTH_EXPIRED]: [IDLE, CHECKING]
+};
+
+let state = IDLE;
+let info = {};
+let enabled = true;
+let loopRunning = false;
+
+const listeners = new Set();
+
+export function getSyncState() {
+    return state;
+}
+
+export function isSyncBusy() {
+    return state === CHECKING || state === SAVING || state === CONFLICT;
+}
+
+export function canTransition(to) {
+    return to === state || TRANSITIONS[state].includes(to);
+}
+
+// ------------------------------------------------------------
+// Move to `to`. Returns false (and changes nothing) if that move isn't
+// allowed from the current state.
+//
+// info travels with the event, e.g. { synced: true } after a successful
+// check, { error: "Save failed" }, { reason: "Token expired" }.
+// ------------------------------------------------------------
+export function transition(to, details = {}) {
+    if (!TRANSITIONS[to]) {
+        logger.error("sync-state", `Unknown sync state: ${to}`);
+        return false;
+    }
+
+    if (!canTransition(to)) {
+        logger.debugSyncing("sync-state", `Refused ${state} → ${to}. CALLED BY: ` + getCallerName("transition"));
+        return false;
+    }
+
+    const previous = state;
+    state = to;
+    info = details;
+
+    logger.debugSyncing("sync-state", `${previous} → ${to}`, details);
+    emit(previous);
+    return true;
+}
+
+// ------------------------------------------------------------
+// Enabled / loop flags
+// ------------------------------------------------------------
+export function isSyncEnabledFlag() {
+    return enabled;
+}
+
+export function isLoopRunning() {
+    return loopRunning;
+}
+
+export function setSyncFlags(flags = {}) {
+    const next = {
+        enabled: flags.enabled ?? enabled,
+        loopRunning: flags.loopRunning ?? loopRunning
+    };
+
+    if (next.enabled === enabled && next.loopRunning === loopRunning) return;
+
+    enabled = next.enabled;
+    loopRunning = next.loopRunning;
+    emit(state);
+}
+
+// ------------------------------------------------------------
+// Listeners. Returns an unsubscribe function.
+// ------------------------------------------------------------
+export function onSyncStateChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function emit(previous) {
+    const event = { state, previous, enabled, loopRunning, info };
+
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch (err) {
+            logger.error("sync-state", "Sync state listener failed", err);
+        }
+    }
+}
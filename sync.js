@@ -1,40 +1,62 @@
 /*
 Sync is hash-based.
+What sync is doing right now (checking, saving, asking about a conflict…) lives in sync-state.js.
 lastSyncedHash is the canonical record of the last known cloud state.
+lastSyncedFlat is the flat list behind that hash — the base for three-way merges
+(kept in IndexedDB, see workspace-store.js).
+Saves are deltas: lastSyncedFileHashes records what the gist holds, per file.
 Cloud-newer detection is cloudHash !== lastSyncedHash.
 Timestamps are used only for idle-return and auto-save timing.
 */
 
 
 import { getToken, getGistId, setGistId, requireLogin, clearGistId, clearToken } from "./auth.js";
-import { setWorkspace, saveState, getWorkspace, flattenWorkspace, migrateWorkspace, mergeWorkspace, createEmptyWorkspace, loadState, inflateWorkspace, encodeName, decodeName } from "./workspace.js";
-import { renderSidebar, setSyncStatus, showNotification, showCountdownNotification, exportWorkspace, activeFileId, loadFile } from "./ui.js";
+import { setWorkspace, saveState, getWorkspace, flattenWorkspace, flattenFolders, migrateWorkspace, mergeWorkspace, createEmptyWorkspace, loadState, inflateWorkspace, encodeName, decodeName, encodePath, encodeFilePath, findNodeById, createNewID, getNodePath, flatSubtree, createFolder, createFile, workspaceSchemaVersion, insertChild } from "./workspace.js";
+import { renderSidebar, showNotification, showCountdownNotification, activeFileId, loadFile, closeActiveFile, updateLoginIndicator, showModal, hideModal } from "./ui.js";
 import { logger, LOG_LEVELS, formatDateNZ, getCallerName } from "./logger.js";
-import { extractMetadata, applyMetadata, setMetadata, getMetadata} from "./workspace-metadata.js";   
-import { updateSyncToggleButton } from "./binding.js";
-import { deviceId } from "./device.js";
-
-// Global guard to survive circular imports and module reloads
-if (window.__cloudChangeHandled === undefined) {
-    logger.warn("sync: guard-init", "__cloudChangeHandled was undefined → initializing to false");
-    window.__cloudChangeHandled = false;
-} else {
-    logger.debugSyncing("sync: guard-init", `__cloudChangeHandled already exists: ${window.__cloudChangeHandled}`);
-}
-
+import { extractMetadata, applyMetadata, setMetadata, getMetadata, getWorkspaceName, setWorkspaceName, WORKSPACE_KIND } from "./workspace-metadata.js";   
+import { deviceId, describeDevice } from "./device.js";
+import { mergeFlat } from "./merge.js";
+import { showConflictDialog, displayPath } from "./conflict-dialog.js";
+import { recordSyncEntry } from "./sync-journal.js";
+import { getOfflineOps, hasOfflineOps, clearOfflineOps, applyOfflineOps } from "./offline-journal.js";
+import { initBackgroundSync, queueBackgroundSave, dropQueuedSave, takeSettledSave } from "./background-sync.js";
+import { takeSnapshot } from "./snapshots.js";
+import { SCHEMA_VERSION, isNewerSchema } from "./schema.js";
+import { checkBeforeSave, showIntegrityPanel } from "./integrity.js";
+import { getEncryption, setEncryption, createEncryption, hasKey, unlock, tryPassphrase, askPassphrase, isEncrypted, encryptText, decryptText, keyedHash } from "./crypto-box.js";
+import { showHistoryPanel, showNodeHistoryPanel } from "./history-panel.js";
+import { absorbTombstones, buildTombstoneManifest, isDeleted, recordRestore } from "./tombstones.js";
+import { absorbTrash, buildTrashManifest, trashFileNames } from "./trash.js";
+import { getProvider, listProviders, getActiveProviderId, setActiveProviderId } from "./storage-provider.js";
+import { githubFetch, listWorkspaceGists, createWorkspaceGist, workspaceDescription } from "./gist-provider.js";
+import { showWorkspacePickerDialog } from "./workspace-picker.js";
+import { isSyncOwner, requestOwnerSave, switchTabsWorkspace } from "./tabs.js";
+import { writeBaseline, readBaseline, deleteBaseline } from "./workspace-store.js";
+import { scopedKey, keyFor, listWorkspaces, getActiveWorkspaceId, setActiveWorkspaceId, addWorkspace, findWorkspaceBy } from "./workspaces.js";
+import { SYNC_STATES, transition, canTransition, getSyncState, setSyncFlags, isSyncEnabledFlag, isLoopRunning } from "./sync-state.js";
+
+const { IDLE, CHECKING, SAVING, CONFLICT, OFFLINE, AUTH_EXPIRED } = SYNC_STATES;
 
 
 let lastSuccessfulSyncTime = 0;          // Local wall-clock time of last sync
 let lastLocalEditTime = 0;     // Last time user typed anything
 let syncInterval = 2 * 60 * 1000; // 2 minutes
 let idleReturnThreshold = syncInterval * 2; // 4 minutes = “user returned”
-export let lastSyncedHash = localStorage.getItem("lastSyncedHash") || null;
-let syncEnabled = JSON.parse(localStorage.getItem("syncEnabled") ?? "true");
-export let syncIntervalId = null;
-let isSaving = false;
+export let lastSyncedHash = localStorage.getItem(scopedKey("lastSyncedHash")) || null;
+const HASH_FORMAT = 2;                                   // 2: computeWorkspaceHash includes order
+const HASH_FORMAT_KEY = "lastSyncedHashFormat";          // per workspace (scopedKey), recorded with the baseline
+const SYNC_ENABLED_KEY = "syncEnabled";                   // per workspace (scopedKey)
+const SYNC_ENABLED_MIGRATED_KEY = "syncEnabledPerWorkspace"; // global — set once the old value is copied
+migrateSyncEnabled();
+setSyncFlags({ enabled: readSyncEnabled() });
+let syncIntervalId = null;
 let lastActivityTime = Date.now(); 
 const IDLE_THRESHOLD = 30_000; // 30 seconds
-let cloudChangeHandled = false;
+let declinedCloudHash = null;      // cloud version the user chose not to take — not asked again
+let cloudLoadIncomplete = false;   // last cloud load missed content → saving is refused
+let newerCloudSchema = null;       // schema of a cloud workspace saved by a newer client → saving is refused
+let cloudLayout = null;            // "id" or "path" — gist layout seen on the last load
 // mobile update ability functionality
 export const settings = {
     mobileReadOnly: true,
@@ -44,7 +66,6 @@ export const settings = {
 // When we have paths populated, chane to using paths, so as to avoind duplicate files. So wil lbecome EXCLUSION_PATHS
 export const EXCLUSION_FILES = new Set(["__workspace.json", "workspace.json"]);
 
-const GIST_API = "https://api.github.com/gists";
 
 logger.debugSyncing("sync","sync.js loaded from:", import.meta.url);
 
@@ -57,61 +78,6 @@ export function isReadOnlyDevice() {
 }
 
 
-async function getCurrentWorkspaceGist() {
-    logger.debugSyncing("sync", () => "Running getCurrentWorkspaceGist(). CALLED BY: " + getCallerName("getCurrentWorkspaceGist"));
-
-    if (!requireLogin()) {
-        logger.info("sync: getCurrentWorkspaceGist", "Not logged in.");
-        return null;
-    }
-
-    const gistId = getGistId();
-    const githubToken = getToken();
-    if (!gistId || !githubToken) {
-        logger.info("sync: getCurrentWorkspaceGist", "No gistId or token found in localStorage.");
-        disconnectFromGitHub("Cloud connection lost.");
-        return null;
-    }
-
-    logger.info("sync: getCurrentWorkspaceGist", `Fetching gist with ID: ${gistId}`);
-
-    try {
-        const res = await githubFetch(`${GIST_API}/${gistId}`);
-
-        if (res.status === 401) {
-            logger.error("sync: getCurrentWorkspaceGist", "GitHub token invalid or expired. Disconnecting.");
-            disconnectFromGitHub("Cloud token expired.");
-            return null;
-        }
-
-        if (!res.ok) {
-            const text = await res.text();
-            logger.error("sync: getCurrentWorkspaceGist", `Failed to fetch gist (status: ${res.status})`);
-            return null;
-        }
-
-        const data = await res.json();
-
-        if (!data || !data.files) {
-            logger.error("sync: getCurrentWorkspaceGist", "Response missing files property");
-            return null;
-        }   
-
-        logger.info("sync: getCurrentWorkspaceGist", `Fetched gist with ID: ${data.id}, updated_at: ${formatDateNZ(data.updated_at)}`, { files: Object.keys(data.files) });
-
-        return data;
-
-    } catch (error) {
-        if (error.message === "TOKEN_INVALID") {
-            throw error; // <-- propagate to sync engine
-        }
-
-        logger.error("sync: getCurrentWorkspaceGist", error);
-        return null; // swallow only non-auth errors
-    }
-         
-}
-
 export function handleExpiredToken() {
     logger.debugSyncing("sync", () => "Running handleExpiredToken(). CALLED BY: " + getCallerName("handleExpiredToken"));
     logger.error("sync.token", "GitHub token expired — entering recovery mode");
@@ -128,39 +94,17 @@ export function handleExpiredToken() {
     clearGistId();
 
     // 3. Disable sync
-    syncEnabled = false;
+    setSyncFlags({ enabled: false });
+    transition(AUTH_EXPIRED, { reason: "Token expired" });
 
     // 4. Update UI
     updateSyncState();
-    showNotification("warning", "Your GitHub session expired. Please log in again.");
+    showNotification("warning", "Your GitHub session expired. Please log in again — edits you make meanwhile are kept and replayed.");
 
     // 5. Stop further sync attempts
     disconnectFromGitHub("Token expired");
 }
 
-async function githubFetch(url, options = {}) {
-    logger.debugSyncing("sync", () => "Running githubFetch(). CALLED BY: " + getCallerName("githubFetch"));
-    const token = getToken(); // your existing getter
-
-    const headers = {
-        "Authorization": `token ${token}`,
-        ...options.headers
-    };
-
-    const res = await fetch(url, { ...options, headers });
-
-    if (res.status === 401) {
-        throw new Error("TOKEN_INVALID");
-    }
-
-    if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`GITHUB_ERROR ${res.status}: ${text}`);
-    }
-
-    return res;
-}
-
 export async function startSyncLoop() {
     logger.debugSyncing("sync", () => "Running startSyncLoop(). CALLED BY: " + getCallerName("startSyncLoop"));
 
@@ -175,11 +119,16 @@ export async function startSyncLoop() {
         return;
     }
 
-    if (!syncEnabled) {
+    if (!isSyncEnabledFlag()) {
         logger.debugSyncing("sync: startSyncLoop", "startSyncLoop() blocked — sync disabled");
         return;
     }
 
+    if (!isSyncOwner()) {
+        logger.info("sync: startSyncLoop", "Another tab owns sync — not starting the loop here");
+        return;
+    }
+
     if (syncIntervalId !== null) {
         logger.debugSyncing("sync: startSyncLoop", "startSyncLoop() called but loop already running");
         return;
@@ -192,7 +141,7 @@ export async function startSyncLoop() {
             logger.debugSyncing("sync: startSyncLoop", "Periodic sync loop setup that fires runSyncCheck()");
             await runSyncCheck("periodic");
         }, syncInterval);
-        updateSyncToggleButton();
+        setSyncFlags({ loopRunning: true });
     } catch (error) {
         logger.error("sync: startSyncLoop", error);
         return null;
@@ -209,20 +158,46 @@ export function setSyncEnabled(value) {
 
     // temporarily disable starting sync loop if sync is disabled, to prevent any unexpected behavior while we work fixing the sync engine
     if (settings.syncOverride) {
-        syncEnabled = false;
+        setSyncFlags({ enabled: false });
         showNotification("info", "Sync loop is currently disabled");
         return;
     }
 
-    syncEnabled = value;
-    localStorage.setItem("syncEnabled", JSON.stringify(value));
+    setSyncFlags({ enabled: value });
+    localStorage.setItem(scopedKey(SYNC_ENABLED_KEY), JSON.stringify(value));
+}
+
+function readSyncEnabled() {
+    try {
+        return JSON.parse(localStorage.getItem(scopedKey(SYNC_ENABLED_KEY)) ?? "true");
+    } catch (err) {
+        logger.error("sync", "Failed to parse the sync setting — sync stays on", err);
+        return true;
+    }
+}
+
+// "syncEnabled" used to be one setting for every workspace. It is now per
+// workspace; the default workspace's key is the old one, so the others each
+// get a copy of the old value, once.
+function migrateSyncEnabled() {
+    if (localStorage.getItem(SYNC_ENABLED_MIGRATED_KEY)) return;
+
+    const legacy = localStorage.getItem(SYNC_ENABLED_KEY);
+    if (legacy !== null) {
+        for (const { id } of listWorkspaces()) {
+            const key = keyFor(id, SYNC_ENABLED_KEY);
+            if (localStorage.getItem(key) === null) localStorage.setItem(key, legacy);
+        }
+        logger.info("sync", "Sync setting copied to every workspace");
+    }
+    localStorage.setItem(SYNC_ENABLED_MIGRATED_KEY, "1");
 }
 
 export function getSyncEnabled() {
     if (settings.syncOverride) {
         return false;
     } else {
-        return syncEnabled;
+        return isSyncEnabledFlag();
     }
 }
 
@@ -239,7 +214,7 @@ export function stopSyncLoop() {
             clearInterval(syncIntervalId);
             syncIntervalId = null;
             logger.debugSyncing("stopSyncLoop:", syncIntervalId);
-            updateSyncToggleButton();
+            setSyncFlags({ loopRunning: false });
         }
     } catch (error) {
         logger.error("sync: stopSyncLoop", error);
@@ -261,7 +236,7 @@ export function toggleSyncLoop() {
         return;
     }
 
-    if (syncIntervalId === null) {
+    if (!isLoopRunning()) {
         startSyncLoop();
         logger.info("sync", "toggleSyncLoop → started");
     } else {
@@ -280,6 +255,9 @@ export async function bindVisibilityEvents() {
             runSyncCheck("resume");
         }
     });
+
+    window.addEventListener("offline", () => transition(OFFLINE, { reason: "No network" }));
+    window.addEventListener("online", () => runSyncCheck("online"));
 }
 
 export function bindActivityEvents() {
@@ -348,7 +326,7 @@ function bindReconnectLink() {
 
 export function disconnectFromGitHub(message) {
     logger.debugSyncing("sync", () => "Running disconnectFromGitHub(). CALLED BY: " + getCallerName("disconnectFromGitHub"));
-    setSyncStatus("error", "Disconnected");
+    if (getSyncState() !== AUTH_EXPIRED) transition(OFFLINE, { reason: "Disconnected" });
     setConnectionButtonState(false);
     showNotification("error",`${message} <a href="#" id="reconnect-link">Reconnect</a>.`);
     bindReconnectLink();
@@ -357,8 +335,7 @@ export function disconnectFromGitHub(message) {
 
 function connectToGitHub() {
     logger.debugSyncing("sync", () => "Running connectToGitHub(). CALLED BY: " + getCallerName("connectToGitHub"));
-    setSyncStatus("error", "Disconnected");
-    setSyncStatus("synced", "Connected");
+    transition(IDLE, { label: "Connected" });
     setConnectionButtonState(true);
     showNotification("success", "Connected to cloud");
 }
@@ -366,35 +343,74 @@ function connectToGitHub() {
 export async function runSyncCheck(reason) {
     logger.debugSyncing("sync: runSyncCheck", () => "Running runSyncCheck (start). CALLED BY: " + getCallerName("runSyncCheck")," (reason: " + reason + ")");
 
-    if (!syncEnabled) {
+    if (!isSyncEnabledFlag()) {
         logger.debugSyncing("sync.runSyncCheck", `Skipped — sync disabled`);
         return;
     }
     if (isReadOnlyDevice() || !getSyncEnabled()) { return; }
 
+    if (!isSyncOwner()) {
+        logger.debugSyncing("sync.runSyncCheck", "Skipped — another tab owns sync");
+        return;
+    }
+
+    // One check at a time, and none during a save or while a cloud change is being reviewed
+    if (!transition(CHECKING, { reason })) {
+        logger.debugSyncing("sync.runSyncCheck", `Skipped — sync is ${getSyncState()}`);
+        return;
+    }
+
+    let outcome = { synced: true };   // what idle means once the check ends
+    let syncDecision = "unknown";
+    const journal = { lastSynced: lastSyncedHash };   // for the sync journal
+
     try {    
+        const provider = getProvider();
+        const isGist = provider.id === "gist";
         const token = getToken();
         let gistId = getGistId();
-        let syncDecision = "unknown";
 
         // ------------------------------------------------------------
         // LOGIN: token exists but no gistId → adopt or create gist
         // ------------------------------------------------------------
-        if (reason === "login" && token && !gistId) {
+        if (isGist && reason === "login" && token && !gistId) {
             logger.debugSyncing("sync.runSyncCheck", "Token exists but no gistId — adopting or creating gist");
 
             const newId = await adoptOrCreateGist();
             if (!newId) {
                 logger.error("sync.runSyncCheck", "Failed to adopt or create gist");
+                outcome = { label: "Not attached" };
+                syncDecision = "error";
+                journal.error = "No workspace gist chosen";
                 return;
             }
 
             gistId = newId;
             syncDecision = "adopt-cloud-baseline";
         }
-        else if (!token || !gistId) {
+        else if (isGist && (!token || !gistId)) {
             logger.error("sync.runSyncCheck", "Missing token or gistId — stopping sync.");
             disconnectFromGitHub("Cloud connection lost.");
+            syncDecision = "disconnected";
+            journal.error = "Missing token or gist id";
+            return;
+        }
+        else if (!isGist && !await provider.isReady({ quiet: true })) {
+            logger.error("sync.runSyncCheck", `Storage provider ${provider.id} not ready — stopping sync.`);
+            disconnectFromGitHub("Storage not available.");
+            syncDecision = "disconnected";
+            journal.error = `Storage provider ${provider.id} not ready`;
+            return;
+        }
+
+        // ------------------------------------------------------------
+        // Back online with edits made while disconnected → replay them
+        // on the current cloud state (covers re-login after expiry too)
+        // ------------------------------------------------------------
+        if (hasOfflineOps()) {
+            logger.debugSyncing("sync.runSyncCheck", "Offline edits waiting — replaying them");
+            syncDecision = "offline-replayed";
+            journal.files = await replayOfflineJournal();
             return;
         }
 
@@ -402,7 +418,7 @@ export async function runSyncCheck(reason) {
         // LOGIN: token exists AND gistId exists → reconcile local vs cloud
         // Caters for expired tokens
         // ------------------------------------------------------------
-        if (reason === "login" && token && gistId) {
+        if (isGist && reason === "login" && token && gistId) {
             logger.debugSyncing("sync.runSyncCheck", "Login with existing gistId — performing reconciliation");
 
             // Load cloud workspace            
@@ -410,6 +426,9 @@ export async function runSyncCheck(reason) {
 
             if (!cloudWorkspace || !Array.isArray(cloudWorkspace.flat)) {
                 logger.error("sync.runSyncCheck", "Cloud workspace invalid during login reconciliation");
+                outcome = { error: "Cloud workspace invalid" };
+                syncDecision = "error";
+                journal.error = "Cloud workspace invalid";
                 return;
             }
 
@@ -417,7 +436,7 @@ export async function runSyncCheck(reason) {
             const cloudHash = await computeWorkspaceHash(cloudFlat);
 
             // Load local workspace
-            const localTree = loadState();
+            const localTree = await loadState();
             const localFlat = flattenWorkspace(localTree);
             const localHash = await computeWorkspaceHash(localFlat);
 
@@ -426,9 +445,15 @@ export async function runSyncCheck(reason) {
                 `Login reconciliation → local=${localHash.slice(0,8)}, cloud=${cloudHash.slice(0,8)}`
             );
 
+            let pushedLocal = false;
+            Object.assign(journal, { local: localHash, cloud: cloudHash });
+            syncDecision = "login-match";
+
             if (localHash !== cloudHash) {
                 if (localHash !== cloudHash && localHash !== lastSyncedHash) {
                     logger.debugSyncing("sync.runSyncCheck", "Local is newer → pushing to cloud");
+                    pushedLocal = true;
+                    syncDecision = "login-push";
                     try {
                         await saveWorkspaceToGist();
                     } catch (err) {
@@ -441,6 +466,7 @@ export async function runSyncCheck(reason) {
 
                 } else {
                     logger.debugSyncing("sync.runSyncCheck", "Cloud is newer → pulling to local");
+                    syncDecision = "login-pull";
                     await applyCloudWorkspace();
                 }
             } else {
@@ -448,8 +474,10 @@ export async function runSyncCheck(reason) {
             }
 
             // After reconciliation, update baseline
-            lastSyncedHash = cloudHash;
-            localStorage.setItem("lastSyncedHash", cloudHash);
+            // (a push has already recorded the local workspace as the baseline)
+            if (!pushedLocal) {
+                recordSyncBaseline(cloudHash, cloudFlat);
+            }
             updateSyncState();
 
             logger.debugSyncing("sync.runSyncCheck", "Login reconciliation complete");
@@ -461,7 +489,7 @@ export async function runSyncCheck(reason) {
         // ------------------------------------------------------------
         // If local workspace is empty → load cloud
         // ------------------------------------------------------------
-        if (gistId && workspaceIsEmpty()) {
+        if ((gistId || !isGist) && workspaceIsEmpty()) {
             logger.debugSyncing("sync.runSyncCheck", "Workspace empty — loading from cloud");
             await applyCloudWorkspace();
             syncDecision = "load-cloud";
@@ -475,24 +503,28 @@ export async function runSyncCheck(reason) {
         );
 
         // ------------------------------------------------------------
-        // Load cloud workspace (flat model)
-        // ------------------------------------------------------------        
-        const cloudWorkspace = await loadWorkspaceFromGist();
+        // Cloud hash: read from __workspace.json when the gist has one.
+        // Full content is only loaded when there is no stored hash
+        // (older gists) or we need it as the first baseline.
+        // ------------------------------------------------------------
+        await upgradeLegacyBaseline(flattenWorkspace(getWorkspace()));
+        const { cloudHash, cloudFlat } = await getCloudHash({ needFlat: lastSyncedHash === null }) || {};
 
-        if (!cloudWorkspace || !Array.isArray(cloudWorkspace.flat)) {
+        if (!cloudHash) {
             logger.error("sync.runSyncCheck", "Cloud workspace invalid");
+            outcome = { error: "Cloud workspace invalid" };
+            syncDecision = "error";
+            journal.error = "Cloud workspace invalid";
             return;
         }
 
-        const cloudFlat = cloudWorkspace.flat;
-        const cloudHash = await computeWorkspaceHash(cloudFlat);
-
         // ------------------------------------------------------------
         // Load local workspace (flat model)
         // ------------------------------------------------------------
-        const localTree = loadState();
+        const localTree = await loadState();
         const localFlat = flattenWorkspace(localTree);
         const localHash = await computeWorkspaceHash(localFlat);
+        Object.assign(journal, { local: localHash, cloud: cloudHash });
 
         logger.debugSyncing(
             "sync.runSyncCheck",
@@ -505,8 +537,7 @@ export async function runSyncCheck(reason) {
         if (lastSyncedHash === null) {
             logger.debugSyncing("sync.runSyncCheck", "No lastSyncedHash — adopting cloud hash as baseline");
 
-            lastSyncedHash = cloudHash;
-            localStorage.setItem("lastSyncedHash", cloudHash);
+            recordSyncBaseline(cloudHash, cloudFlat);
             updateSyncState();
 
             syncDecision = "adopt-cloud-baseline";
@@ -552,7 +583,7 @@ export async function runSyncCheck(reason) {
                 `cycle → reason=${reason}, local=${localHash.slice(0,8)}, cloud=${cloudHash.slice(0,8)}, lastSynced=${lastSyncedHash.slice(0,8)}, decision=${syncDecision}`
             );
 
-            return handleCloudChange({ id: gistId }, idleReturn);
+            return handleCloudChange({ id: provider.identity().id, hash: cloudHash }, idleReturn);
         }
 
         // ------------------------------------------------------------
@@ -576,13 +607,44 @@ export async function runSyncCheck(reason) {
         logger.debugSyncing("sync.runSyncCheck", "runSyncCheck end");
     }
     catch (err) {
+        journal.error = err.message;
+
         if (err.message === "TOKEN_INVALID") {
+            syncDecision = "auth-expired";
             handleExpiredToken();
             return;
         }
 
+        // The rate-limit badge already says when we'll try again
+        if (err.message === "RATE_LIMITED") {
+            logger.warn("sync.runSyncCheck", `Skipped (${reason}) — GitHub rate limit`);
+            syncDecision = "rate-limited";
+            outcome = { label: "Waiting for GitHub" };
+            return;
+        }
+
+        if (isNetworkError(err)) {
+            logger.warn("sync.runSyncCheck", `Offline (${reason})`, err);
+            syncDecision = "offline";
+            transition(OFFLINE, { reason: "No network" });
+            return;
+        }
+
         logger.error("sync.runSyncCheck", "Unexpected error", err);
-    }        
+        syncDecision = "error";
+        outcome = { error: "Sync check failed" };
+    }
+    finally {
+        recordSyncEntry({ reason, decision: syncDecision, ...journal });
+
+        // Unless the check handed over to a save, a conflict or an error state
+        if (getSyncState() === CHECKING) transition(IDLE, outcome);
+    }
+}
+
+// fetch() rejects with a TypeError when the request never got an answer
+function isNetworkError(err) {
+    return !navigator.onLine || err instanceof TypeError;
 }
 
 
@@ -597,88 +659,438 @@ function updateSyncState() {
     lastSuccessfulSyncTime = Date.now();
 }
 
+// ------------------------------------------------------------
+// Sync baseline
+//
+// lastSyncedHash tells us THAT something changed since the last sync.
+// lastSyncedFlat tells us WHAT it was — it is the "base" for three-way merges.
+// Always record them together. The flat list is written to IndexedDB in
+// the background; getLastSyncedFlat() waits for the writes before reading.
+// ------------------------------------------------------------
+let baselineWrite = Promise.resolve();   // the last queued baseline write (never rejects)
+
+function queueBaselineWrite(write) {
+    baselineWrite = baselineWrite.then(write);
+}
+
+function recordSyncBaseline(hash, flat) {
+    logger.debugSyncing("sync", () => "Running recordSyncBaseline(). CALLED BY: " + getCallerName("recordSyncBaseline"));
+
+    lastSyncedHash = hash;
+    localStorage.setItem(scopedKey("lastSyncedHash"), hash);
+    localStorage.setItem(scopedKey(HASH_FORMAT_KEY), String(HASH_FORMAT));
+
+    const workspaceId = getActiveWorkspaceId();
+    const list = Array.isArray(flat) ? flat : [];
+    queueBaselineWrite(() => writeBaseline(workspaceId, list).catch(err => {
+        // Must not break syncing — without a stored base we just can't merge
+        logger.error("sync: recordSyncBaseline", "Failed to store last-synced flat list", err);
+        return deleteBaseline(workspaceId).catch(() => {});
+    }));
+}
+
+// Re-read the baseline another tab may have moved on (e.g. on taking over sync)
+export function reloadSyncBaseline() {
+    lastSyncedHash = localStorage.getItem(scopedKey("lastSyncedHash")) || null;
+    setSyncFlags({ enabled: readSyncEnabled() });
+}
+
+// Forget the baseline (e.g. after switching to a different store)
+function clearSyncBaseline() {
+    lastSyncedHash = null;
+    localStorage.removeItem(scopedKey("lastSyncedHash"));
+    localStorage.removeItem(scopedKey(HASH_FORMAT_KEY));
+
+    const workspaceId = getActiveWorkspaceId();
+    queueBaselineWrite(() => deleteBaseline(workspaceId).catch(err => {
+        logger.error("sync: clearSyncBaseline", "Failed to remove last-synced flat list", err);
+    }));
+}
+
+// ------------------------------------------------------------
+// Baselines recorded before order was hashed (HASH_FORMAT 1) match no
+// current hash. When neither side changed since — their hashes without
+// order still equal the baseline — the cloud is taken as the baseline
+// again in the current format, so upgrading isn't seen as a change. A
+// side that did change is synced as usual, which re-records the baseline.
+// ------------------------------------------------------------
+let legacyBaselineTried = null;   // baseline already tried this session
+
+async function upgradeLegacyBaseline(localFlat) {
+    if (!lastSyncedHash || localStorage.getItem(scopedKey(HASH_FORMAT_KEY)) === String(HASH_FORMAT)) return;
+    if (legacyBaselineTried === lastSyncedHash) return;
+    legacyBaselineTried = lastSyncedHash;
+
+    if (await computeWorkspaceHash(localFlat, { legacy: true }) !== lastSyncedHash) {
+        logger.debugSyncing("sync: upgradeLegacyBaseline", "Local changed since the old-format baseline — left to sync");
+        return;
+    }
+
+    const { cloudFlat } = await getCloudHash({ needFlat: true }) || {};
+    if (!cloudFlat || cloudLoadIncomplete) return;
+
+    if (await computeWorkspaceHash(cloudFlat, { legacy: true }) !== lastSyncedHash) {
+        logger.debugSyncing("sync: upgradeLegacyBaseline", "Cloud changed since the old-format baseline — left to sync");
+        return;
+    }
+
+    recordSyncBaseline(await computeWorkspaceHash(cloudFlat), cloudFlat);
+    logger.info("sync: upgradeLegacyBaseline", "Sync baseline re-recorded with sibling order");
+}
+
+export async function getLastSyncedFlat() {
+    await baselineWrite;
+
+    try {
+        return await readBaseline(getActiveWorkspaceId());
+    } catch (err) {
+        logger.error("sync: getLastSyncedFlat", "Failed to read last-synced flat list", err);
+        return null;
+    }
+}
+
+// ------------------------------------------------------------
+// Per-file cloud state (for delta saves)
+//
+// What we believe the gist holds: { gistId, hashes: { filename → sha256 } }.
+// Refreshed by every full load and every save, so a save only has to send
+// files whose hash changed and null out names that are no longer local.
+// ------------------------------------------------------------
+function getCloudFileState(gistId) {
+    const raw = localStorage.getItem(scopedKey("lastSyncedFileHashes"));
+    if (!raw) return null;
+
+    try {
+        const state = JSON.parse(raw);
+        if (!state || state.gistId !== gistId || typeof state.hashes !== "object") return null;
+        return state.hashes;
+    } catch (err) {
+        logger.error("sync: getCloudFileState", "Failed to parse last-synced file hashes", err);
+        return null;
+    }
+}
+
+function recordCloudFileState(gistId, hashes) {
+    try {
+        localStorage.setItem(scopedKey("lastSyncedFileHashes"), JSON.stringify({ gistId, hashes }));
+    } catch (err) {
+        // Without it the next save just sends everything again
+        logger.error("sync: recordCloudFileState", "Failed to store last-synced file hashes", err);
+        localStorage.removeItem(scopedKey("lastSyncedFileHashes"));
+    }
+}
+
+// { filename: { content } } → { filename: sha256 }
+// Encrypted pages hash as an HMAC of the readable text with their key: the
+// ciphertext changes on every save, a new key (or none) must count as a
+// change, and the hashes are published in the manifest.
+async function hashGistFiles(files) {
+    const hashes = {};
+    for (const [name, file] of Object.entries(files || {})) {
+        if (!file) continue;
+        const content = name === "__workspace.json" ? withoutLastSave(file.content) : file.content;
+        hashes[name] = file.encryptedWith
+            ? await keyedHash(file.encryptedWith, content || "")
+            : await sha256(content || "");
+    }
+    return hashes;
+}
+
+// The workspace hash as written to __workspace.json — keyed when the
+// workspace is encrypted, so it can't be used to test guesses at contents
+async function publishedHash(hash, encryption) {
+    if (!hash || !encryption) return hash;
+    return keyedHash(encryption.salt, hash);
+}
+
+// A gist's parsed __workspace.json, or null
+function readManifest(files) {
+    try {
+        return JSON.parse(files?.["__workspace.json"]?.content || "null");
+    } catch (err) {
+        return null;   // an unreadable manifest is reported by parseGistFiles()
+    }
+}
+
+// Encryption parameters recorded in a gist's manifest, or null
+function manifestEncryption(files) {
+    return readManifest(files)?.encryption || null;
+}
+
+// ------------------------------------------------------------
+// Gist files as stored → readable (see crypto-box.js).
+// Decrypted pages carry `encryptedWith` (the key's salt) for hashGistFiles().
+// Throws ENCRYPTION_LOCKED if the passphrase isn't given.
+// ------------------------------------------------------------
+async function decryptGistFiles(files, options = {}) {
+    const params = manifestEncryption(files);
+    if (!params) return files;
+
+    const key = await unlock(params, options);
+    const readable = {};
+
+    for (const [name, file] of Object.entries(files)) {
+        readable[name] = file && isEncrypted(file.content)
+            ? { ...file, content: await decryptText(key, file.content), encryptedWith: params.salt }
+            : file;
+    }
+    return readable;
+}
+
+// The manifest is hashed without lastSave: who saved last is no reason to save again
+function withoutLastSave(manifestText) {
+    try {
+        const manifest = JSON.parse(manifestText);
+        delete manifest.lastSave;
+        return JSON.stringify(manifest, null, 2);
+    } catch (err) {
+        return manifestText;
+    }
+}
+
+// Files AND folders of a local tree, in flat (encoded path) form
+function flattenForMerge(tree) {
+    return [...flattenFolders(tree), ...flattenWorkspace(tree)];
+}
+
+// Inflate a merged flat list. Every file's parent folders get an explicit entry
+// first, otherwise inflateWorkspace() would give a missing folder the file's id.
+function inflateMergedFlat(flat, ...sources) {
+    const folderIds = new Map();
+    for (const list of sources) {
+        for (const e of list || []) {
+            if (e && e.content === null && e.id && !folderIds.has(e.path)) folderIds.set(e.path, e.id);
+        }
+    }
+
+    const folders = flat.filter(e => e.content === null);
+    const files = flat.filter(e => e.content !== null);
+    const known = new Set(folders.map(f => f.path));
+
+    for (const file of files) {
+        const parts = file.path.split("___");
+        for (let i = 1; i < parts.length; i++) {
+            const parentPath = parts.slice(0, i).join("___");
+            if (known.has(parentPath)) continue;
+
+            known.add(parentPath);
+            folders.push({
+                path: parentPath,
+                content: null,
+                id: folderIds.get(parentPath) || createNewID("merge: restoring parent folder")
+            });
+        }
+    }
+
+    folders.sort((a, b) => a.path.localeCompare(b.path));   // parents before children
+    return inflateWorkspace([...folders, ...files]);
+}
+
+// Keep per-node UI/sharing fields (isOpen, isPublic…) from the local tree
+function carryOverNodeFields(tree, localTree) {
+    for (const node of tree) {
+        const local = findNodeById(localTree, node.id);
+        if (local) {
+            if (node.type === "folder") node.isOpen = local.isOpen;
+            node.isPublic = local.isPublic ?? false;
+            node.publicId = local.publicId ?? null;
+            node.publicAt = local.publicAt ?? null;
+        }
+        if (node.type === "folder") carryOverNodeFields(node.children, localTree);
+    }
+}
+
+// ------------------------------------------------------------
+// Three-way merge of the cloud workspace into the local tree,
+// using the last-synced flat list as the base.
+//
+// Conflicts (and every change, when review is true) go through the
+// per-file conflict dialog.
+//
+// Returns null when there is no baseline yet (caller keeps the old
+// "cloud wins" behaviour), { cancelled: true } if the user cancels the
+// dialog, otherwise { tree, hasLocalChanges } — hasLocalChanges means the
+// merged result differs from the cloud and should be pushed.
+// ------------------------------------------------------------
+async function mergeCloudIntoLocal(cloudFlat, localTree, { review = false } = {}) {
+    logger.debugSyncing("sync", () => "Running mergeCloudIntoLocal(). CALLED BY: " + getCallerName("mergeCloudIntoLocal"));
+
+    const base = await getLastSyncedFlat();
+    if (!base) {
+        logger.info("sync: mergeCloudIntoLocal", "No last-synced baseline — cannot three-way merge");
+        return null;
+    }
+
+    const localFlat = flattenForMerge(localTree);
+    const result = mergeFlat(base, localFlat, cloudFlat);
+    let flat = result.flat;
+
+    logger.debugSyncing("sync: mergeCloudIntoLocal", `Merged ${flat.length} entries, ${result.conflicts.length} conflict(s)`);
+
+    if (review || result.conflicts.length > 0) {
+        flat = await showConflictDialog(result);
+        if (!flat) return { cancelled: true };
+    }
+
+    const tree = migrateWorkspace(inflateMergedFlat(flat, localFlat, cloudFlat, base));
+    carryOverNodeFields(tree, localTree);
+
+    // Anything deleted somewhere that the user chose to keep is restored for every device
+    for (const entry of flattenForMerge(tree)) {
+        if (isDeleted(entry.id)) recordRestore(entry.id, entry.path.split("___").map(decodeName).join("___"));
+    }
+
+    const cloudFilesHash = await computeWorkspaceHash(cloudFlat.filter(e => e && e.content !== null));
+    const mergedFilesHash = await computeWorkspaceHash(flattenWorkspace(tree));
+
+    // The hash only covers files — a new or removed empty folder is a change too
+    const folderPaths = flat => JSON.stringify(flat.filter(e => e && e.content === null).map(e => e.path).sort());
+
+    return {
+        tree,
+        hasLocalChanges: cloudFilesHash !== mergedFilesHash || folderPaths(cloudFlat) !== folderPaths(flattenForMerge(tree))
+    };
+}
+
 async function handleCloudChange(latest, idleReturn) {
     logger.debugSyncing("sync: handleCloudChange", () => "Running handleCloudChange(). CALLED BY: " + getCallerName("handleCloudChange"));
-    logger.debugSyncing("sync: handleCloudChange", `cloudChangeHandled = ${window.__cloudChangeHandled}`);
 
     if (isReadOnlyDevice() || !getSyncEnabled()) { 
         logger.debugSyncing("sync: handleCloudChange", "Skipping handleCloudChange — readonly device or sync disabled");
         return; 
     }    
     
-    // Prevent duplicate dialogs or duplicate cloud-apply
-    if (window.__cloudChangeHandled) {
-        logger.debugSyncing("sync: handleCloudChange", "Skipping handleCloudChange — already handled this session");
+    // Already turned down this cloud version → keep working on ours
+    if (latest?.hash && latest.hash === declinedCloudHash) {
+        logger.debugSyncing("sync: handleCloudChange", "Skipping handleCloudChange — this cloud version was declined");
         return;
     }
 
-    // ⭐ IMPORTANT: Mark as handled *immediately* so no second dialog can appear
-    window.__cloudChangeHandled = true;
+    // Entering CONFLICT *immediately* means no second dialog, check or save can start
+    if (!transition(CONFLICT, { reason: "Cloud is newer" })) {
+        logger.debugSyncing("sync: handleCloudChange", `Skipping handleCloudChange — sync is ${getSyncState()}`);
+        return;
+    }
 
     const now = Date.now();
     const recentlyTyped = (now - lastLocalEditTime) < 30_000;
     const countdown = recentlyTyped ? 30 : 10;
 
-    showCountdownNotification({
-        countdown,
-
-        onConfirm: async () => {
-            // (Guard already set above — do NOT move it back here)
+    const warnCloudNewer = () => {
+        declinedCloudHash = latest?.hash ?? null;
+        recordSyncEntry({ reason: "cloud-change", decision: "cloud-declined", cloud: latest?.hash, lastSynced: lastSyncedHash });
+        transition(IDLE, { error: "Cloud is newer" });
+        showNotification(
+            "warning",
+            "Cloud version is newer. Saving now will overwrite it."
+        );
+    };
 
-            // --- SAFETY GUARD: ensure we have a valid gist reference ---
-            if (!latest || !latest.id) {
-                logger.error("sync: handleCloudChange", "Invalid latest gist object:", latest);
-                showNotification("error", "Cloud sync failed — invalid gist reference");
+    // review = true → always show the per-file dialog, even without conflicts
+    const applyCloudChange = async (review) => {
+        try {
+            await mergeCloudChange(review);
+        } catch (err) {
+            if (err.message === "TOKEN_INVALID") {
+                handleExpiredToken();
                 return;
             }
 
-            // Ensure local gistId is correct
-            setGistId(latest.id);
+            logger.error("sync: handleCloudChange", "Applying the cloud change failed", err);
+            if (getSyncState() === CONFLICT) transition(IDLE, { error: "Cloud change not applied" });
+            showNotification("error", err.message === "RATE_LIMITED"
+                ? "GitHub rate limit reached — the cloud change wasn't applied, try again later"
+                : "Could not apply the cloud change — try again");
+        } finally {
+            if (getSyncState() === CONFLICT) transition(IDLE, { synced: true });
+        }
+    };
 
-            // --- Load cloud workspace (flat list) ---
-            let cloudWorkspace;
-            try {
-                cloudWorkspace = await loadWorkspaceFromGist();
-            } catch (err) {
-                if (err.message === "TOKEN_INVALID") {
-                    handleExpiredToken();
-                    return;
-                }
-                throw err;
-            }
+    const mergeCloudChange = async (review) => {
+        // (CONFLICT was entered above — do NOT move it here)
 
-            if (!cloudWorkspace || !Array.isArray(cloudWorkspace.flat)) {
-                logger.error("sync: handleCloudChange", "Cloud workspace invalid");
+        // --- SAFETY GUARD: ensure we have a valid gist reference ---
+        if (!latest || !latest.id) {
+            logger.error("sync: handleCloudChange", "Invalid latest store reference:", latest);
+            showNotification("error", "Cloud sync failed — invalid gist reference");
+            transition(IDLE, { error: "Cloud sync failed" });
+            return;
+        }
+
+        // Ensure local gistId is correct
+        if (getProvider().id === "gist") setGistId(latest.id);
+
+        // --- Load cloud workspace (flat list) ---
+        let cloudWorkspace;
+        try {
+            cloudWorkspace = await loadWorkspaceFromGist();
+        } catch (err) {
+            if (err.message === "TOKEN_INVALID") {
+                handleExpiredToken();
                 return;
             }
+            throw err;
+        }
 
-            const flatList = cloudWorkspace.flat;
+        if (!cloudWorkspace || !Array.isArray(cloudWorkspace.flat)) {
+            logger.error("sync: handleCloudChange", "Cloud workspace invalid");
+            transition(IDLE, { error: "Cloud workspace invalid" });
+            return;
+        }
 
-            // --- Inflate flat list → hierarchical tree ---
-            const tree = inflateWorkspace(flatList);
+        const flatList = cloudWorkspace.flat;
 
-            // --- Apply cloud workspace locally ---
-            setWorkspace(tree);
-            saveState();
+        // --- Three-way merge against the last-synced baseline ---
+        const merged = await mergeCloudIntoLocal(flatList, getWorkspace(), { review });
 
-            // --- Compute new cloud hash using the flat list ---
-            lastSyncedHash = await computeWorkspaceHash(flatList);
-            localStorage.setItem("lastSyncedHash", lastSyncedHash);
-            lastSuccessfulSyncTime = Date.now();
+        if (merged?.cancelled) {
+            logger.debugSyncing("sync: handleCloudChange", "User cancelled the merge review");
+            warnCloudNewer();
+            return;
+        }
 
-            logger.debugSyncing(
-                "sync: handleCloudChange",
-                `Cloud accepted. Updated lastSyncedHash: ${lastSyncedHash}`
-            );
-        },
+        takeSnapshot("cloud-merge");
+        if (merged) {
+            setWorkspace(merged.tree);
+        } else {
+            // No baseline on this device yet → cloud wins, as before
+            logger.debugSyncing("sync: handleCloudChange", "No baseline — applying cloud workspace as-is");
+            setWorkspace(inflateWorkspace(flatList));
+        }
+        saveState();
 
-        onCancel: () => {
-            // (Guard already set above — do NOT move it back here)
-            showNotification(
-                "warning",
-                "Cloud version is newer. Saving now will overwrite it."
-            );
+        renderSidebar();
+        if (activeFileId) loadFile(activeFileId);
+
+        // --- The cloud state is now our baseline ---
+        const previousHash = lastSyncedHash;
+        recordSyncBaseline(await computeWorkspaceHash(flatList), flatList);
+        recordSyncEntry({
+            reason: review ? "cloud-change (reviewed)" : "cloud-change",
+            decision: "cloud-merged",
+            local: await computeWorkspaceHash(flattenWorkspace(getWorkspace())),
+            cloud: lastSyncedHash,
+            lastSynced: previousHash
+        });
+        lastSuccessfulSyncTime = Date.now();
+
+        logger.debugSyncing(
+            "sync: handleCloudChange",
+            `Cloud merged. Updated lastSyncedHash: ${lastSyncedHash}`
+        );
+
+        // --- Push local edits that survived the merge ---
+        if (merged?.hasLocalChanges) {
+            logger.debugSyncing("sync: handleCloudChange", "Merged result contains local changes → saving to cloud");
+            await saveWorkspaceToGist();
         }
+    };
+
+    showCountdownNotification({
+        countdown,
+        onConfirm: () => applyCloudChange(false),
+        onReview: () => applyCloudChange(true),
+        onCancel: warnCloudNewer
     });
 
     logger.debugSyncing("sync: handleCloudChange", "handleCloudChange end");
@@ -731,7 +1143,8 @@ async function sha256(str) {
     return hashHex;
 }
 
-export async function computeWorkspaceHash(flat) {
+// legacy → without order, as hashed before HASH_FORMAT 2 (see upgradeLegacyBaseline)
+export async function computeWorkspaceHash(flat, { legacy = false } = {}) {
     logger.debugSyncing("sync", () => "Running computeWorkspaceHash(). CALLED BY: " + getCallerName("computeWorkspaceHash"));
 
     // Must be a flat ARRAY of { path, content }
@@ -740,14 +1153,17 @@ export async function computeWorkspaceHash(flat) {
         flat = [];
     }
 
-    // Build canonical snapshot from flat array
+    // Build canonical snapshot from flat array.
+    // Folder entries (content === null) are skipped so a cloud flat list
+    // (which carries folders) hashes the same as a local one (which doesn't).
+    // A file's order holds its folders' places too, so reordering counts as a change.
     const snapshot = {
         version: 1,
         files: flat
-            .map(f => ({
-                path: f.path,
-                content: f.content || ""
-            }))
+            .filter(f => f && f.content !== null)
+            .map(f => Array.isArray(f.order) && !legacy
+                ? { path: f.path, content: f.content || "", order: f.order }
+                : { path: f.path, content: f.content || "" })
             .sort((a, b) => a.path.localeCompare(b.path))
     };
 
@@ -762,11 +1178,31 @@ export async function computeWorkspaceHash(flat) {
 export async function reconcileLocalAndCloud(localTree) {
     logger.debugSyncing("sync: reconcileLocalAndCloud", () => "Running reconcileLocalAndCloud(). CALLED BY: " + getCallerName("reconcileLocalAndCloud"));
 
-    if (!syncEnabled) {
+    if (!isSyncEnabledFlag()) {
         logger.debugSyncing("sync: reconcileLocalAndCloud", "reconcileLocalAndCloud() skipped — sync disabled");
         return;
     }
 
+    if (!isSyncOwner()) {
+        logger.debugSyncing("sync: reconcileLocalAndCloud", "reconcileLocalAndCloud() skipped — another tab owns sync");
+        return;
+    }
+
+    // Edits made while disconnected go onto the cloud state, not the other way round
+    if (hasOfflineOps()) {
+        logger.debugSyncing("sync: reconcileLocalAndCloud", "Offline edits waiting — replaying instead of reconciling");
+        try {
+            await replayOfflineJournal();
+        } catch (err) {
+            if (err.message === "TOKEN_INVALID") {
+                handleExpiredToken();
+                return;
+            }
+            throw err;
+        }
+        return;
+    }
+
     // SAFETY FIX:
     // Do NOT convert null → [].
     // Null means "no local workspace exists".
@@ -775,6 +1211,7 @@ export async function reconcileLocalAndCloud(localTree) {
     let cloudMeta;
     try {
         cloudMeta = await getLatestWorkspaceGistMeta();
+        if (cloudMeta && hasLocal) await upgradeLegacyBaseline(flattenWorkspace(localTree));
     } catch (err) {
         if (err.message === "TOKEN_INVALID") {
             handleExpiredToken();
@@ -783,7 +1220,7 @@ export async function reconcileLocalAndCloud(localTree) {
         throw err;
     }
 
-    const lastSyncedHash = localStorage.getItem("lastSyncedHash");
+    const lastSyncedHash = localStorage.getItem(scopedKey("lastSyncedHash"));
 
     // ------------------------------------------------------------
     // CASE 1: No cloud gist exists yet
@@ -809,7 +1246,7 @@ export async function reconcileLocalAndCloud(localTree) {
 
             const freshFlat = flattenWorkspace(fresh);
             const freshHash = await computeWorkspaceHash(freshFlat);
-            localStorage.setItem("lastSyncedHash", freshHash);
+            recordSyncBaseline(freshHash, flattenForMerge(fresh));
             return;
         }
 
@@ -827,7 +1264,7 @@ export async function reconcileLocalAndCloud(localTree) {
 
         const localFlat = flattenWorkspace(localTree);
         const localHash = await computeWorkspaceHash(localFlat);
-        localStorage.setItem("lastSyncedHash", localHash);
+        recordSyncBaseline(localHash, flattenForMerge(localTree));
         return;
     }
 
@@ -876,20 +1313,52 @@ export async function reconcileLocalAndCloud(localTree) {
         logger.debugSyncing("sync: reconcileLocalAndCloud", "CASE 3: Local and cloud match → nothing to do");
         const migrated = migrateWorkspace(localTree);
         saveState(migrated);
-        localStorage.setItem("lastSyncedHash", localHash);
+        recordSyncBaseline(localHash, cloudFlat);
         return;
     }
 
     // ------------------------------------------------------------
-    // CASE 4: Cloud changed since last sync → cloud wins
+    // CASE 4: Cloud changed since last sync → three-way merge
+    // (falls back to cloud wins when there is no baseline yet)
     // ------------------------------------------------------------
     if (cloudHash !== lastSyncedHash) {
-        logger.debugSyncing("sync: reconcileLocalAndCloud", "CASE 4: Cloud changed since last sync → cloud wins");
-        const merged = mergeWorkspace(localTree || [], cloudTree, cloudMetadata);
+        const threeWay = await mergeCloudIntoLocal(cloudFlat, localTree || []);
+
+        if (threeWay?.cancelled) {
+            // Keep local untouched and the old baseline, so the next check asks again
+            logger.debugSyncing("sync: reconcileLocalAndCloud", "CASE 4: Merge review cancelled → keeping local");
+            showNotification("warning", "Cloud version is newer. Saving now will overwrite it.");
+            return;
+        }
+
+        takeSnapshot("cloud-merge");
+
+        if (threeWay) {
+            logger.debugSyncing("sync: reconcileLocalAndCloud", "CASE 4: Cloud changed since last sync → three-way merge");
+
+            setWorkspace(threeWay.tree);
+            recordSyncBaseline(cloudHash, cloudFlat);
+
+            if (threeWay.hasLocalChanges) {
+                try {
+                    await saveWorkspaceToGist();
+                } catch (err) {
+                    if (err.message === "TOKEN_INVALID") {
+                        handleExpiredToken();
+                        return;
+                    }
+                    throw err;
+                }
+            }
+            return;
+        }
+
+        logger.debugSyncing("sync: reconcileLocalAndCloud", "CASE 4: Cloud changed since last sync → cloud wins");
+        const merged = mergeWorkspace(localTree || [], cloudTree, cloudMetadata);
         const migrated = migrateWorkspace(merged);
 
         saveState(migrated);
-        localStorage.setItem("lastSyncedHash", cloudHash);
+        recordSyncBaseline(cloudHash, cloudFlat);
         return;
     }
 
@@ -915,55 +1384,56 @@ export async function reconcileLocalAndCloud(localTree) {
 
     const newFlat = flattenWorkspace(migrated);
     const newHash = await computeWorkspaceHash(newFlat);
-    localStorage.setItem("lastSyncedHash", newHash);
+    recordSyncBaseline(newHash, flattenForMerge(migrated));
 
     logger.debugSyncing("sync: reconcileLocalAndCloud", "reconcileLocalAndCloud end");
 
 }
 
+// Latest manifest-level info from the active storage provider
+// (name kept from when the gist was the only store).
+// Returns null when there is no cloud workspace yet or it can't be read.
 async function getLatestWorkspaceGistMeta() {
     logger.debugSyncing("sync", () => "Running getLatestWorkspaceGistMeta(). CALLED BY: " + getCallerName("getLatestWorkspaceGistMeta"));
-    const gistId = getGistId();
-    const token = getToken();
+    const provider = getProvider();
 
-    if (!gistId || !token) {
-        logger.info("sync: getLatestWorkspaceGistMeta", "No gistId or token found.");
+    if (!await provider.isReady({ quiet: true })) {
+        logger.info("sync: getLatestWorkspaceGistMeta", `Storage provider ${provider.id} not ready.`);
         return null;
     }
 
     try {
-        const res = await githubFetch(`${GIST_API}/${gistId}`);
+        const result = await provider.load({ manifestOnly: true });
 
-        if (res.status === 401) {
-            logger.error("sync: getLatestWorkspaceGistMeta", "Token invalid or expired.");
-            disconnectFromGitHub("Cloud token expired.");
+        if (!result || result.names.length === 0) {
+            logger.info("sync: getLatestWorkspaceGistMeta", `No workspace found in ${provider.identity().label}`);
             return null;
         }
 
-        if (!res.ok) {
-            const text = await res.text();
-            logger.error("sync: getLatestWorkspaceGistMeta", `Failed to fetch gist metadata: ${res.status}`, text);
-            return null;
-        }
-
-        const data = await res.json();
-
-        // Extract hash from __workspace.json if present
+        // Extract hashes from __workspace.json if present
+        // (workspaces saved before hashes were written have none → null)
         let cloudHash = null;
-        if (data.files["__workspace.json"]) {
+        let fileHashes = null;
+        let encryption = null;
+        const manifest = result.files["__workspace.json"];
+        if (manifest) {
             try {
-                const parsed = JSON.parse(data.files["__workspace.json"].content);
+                const parsed = JSON.parse(manifest.content);
                 cloudHash = parsed.hash || null;
+                fileHashes = parsed.fileHashes || null;
+                encryption = parsed.encryption || null;
             } catch (err) {
                 logger.error("sync: getLatestWorkspaceGistMeta", "Failed to parse __workspace.json", err);
             }
         }
 
         return {
-            id: data.id,
-            updatedAt: data.updated_at,
+            id: result.id,
+            updatedAt: result.updatedAt,
             hash: cloudHash,
-            files: Object.keys(data.files)
+            fileHashes,
+            encryption,
+            files: result.names
         };
 
     } catch (error) {
@@ -971,11 +1441,9 @@ async function getLatestWorkspaceGistMeta() {
             throw error; // <-- propagate to sync engine
         }
 
-        logger.error("sync: getLatestWorkspaceGistMeta", "Network or fetch error", err);
+        logger.error("sync: getLatestWorkspaceGistMeta", "Network or fetch error", error);
         return null; // swallow only non-auth errors
     }
-
-
 }
 
 
@@ -983,7 +1451,7 @@ async function maybeAutoSave() {
     logger.debugSyncing("sync", () => "Running maybeAutoSave(). CALLED BY: " + getCallerName("maybeAutoSave"));
 
     // --- Compute local hash using the flat model ---
-    const localTree = loadState();
+    const localTree = await loadState();
     const localFlat = flattenWorkspace(localTree);
     const localHash = await computeWorkspaceHash(localFlat);
 
@@ -1015,19 +1483,56 @@ async function maybeAutoSave() {
 }
 
 
-async function cloudHashChanged() {
-    logger.debugSyncing("sync", () => "Running cloudHashChanged(). CALLED BY: " + getCallerName("cloudHashChanged"));
+// ------------------------------------------------------------
+// Current cloud hash → { cloudHash, cloudFlat }
+//
+// Uses the hash saved in __workspace.json when there is one; cloudFlat is
+// then null unless needFlat is set. Falls back to loading and hashing the
+// full content. Returns null when the cloud can't be read.
+// ------------------------------------------------------------
+async function getCloudHash({ needFlat = false } = {}) {
+    logger.debugSyncing("sync", () => "Running getCloudHash(). CALLED BY: " + getCallerName("getCloudHash"));
+
+    if (!needFlat) {
+        const meta = await getLatestWorkspaceGistMeta();
+
+        // An encrypted workspace's hash is keyed: it can only tell that the
+        // cloud still holds the baseline. Otherwise the content is hashed.
+        if (meta?.hash && meta.encryption) {
+            if (lastSyncedHash && hasKey(meta.encryption) && meta.hash === await publishedHash(lastSyncedHash, meta.encryption)) {
+                logger.debugSyncing("sync: getCloudHash", "Keyed hash in __workspace.json matches the baseline");
+                return { cloudHash: lastSyncedHash, cloudFlat: null };
+            }
+        } else if (meta?.hash) {
+            logger.debugSyncing("sync: getCloudHash", `Using hash from __workspace.json: ${meta.hash.slice(0,8)}`);
 
-    const latest = await getCurrentWorkspaceGist();
-    if (!latest) {
-        logger.info("sync: cloudHashChanged", "Latest Gist workspace not found");
-        return false;
+            if (meta.hash !== lastSyncedHash && meta.fileHashes) {
+                const known = getCloudFileState(meta.id) || {};
+                const changed = Object.keys(meta.fileHashes).filter(name => known[name] !== meta.fileHashes[name]);
+                logger.debugSyncing("sync: getCloudHash", `Changed cloud files: ${changed.join(", ") || "(none — deletions only)"}`);
+            }
+
+            return { cloudHash: meta.hash, cloudFlat: null };
+        }
+
+        logger.debugSyncing("sync: getCloudHash", "No usable hash in __workspace.json — hashing full content");
     }
 
-    // Load cloud workspace using the flat model
-    let cloudWorkspace;
+    const cloudWorkspace = await loadWorkspaceFromGist();
+    if (!cloudWorkspace || !Array.isArray(cloudWorkspace.flat)) return null;
+
+    return {
+        cloudHash: await computeWorkspaceHash(cloudWorkspace.flat),
+        cloudFlat: cloudWorkspace.flat
+    };
+}
+
+async function cloudHashChanged() {
+    logger.debugSyncing("sync", () => "Running cloudHashChanged(). CALLED BY: " + getCallerName("cloudHashChanged"));
+
+    let cloudHash;
     try {
-        cloudWorkspace = await loadWorkspaceFromGist();
+        ({ cloudHash } = await getCloudHash() || {});
     } catch (err) {
         if (err.message === "TOKEN_INVALID") {
             handleExpiredToken();
@@ -1036,12 +1541,10 @@ async function cloudHashChanged() {
         throw err;
     } 
 
-    if (!cloudWorkspace || !Array.isArray(cloudWorkspace.flat)) {
+    if (!cloudHash) {
         logger.error("sync: cloudHashChanged", "Cloud workspace invalid");
         return false;
     }
-
-    const cloudHash = await computeWorkspaceHash(cloudWorkspace.flat);
     logger.debugSyncing(
         "sync",
         "cloudHashChanged → cloudHash:",
@@ -1091,33 +1594,75 @@ window.debugCloud = async () => {
 };
 
 
+// Resolves true once the store holds the workspace; false if the save was
+// skipped, refused, queued or failed (each says why to the user)
 export async function saveWorkspaceToGist() {
     logger.debugSyncing("sync", () => "Running saveWorkspaceToGist(). CALLED BY: " + getCallerName("saveWorkspaceToGist"));
-    if (!requireLogin()) {
-        logger.info("sync: saveWorkspaceToGist", "Save skipped — need to login.");
-        return;
+    const provider = getProvider();
+
+    if (!await provider.isReady()) {
+        logger.info("sync: saveWorkspaceToGist", `Save skipped — storage provider ${provider.id} not ready.`);
+        return false;
     }
 
     if (isReadOnlyDevice()) {
         logger.info("sync: saveWorkspaceToGist", "Save skipped — read-only device.");
-        return;
+        return false;
     }
 
-    if (isSaving) {
-        logger.info("sync: saveWorkspaceToGist", "Save skipped — already in progress.");
-        return;
+    if (!isSyncOwner()) {
+        logger.info("sync: saveWorkspaceToGist", "Another tab owns sync — asking it to save");
+        requestOwnerSave();
+        showNotification("info", "Saving from the tab that owns sync");
+        return false;
     }
 
-    isSaving = true;
+    if (!canTransition(SAVING)) {
+        logger.info("sync: saveWorkspaceToGist", `Save skipped — sync is ${getSyncState()}.`);
+        if (getSyncState() === CONFLICT) {
+            showNotification("warning", "The cloud changed — deal with that first, then save");
+        }
+        return false;
+    }
 
-    try {
-        const githubToken = getToken();
-        let gistId = getGistId();
+    if (cloudLoadIncomplete) {
+        logger.warn("sync: saveWorkspaceToGist", "Save refused — the last cloud load was incomplete.");
+        showNotification("error", "Not saving: the cloud workspace was not fully loaded");
+        return false;
+    }
+
+    // Never overwrite a workspace written by a newer client (see schema.js)
+    const newerSchema = newerCloudSchema ?? (isNewerSchema(workspaceSchemaVersion()) ? workspaceSchemaVersion() : null);
+    if (newerSchema !== null) {
+        refuseNewerSchema(newerSchema);
+        return false;
+    }
+
+    // Duplicate or missing ids and name collisions would lose pages in the save
+    const problems = checkBeforeSave();
+    if (problems.length) {
+        logger.warn("sync: saveWorkspaceToGist", `Save refused — workspace check found ${problems.length} problem(s)`);
+        recordSyncEntry({
+            reason: "save",
+            decision: "save-refused",
+            lastSynced: lastSyncedHash,
+            files: problems.map(p => `${p.kind}: ${p.path}`),
+            error: "Workspace check failed"
+        });
+        showNotification("error", `Not saving: the workspace check found ${problems.length} problem(s). <a href="#" id="integrity-link">Review</a>.`);
+        bindIntegrityLink();
+        return false;
+    }
+
+    transition(SAVING);
+    const previousHash = lastSyncedHash;   // for the sync journal
+    let prepared = null;                   // the delta, in case it has to be queued
 
-        showSyncState("saving");
+    try {
+        const storeId = provider.identity().id;
 
         logger.debugSyncing("sync: saveWorkspaceToGist",
-            `Starting save process. Current gistId: ${gistId || "(none)"}`
+            `Starting save process. Storage: ${provider.identity().label}`
         );
 
         // --- 1. Build flat file list from workspace ---
@@ -1130,19 +1675,63 @@ export async function saveWorkspaceToGist() {
                 "sync: saveWorkspaceToGist",
                 "Workspace is empty — refusing to sync to prevent destructive overwrite."
             );
-            return;
+            recordSyncEntry({ reason: "save", decision: "save-refused", lastSynced: previousHash, error: "Workspace is empty" });
+            return false;
         }
 
+        // Encrypted workspace → the key first (may ask for the passphrase)
+        const encryption = getEncryption();
+        const key = encryption ? await unlock(encryption) : null;
+
+        // Pages are stored by id ("id" layout), so renames and moves only touch the manifest
         const gistFiles = {};
+        const fileNames = new Map();   // flat path → gist filename
 
         files.forEach(f => {
-            gistFiles[f.path] = { content: f.content || "" };
+            let name = f.id ? gistFileName(f) : f.path;
+            if (gistFiles[name]) name = f.path;   // duplicate id — never let two pages share a file
+            fileNames.set(f.path, name);
+            gistFiles[name] = { content: f.content || "" };
+            if (key) gistFiles[name].encryptedWith = encryption.salt;
         });
 
+        // Trashed pages keep their gist files until purged (trash.js)
+        const { trash, files: trashFiles } = await buildTrashManifest();
+        for (const [name, content] of Object.entries(trashFiles)) {
+            if (gistFiles[name]) continue;   // back in the workspace meanwhile
+            gistFiles[name] = { content };
+            if (key) gistFiles[name].encryptedWith = encryption.salt;
+        }
+
+        if (cloudLayout !== "id") {
+            logger.info("sync: saveWorkspaceToGist", "Migrating gist to the id layout — path-named files will be removed");
+        }
+
+        const localHashes = await hashGistFiles(gistFiles);
+
         // --- 2. Save metadata file ---
+        // hash + fileHashes let other devices detect changes from this file alone
         const metadata = extractMetadata(workspace);
         setMetadata(metadata.nodes);
 
+        metadata.layout = "id";
+        for (const node of metadata.nodes) {
+            if (node.type === "file") node.file = fileNames.get(encodeFilePath(node.path));
+        }
+
+        const workspaceHash = await computeWorkspaceHash(files);
+        metadata.hash = await publishedHash(workspaceHash, encryption);
+        metadata.fileHashes = { ...localHashes };
+        Object.assign(metadata, buildTombstoneManifest());
+        metadata.trash = trash;
+        if (encryption) metadata.encryption = encryption;
+
+        // Hashed before lastSave is added (see withoutLastSave)
+        localHashes["__workspace.json"] = await sha256(JSON.stringify(metadata, null, 2));
+
+        // Who saved, for the history panel
+        metadata.lastSave = { deviceId, device: describeDevice(), at: new Date().toISOString() };
+
         gistFiles["__workspace.json"] = {
             content: JSON.stringify(metadata, null, 2)
         };
@@ -1151,90 +1740,83 @@ export async function saveWorkspaceToGist() {
             `Prepared ${Object.keys(gistFiles).length} files for saving: ${Object.keys(gistFiles).join(", ")}`
         );
 
-        // --- 3. Prepare request body ---
-        const body = {
-            description: "BIAN Workspace Backup",
-            public: false,
-            files: gistFiles
-        };
-
-        let method = "POST";
-        let url = GIST_API;
+        // --- 3. Work out the delta against what the store holds ---
+        const changes = { ...gistFiles };
+        let cloudHashes = storeId ? getCloudFileState(storeId) : null;
+
+        if (!cloudHashes && storeId) {
+            // First save to this store on this device — learn what it holds once
+            logger.debugSyncing("sync: saveWorkspaceToGist", "No cloud file state for this store — fetching it once");
+            const existing = await provider.load({ forSave: true });
+            const existingSchema = readManifest(existing?.files)?.schemaVersion;
+            if (isNewerSchema(existingSchema)) {
+                newerCloudSchema = existingSchema;
+                throw new Error("SCHEMA_NEWER");
+            }
+            cloudHashes = await hashGistFiles(existing ? await decryptGistFiles(existing.files) : null);
+        }
 
-        // --- 4. Update existing gist ---
-        if (gistId) {
-            method = "PATCH";
-            url = `${GIST_API}/${gistId}`;
+        if (cloudHashes) {
             logger.debugSyncing("sync: saveWorkspaceToGist",
-                `Updating existing gist with ID: ${gistId} using PATCH method.`
+                `Known cloud files before update: ${Object.keys(cloudHashes).join(", ")}`
             );
 
-            const existing = await githubFetch(`${GIST_API}/${gistId}`).then(r => r.json());
-
-            if (existing && existing.files) {
-                const existingNames = Object.keys(existing.files);
-                logger.debugSyncing("sync: saveWorkspaceToGist",
-                    `Existing cloud files before update: ${existingNames.join(", ")}`
-                );
+            // Unchanged files don't need to be sent
+            for (const name of Object.keys(gistFiles)) {
+                if (cloudHashes[name] === localHashes[name]) {
+                    delete changes[name];
+                }
+            }
 
-                for (const existingName of existingNames) {
-                    if (existingName === "__workspace.json") continue;
+            // Files gone locally are deleted in the store
+            for (const existingName of Object.keys(cloudHashes)) {
+                if (existingName === "__workspace.json") continue;
 
-                    const stillExistsLocally = files.some(f => f.path === existingName);
-                    if (!stillExistsLocally) {
-                        logger.debugSyncing("sync: saveWorkspaceToGist",
-                            `Marking file for deletion: ${existingName}`
-                        );
-                        body.files[existingName] = null;
-                    }
+                if (!(existingName in localHashes)) {
+                    logger.debugSyncing("sync: saveWorkspaceToGist",
+                        `Marking file for deletion: ${existingName}`
+                    );
+                    changes[existingName] = null;
                 }
             }
         } else {
-            logger.debugSyncing("sync: saveWorkspaceToGist",
-                "No gistId found — creating new gist via POST"
-            );
+            logger.debugSyncing("sync: saveWorkspaceToGist", "New store — sending every file");
         }
 
-        logger.debugSyncing("sync: saveWorkspaceToGist", `Final request method: ${method}`);
-        logger.debugSyncing("sync: saveWorkspaceToGist", `Final request URL: ${url}`);
-        logger.debugSyncing("sync: saveWorkspaceToGist", `Final file list being sent: ${Object.keys(body.files).join(", ")}`);
-
-        // --- 5. Send request ---
-        const res = await githubFetch(url, {
-            method,
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(body)
-        });
-
+        // --- 4. Encrypt what is sent (the hashes above are of the readable text) ---
+        for (const [name, file] of Object.entries(changes)) {
+            if (!file || name === "__workspace.json") continue;
+            changes[name] = { content: key ? await encryptText(key, file.content) : file.content };
+        }
 
-        const data = await res.json();
+        // --- 5. Send the changes ---
+        let savedId = storeId;
+        const sentFiles = await describeSentFiles(changes, fileNames);
+        prepared = {
+            gistId: storeId,
+            description: workspaceDescription(metadata.name),
+            changes,
+            hash: workspaceHash,
+            fileHashes: localHashes,
+            flat: flattenForMerge(workspace),
+            files: sentFiles
+        };
 
-        if (!res.ok) {
-            logger.error("sync: saveWorkspaceToGist",
-                `Gist save error: ${data.message || "Unknown error"}`
-            );
-            showSyncState("error");
-            showNotification("error", "Failed to save workspace");
-            logger.info("sync: saveWorkspaceToGist", "--- SAVE FAILED ---");
-            return;
-        }
+        if (Object.keys(changes).length === 0) {
+            // Nothing differs from what the store already holds
+            logger.debugSyncing("sync: saveWorkspaceToGist", "No changed files — skipping request");
+        } else {
+            logger.debugSyncing("sync: saveWorkspaceToGist", `Final file list being sent: ${Object.keys(changes).join(", ")}`);
 
-        // --- 6. Store gistId if new ---
-        if (!gistId && data.id) {
-            logger.debugSyncing("sync: saveWorkspaceToGist",
-                `New gist created with ID: ${data.id}`
-            );
-            setGistId(data.id);
-            gistId = data.id;
+            const result = await provider.save(changes, { description: workspaceDescription(metadata.name) });
+            savedId = result?.id || storeId;
         }
 
-        // --- 7. Compute new cloud hash using corrected loader ---     
-        // After saving, compute hash from the local workspace we just pushed
-        const newFlat = flattenWorkspace(getWorkspace());
-        lastSyncedHash = await computeWorkspaceHash(newFlat);
+        // The store now holds exactly our files
+        recordCloudFileState(savedId, localHashes);
 
-
-        localStorage.setItem("lastSyncedHash", lastSyncedHash);
+        // --- 6. The hash we just wrote is the new baseline ---
+        recordSyncBaseline(workspaceHash, flattenForMerge(workspace));
         lastSuccessfulSyncTime = Date.now();
 
         logger.debugSyncing("sync: saveWorkspaceToGist", "Save successful.");
@@ -1243,8 +1825,20 @@ export async function saveWorkspaceToGist() {
         );
         logger.debugSyncing("sync: saveWorkspaceToGist", "--- SAVE END ---");
 
-        showSyncState("synced");
+        // Anything queued while offline is covered by this save
+        dropQueuedSave(getActiveWorkspaceId()).catch(err =>
+            logger.warn("sync: saveWorkspaceToGist", "Could not clear the background save queue", err));
+
+        recordSyncEntry({
+            reason: "save",
+            decision: sentFiles.length ? "saved" : "save-nothing-sent",
+            local: workspaceHash,
+            lastSynced: previousHash,
+            files: sentFiles
+        });
+        transition(IDLE, { synced: true });
         showNotification("success", "Saved to cloud");
+        return true;
 
     } catch (error) {
         if (error.message === "TOKEN_INVALID") {
@@ -1252,16 +1846,239 @@ export async function saveWorkspaceToGist() {
             return false;
         }
 
+        if (error.message === "SCHEMA_NEWER") {
+            transition(IDLE, { error: "Newer app version" });
+            refuseNewerSchema(newerCloudSchema);
+            return false;
+        }
+
+        if (error.message === "ENCRYPTION_LOCKED") {
+            logger.warn("sync: saveWorkspaceToGist", "Save skipped — encrypted workspace is locked");
+            recordSyncEntry({ reason: "save", decision: "save-refused", lastSynced: previousHash, error: "Encrypted workspace locked" });
+            transition(IDLE, { error: "Locked" });
+            showNotification("warning", "Not saved — unlock the encrypted workspace first (Encryption)");
+            return false;
+        }
+
+        // Offline → hand the save to the service worker, which sends it when
+        // the network is back (even if this tab is closed by then)
+        if (isNetworkError(error) && prepared?.gistId && provider.id === "gist" && Object.keys(prepared.changes).length > 0) {
+            const queued = await queueBackgroundSave({
+                ...prepared,
+                workspaceId: getActiveWorkspaceId(),
+                token: getToken(),
+                expectedCloudHash: await publishedHash(previousHash, getEncryption())
+            }).catch(err => {
+                logger.error("sync: saveWorkspaceToGist", "Could not queue the save", err);
+                return false;
+            });
+
+            if (queued) {
+                recordSyncEntry({ reason: "save", decision: "save-queued", local: prepared.hash, lastSynced: previousHash, files: prepared.files });
+                transition(OFFLINE, { reason: "Offline — save queued" });
+                showNotification("info", "Offline — the save is queued and goes out when you're back online");
+                return false;
+            }
+        }
+
         logger.error("sync: saveWorkspaceToGist", error);
+        recordSyncEntry({ reason: "save", decision: "save-failed", lastSynced: previousHash, error: error.message });
+        if (isNetworkError(error)) {
+            transition(OFFLINE, { reason: "No network" });
+        } else {
+            transition(IDLE, { error: "Save failed" });
+        }
+        showNotification("error", error.message === "RATE_LIMITED"
+            ? "GitHub rate limit reached — try saving again later"
+            : "Failed to save workspace");
+        logger.info("sync: saveWorkspaceToGist", "--- SAVE FAILED ---");
         return false;
     } finally {
-        isSaving = false;
+        if (getSyncState() === SAVING) transition(IDLE);
+    }
+}
+
+// ------------------------------------------------------------
+// Background saves (see background-sync.js and sw.js)
+// ------------------------------------------------------------
+export async function bindBackgroundSync() {
+    logger.debugSyncing("sync", () => "Running bindBackgroundSync(). CALLED BY: " + getCallerName("bindBackgroundSync"));
+
+    const available = await initBackgroundSync({
+        credentials: () => ({ workspaceId: getActiveWorkspaceId(), token: getToken() }),
+        onStatus: (message) => {
+            if (message?.workspaceId !== getActiveWorkspaceId()) return;
+            logger.debugSyncing("sync: bindBackgroundSync", "Service worker status:", message);
+
+            if (message.type === "failed") {
+                logger.warn("sync: bindBackgroundSync", `Background save not sent yet: ${message.error}`);
+                return;
+            }
+            if (message.type !== "flushing") applySettledSave();
+        }
+    });
+
+    // A save may have gone out while no page was open
+    if (available) await applySettledSave();
+}
+
+// Take over the result of a background save for the active workspace
+async function applySettledSave() {
+    if (!isSyncOwner()) return;
+
+    let record;
+    try {
+        record = await takeSettledSave(getActiveWorkspaceId());
+    } catch (err) {
+        logger.error("sync: applySettledSave", "Could not read the background save queue", err);
+        return;
+    }
+    if (!record) return;
+
+    if (record.gistId !== getGistId()) {
+        logger.info("sync: applySettledSave", "Background save was for a gist this workspace no longer uses — ignoring");
+        return;
+    }
+
+    switch (record.status) {
+        case "done":
+            // The cloud now holds exactly what was queued
+            recordCloudFileState(record.gistId, record.fileHashes);
+            recordSyncBaseline(record.hash, record.flat);
+            recordSyncEntry({ reason: "background", decision: "saved", local: record.hash, lastSynced: record.expectedCloudHash, files: record.files });
+            if (getSyncState() === OFFLINE) transition(IDLE, { synced: true });
+            showNotification("success", "Changes saved while offline have reached the cloud");
+            break;
+        case "conflict":
+            recordSyncEntry({ reason: "background", decision: "background-conflict", lastSynced: record.expectedCloudHash, error: "The cloud changed after the save was queued" });
+            showNotification("warning", "A save queued offline wasn't sent — the cloud changed meanwhile. Your edits are still here and get merged on the next sync.");
+            break;
+        case "auth-expired":
+            recordSyncEntry({ reason: "background", decision: "auth-expired", lastSynced: record.expectedCloudHash, error: "GitHub session expired before the queued save went out" });
+            showNotification("warning", "A save queued offline wasn't sent — log in again and it is saved with your next sync");
+            break;
+    }
+}
+
+// ------------------------------------------------------------
+// Replay the offline journal (see offline-journal.js) onto the cloud
+// workspace, make that the local workspace and save it.
+// Returns descriptions of what was replayed, for the sync journal.
+// ------------------------------------------------------------
+async function replayOfflineJournal() {
+    logger.debugSyncing("sync", () => "Running replayOfflineJournal(). CALLED BY: " + getCallerName("replayOfflineJournal"));
+
+    const ops = getOfflineOps();
+    const cloud = await loadWorkspaceFromGist();
+
+    if (!cloud || !Array.isArray(cloud.flat) || cloud.flat.length === 0) {
+        // Nothing in the cloud to replay onto — this device's workspace already holds the edits
+        logger.info("sync: replayOfflineJournal", "Cloud workspace empty — saving this device's workspace as it is");
+        if (!await saveWorkspaceToGist()) return keepOfflineOps(ops);
+        clearOfflineOps();
+        return [`${ops.length} offline change(s) saved as they are`];
+    }
+
+    if (cloudLoadIncomplete) {
+        // Keep the journal — replaying onto a partial cloud workspace would lose pages
+        throw new Error("Cloud workspace not fully loaded — offline edits kept for the next attempt");
+    }
+
+    // This device's workspace merged with the cloud — it also holds the edits
+    // made before the connection dropped, which were never journaled
+    const localTree = getWorkspace();
+    const merged = await mergeCloudIntoLocal(cloud.flat, localTree);
+
+    if (merged?.cancelled) {
+        logger.info("sync: replayOfflineJournal", "Merge review cancelled — offline edits kept for the next attempt");
+        showNotification("warning", "Offline edits not replayed yet — they are kept until the cloud changes are merged");
+        return keepOfflineOps(ops);
+    }
+
+    // A three-way merge already holds the offline work, with the cloud's
+    // edits and the choices made in the review — replaying the ops on top
+    // would overwrite those. Only without a baseline (the cloud plus what
+    // only this device has) are the ops replayed.
+    let tree, applied = ops.length, skipped = [], recovered = [];
+    if (merged) {
+        tree = merged.tree;
+    } else {
+        tree = migrateWorkspace(mergeWorkspace(localTree, cloud.flat, cloud.metadata));
+        ({ applied, skipped, recovered } = applyOfflineOps(tree, ops));
+    }
+
+    takeSnapshot("offline-replay");
+    setWorkspace(tree);
+    saveState();
+    renderSidebar();
+    if (activeFileId) {
+        if (findNodeById(tree, activeFileId)) loadFile(activeFileId);
+        else closeActiveFile();
     }
+
+    // The cloud is the base; what the merge and replay added is a local change to save
+    recordSyncBaseline(await computeWorkspaceHash(cloud.flat), cloud.flat);
+
+    // The journal goes only once the cloud holds the result
+    if (!await saveWorkspaceToGist()) return keepOfflineOps(ops);
+    clearOfflineOps();
+
+    logger.info("sync: replayOfflineJournal", `Replayed ${applied} of ${ops.length} offline change(s)`);
+    showNotification(skipped.length ? "warning" : "success",
+        `Replayed ${applied} offline change(s)` +
+        (recovered.length ? ` — ${recovered.length} page(s) put in “Recovered offline edits”` : "") +
+        (skipped.length ? ` — ${skipped.length} couldn't be applied` : ""));
+
+    return [
+        ...ops.map(op => `${op.type} ${op.node?.name || op.name || op.id}`),
+        ...skipped.map(s => `skipped: ${s}`)
+    ];
+}
+
+// Journal lines for a replay that didn't reach the cloud — the ops stay
+// journaled and are replayed again on the next check
+function keepOfflineOps(ops) {
+    logger.warn("sync: replayOfflineJournal", `Offline edits not saved — ${ops.length} change(s) kept in the journal`);
+    return [`${ops.length} offline change(s) kept for the next attempt`];
+}
+
+// Sent gist files as the paths people know them by, for the sync journal
+async function describeSentFiles(changes, fileNames) {
+    const pathOf = new Map([...fileNames].map(([path, name]) => [name, path]));
+    const lastSynced = new Map((await getLastSyncedFlat() || [])
+        .filter(e => e.id && e.content !== null)
+        .map(e => [gistFileName(e), e.path]));
+
+    return Object.keys(changes)
+        .map(name => {
+            if (name === "__workspace.json") return "workspace manifest (names, folders, order)";
+            if (changes[name] === null) {
+                return `${lastSynced.has(name) ? displayPath(lastSynced.get(name)) : name} (deleted)`;
+            }
+            return pathOf.has(name) ? displayPath(pathOf.get(name)) : name;
+        });
+}
+
+function bindIntegrityLink() {
+    // Delay ensures the notification HTML is in the DOM
+    setTimeout(() => {
+        document.getElementById("integrity-link")?.addEventListener("click", (e) => {
+            e.preventDefault();
+            showIntegrityPanel();
+        });
+    }, 0);
+}
+
+function refuseNewerSchema(version) {
+    logger.warn("sync: saveWorkspaceToGist", `Save refused — workspace schema ${version} is newer than ${SCHEMA_VERSION}`);
+    recordSyncEntry({ reason: "save", decision: "save-refused", lastSynced: lastSyncedHash, error: `Saved by a newer version of the app (schema ${version})` });
+    showNotification("error", "Not saving: this workspace was saved by a newer version of the app — reload the page to update");
 }
 
+// Kept in IndexedDB (see snapshots.js) rather than downloaded
 export function saveEmergencySnapshot(reason, extra = {}) {
     logger.debugSyncing("sync", () => "Running saveEmergencySnapshot(). CALLED BY: " + getCallerName("saveEmergencySnapshot"));
-    exportWorkspace(reason, extra);
+    return takeSnapshot(reason, extra);
 }
 
 export function buildReadableWorkspaceExport(reason = "manual-export", extra = {}) {
@@ -1288,8 +2105,9 @@ export function buildReadableWorkspaceExport(reason = "manual-export", extra = {
     output += `Timestamp: ${new Date().toISOString()}\n`;
     output += `Device: ${deviceId}\n`;
     output += `Gist: ${getGistId() || "null"}\n`;
+    output += `Storage: ${getProvider().identity().label}\n`;
     output += `LastSyncedHash: ${lastSyncedHash || "null"}\n`;
-    output += `SyncEnabled: ${syncEnabled}\n`;
+    output += `SyncEnabled: ${isSyncEnabledFlag()}\n`;
 
     // Extra anomaly/debug context
     for (const [key, value] of Object.entries(extra)) {
@@ -1353,167 +2171,215 @@ export function markLocalEdit() {
     //logger.debugSyncing("sync: markLocalEdit", `Local edit detected at ${new Date(lastLocalEditTime).toISOString()}`);
 }
 
-export function showSyncState(state) {
-    logger.debugSyncing("sync", () => "Running showSyncState(). CALLED BY: " + getCallerName("showSyncState"));
+// ------------------------------------------------------------
+// Gist files → { flat, metadata, manifest }
+//
+// Two layouts exist:
+//   "id"   — pages stored as <id>.md / <id>.puml; the manifest node's
+//            `file` names the gist file and `path` is the human path.
+//            Renames and moves only change __workspace.json.
+//   "path" — (older gists) the gist filename IS the encoded path.
+// Either way the flat list uses encoded paths, like flattenWorkspace().
+// ------------------------------------------------------------
+// A manifest node's order as a flat entry carries it (see "Sibling order"
+// in workspace.js) — undefined if the manifest was saved before order was kept
+function manifestOrder(byPath, rawPath) {
+    const parts = rawPath.split("___");
+    const order = [];
+
+    for (let i = 1; i <= parts.length; i++) {
+        const index = byPath.get(parts.slice(0, i).join("___"))?.order;
+        if (!Number.isInteger(index)) return undefined;
+        order.push(index);
+    }
+    return order;
+}
+
+function parseGistFiles(files) {
+    logger.debugSyncing("sync", () => "Running parseGistFiles(). CALLED BY: " + getCallerName("parseGistFiles"));
 
-    const map = {
-        saving:   ["saving",   "Saving…"],
-        synced:   ["synced",   "Synced"],
-        error:    ["error",    "Error"],
-        readonly: ["readonly", "Read‑only"]
-    };
+    // ------------------------------------------------------------
+    // 1. Parse metadata file
+    // ------------------------------------------------------------
+    let manifest = null;
+    let metadata = [];
 
-    if (map[state]) {
-        setSyncStatus(...map[state]);
+    if (files["__workspace.json"]) {
+        try {
+            manifest = JSON.parse(files["__workspace.json"].content);
+            metadata = Array.isArray(manifest.nodes) ? manifest.nodes : [];
+        } catch (err) {
+            logger.error("sync: parseGistFiles", "Failed to parse metadata", err);
+            metadata = [];
+        }
     }
-}
 
+    logger.debugSyncing("sync: parseGistFiles", "Parsed metadata:", metadata);
 
-export async function loadWorkspaceFromGist() {
-    logger.debugSyncing("sync", () => "Running loadWorkspaceFromGist. CALLED BY: " + getCallerName("loadWorkspaceFromGist"));
-    logger.debugSyncing("sync", "loadWorkspaceFromGist gistId:", getGistId());
+    // ------------------------------------------------------------
+    // 2. Build flat list: FOLDERS FIRST
+    // ------------------------------------------------------------
+    const flat = [];
+    const byPath = new Map(metadata.filter(m => m && m.path).map(m => [m.path, m]));
 
-    if (!requireLogin()) {
-        logger.info("sync: loadWorkspaceFromGist", "Login not required");
-        return null;
+    for (const m of metadata) {
+        if (m && m.type === "folder") {
+            flat.push({
+                path: encodePath(m.path),   // metadata paths are raw; flat paths are encoded
+                content: null,
+                id: m.id,
+                order: manifestOrder(byPath, m.path),
+                isPublic: m.isPublic ?? false,
+                publicId: m.publicId ?? null,
+                publicAt: m.publicAt ?? null
+            });
+        }
     }
 
-    const gistId = getGistId();
-    const githubToken = getToken();
+    // ------------------------------------------------------------
+    // 3. Add file entries SECOND
+    // ------------------------------------------------------------
+    if (manifest?.layout === "id") {
+        const referenced = new Set(["__workspace.json", ...trashFileNames(manifest)]);
 
-    if (!gistId) {
-        showNotification("info", "No cloud backup found. Save to Cloud first.");
-        logger.info("sync: loadWorkspaceFromGist", "No cloud backup found.");
-        return null;
-    }
+        for (const m of metadata) {
+            if (!m || m.type !== "file") continue;
+            referenced.add(m.file);
 
-    try {
-        const res = await githubFetch(`${GIST_API}/${gistId}`);
+            if (!files[m.file]) {
+                logger.warn("sync: parseGistFiles", `Manifest file missing from gist: ${m.file} (${m.path})`);
+                continue;
+            }
 
-        if (!res.ok) {
-            logger.error("sync: loadWorkspaceFromGist", `GitHub returned ${res.status}`);
-            return null;
+            flat.push({
+                path: encodeFilePath(m.path),
+                content: files[m.file].content || "",
+                id: m.id,
+                order: manifestOrder(byPath, m.path),
+                isPublic: m.isPublic ?? false,
+                publicId: m.publicId ?? null,
+                publicAt: m.publicAt ?? null
+            });
         }
 
-        const data = await res.json();
-        const files = data.files || {};
+        // A file nothing points at (e.g. a half-finished save) — keep it visible rather than lose it
+        for (const filename in files) {
+            if (referenced.has(filename)) continue;
 
-        // ------------------------------------------------------------
-        // 1. Parse metadata file
-        // ------------------------------------------------------------
-        let metadata = [];
+            logger.warn("sync: parseGistFiles", `Gist file not in manifest: ${filename}`);
+            flat.push({ path: encodeName(filename), content: files[filename].content || "", id: null });
+        }
 
-        if (files["__workspace.json"]) {
-            try {
-                const parsed = JSON.parse(files["__workspace.json"].content);
+        return { flat, metadata, manifest };
+    }
 
-                // NEW: extract nodes array
-                if (Array.isArray(parsed.nodes)) {
-                    metadata = parsed.nodes;
-                } else {
-                    metadata = [];
-                }
+    for (const filename in files) {
+        if (filename === "__workspace.json") continue;
 
-            } catch (err) {
-                logger.error("sync: loadWorkspaceFromGist", "Failed to parse metadata", err);
-                metadata = [];
-            }
-        }
+        flat.push({
+            path: filename,
+            content: files[filename].content || ""
+        });
+    }
 
+    // ------------------------------------------------------------
+    // 4. Merge metadata into flat entries (by decoded path)
+    // ------------------------------------------------------------
+    const metaMap = new Map();
 
-        if (!Array.isArray(metadata)) {
-            metadata = [metadata];
-        }
-        setMetadata(metadata);
+    for (const m of metadata) {
+        if (!m || !m.path) continue;
 
-        logger.debugSyncing("sync: loadWorkspaceFromGist", "Parsed metadata:", metadata);
+        // m.path is already decoded, e.g. "_App___Bugs.md"
+        metaMap.set(m.path, m);
+    }
 
-        // ------------------------------------------------------------
-        // 2. Build flat list: FOLDERS FIRST
-        // ------------------------------------------------------------
-        const flat = [];
+    for (const entry of flat) {
+        if (!entry || !entry.path) continue;
 
-        for (const m of metadata) {
-            logger.debugSyncing("sync: loadWorkspaceFromGist", "Push to flat if folder. m of metadata: ", m.id,m.type,m.path);
-            if (m.type === "folder") {
-                flat.push({
-                    path: m.path,
-                    content: null,
-                    id: m.id,
-                    isPublic: m.isPublic ?? false,
-                    publicId: m.publicId ?? null,
-                    publicAt: m.publicAt ?? null
-                    //updatedAt: m.updatedAt ?? Date.now()
-                });
-                logger.debugSyncing("sync: loadWorkspaceFromGist", "Pushed to flat (folder): ", flat[flat.length - 1]);
-            }
+        // entry.path is encoded → decode it to match metadata paths
+        const decodedFlatPath = decodeName(entry.path);
+        const meta = metaMap.get(decodedFlatPath);
+
+        if (!meta) {
+            logger.warn("sync: parseGistFiles", "No metadata found for:", decodedFlatPath);
         }
-        logger.debugSyncing("sync: loadWorkspaceFromGist", "Flat (folders): ", flat);
 
-        // ------------------------------------------------------------
-        // 3. Add file entries SECOND
-        // ------------------------------------------------------------
-        for (const filename in files) {
-            if (filename === "__workspace.json") continue;
+        entry.id        = meta?.id        ?? entry.id ?? null;
+        entry.isPublic  = meta?.isPublic  ?? entry.isPublic ?? false;
+        entry.publicId  = meta?.publicId  ?? entry.publicId ?? null;
+        entry.publicAt  = meta?.publicAt  ?? entry.publicAt ?? null;
+    }
 
-            flat.push({
-                path: filename,
-                content: files[filename].content || ""
-            });
-            logger.debugSyncing("sync: loadWorkspaceFromGist", "Pushed to flat (file): ", flat[flat.length - 1]);
-        }
+    return { flat, metadata, manifest };
+}
 
-        // ------------------------------------------------------------
-        // 4. Build metadata lookup map (decoded paths)
-        // ------------------------------------------------------------
-        const metaMap = new Map();
+// Gist filename for a page in the "id" layout
+function gistFileName(entry) {
+    return entry.path.endsWith(".puml") ? `${entry.id}.puml` : `${entry.id}.md`;
+}
 
-        for (const m of metadata) {
-            if (!m || !m.path) continue;
+export async function loadWorkspaceFromGist() {
+    logger.debugSyncing("sync", () => "Running loadWorkspaceFromGist. CALLED BY: " + getCallerName("loadWorkspaceFromGist"));
+    const provider = getProvider();
+    logger.debugSyncing("sync", "loadWorkspaceFromGist storage:", provider.identity().label);
 
-            // m.path is already decoded, e.g. "_App___Bugs.md"
-            metaMap.set(m.path, m);
-        }
+    if (!await provider.isReady()) {
+        logger.info("sync: loadWorkspaceFromGist", `Storage provider ${provider.id} not ready`);
+        return null;
+    }
 
+    try {
+        const result = await provider.load();
 
+        if (!result) {
+            showNotification("info", "No cloud backup found. Save to Cloud first.");
+            logger.info("sync: loadWorkspaceFromGist", "No cloud backup found.");
+            return null;
+        }
 
-        logger.debugSyncing("sync: loadWorkspaceFromGist", "Metadata map keys:", Array.from(metaMap.keys()));
+        const { files, complete } = result;
 
+        // Partial content must never reach the workspace (it would be saved back truncated)
+        cloudLoadIncomplete = !complete;
+        if (!complete) {
+            showNotification("error", "Cloud workspace could not be fully loaded — saving is paused");
+            return null;
+        }
 
-        // ------------------------------------------------------------
-        // 5. Merge metadata into flat entries
-        // ------------------------------------------------------------
-        for (const entry of flat) {
-            if (!entry || !entry.path) continue;
+        // Encryption turned on, off or re-keyed on another device
+        setEncryption(manifestEncryption(files));
 
-            // entry.path is encoded → decode it to match metadata paths
-            const decodedFlatPath = decodeName(entry.path);
+        const readable = await decryptGistFiles(files);
 
-            const meta = metaMap.get(decodedFlatPath);
+        // Remember what the store holds so the next save can send only the delta
+        recordCloudFileState(result.id, await hashGistFiles(readable));
 
-            if (meta) {
-                logger.debugSyncing("sync: loadWorkspaceFromGist", "Merging metadata for:", decodedFlatPath, meta);
-            } else {
-                logger.warn("sync: loadWorkspaceFromGist", "No metadata found for:", decodedFlatPath);
-            }
+        const { flat, metadata, manifest } = parseGistFiles(readable);
 
-            entry.id        = meta?.id        ?? entry.id ?? null;
-            entry.isPublic  = meta?.isPublic  ?? entry.isPublic ?? false;
-            entry.publicId  = meta?.publicId  ?? entry.publicId ?? null;
-            entry.publicAt  = meta?.publicAt  ?? entry.publicAt ?? null;
-            //entry.updatedAt = meta?.updatedAt ?? entry.updatedAt ?? Date.now();
+        // Saved by a newer client → readable here, but not to be saved over
+        newerCloudSchema = isNewerSchema(manifest?.schemaVersion) ? manifest.schemaVersion : null;
+        if (newerCloudSchema !== null) {
+            logger.warn("sync: loadWorkspaceFromGist", `Cloud workspace has schema ${newerCloudSchema}, this app knows ${SCHEMA_VERSION}`);
         }
 
+        // Deletions/renames made on other devices
+        absorbTombstones(manifest);
+        await absorbTrash(manifest, readable);
+
+        // Renamed on another device
+        if (manifest?.kind === WORKSPACE_KIND && manifest.name && manifest.name !== getWorkspaceName()) {
+            logger.info("sync: loadWorkspaceFromGist", `Workspace name → ${manifest.name}`);
+            setWorkspaceName(manifest.name);
+        }
+        setMetadata(metadata);
+        cloudLayout = manifest?.layout || "path";
 
-        // ------------------------------------------------------------
-        // 6. Final debug summary
-        // ------------------------------------------------------------
         logger.debugSyncing("sync: loadWorkspaceFromGist", "Returning cloud data:", {
-            flatType: Array.isArray(flat) ? "array" : typeof flat,
             flatLength: flat.length,
-            metadataType: Array.isArray(metadata) ? "array" : typeof metadata,
             metadataLength: metadata.length,
-            fileKeys: Object.keys(files)
+            layout: manifest?.layout || "path",
+            fileKeys: Object.keys(readable)
         });
 
         return {
@@ -1521,14 +2387,24 @@ export async function loadWorkspaceFromGist() {
             metadata
         };
 
-        logger.debugSyncing("sync: loadWorkspaceFromGist", "loadWorkspaceFromGist() END");
-
 
     } catch (error) {
         if (error.message === "TOKEN_INVALID") {
             throw error; // <-- LET IT PROPAGATE TO THE SYNC ENGINE
         }
 
+        if (error.message === "ENCRYPTION_LOCKED") {
+            logger.warn("sync: loadWorkspaceFromGist", "Encrypted workspace — no passphrase given");
+            cloudLoadIncomplete = true;   // nothing readable was loaded, so nothing may be saved over it
+            showNotification("warning", "This workspace is encrypted — sync is paused until you unlock it (Encryption)");
+            return null;
+        }
+
+        if (error.message === "DECRYPT_FAILED") {
+            cloudLoadIncomplete = true;
+            showNotification("error", "A page in the cloud could not be decrypted — saving is paused");
+        }
+
         logger.error("sync: loadWorkspaceFromGist", {
             message: error.message,
             stack: error.stack
@@ -1577,24 +2453,20 @@ async function getNewestGistAcrossAccount() {
 
 export async function listGistRevisions() {
     logger.debugSyncing("sync", () => "Running listGistRevisions(). CALLED BY: " + getCallerName("listGistRevisions"));
-    if (!requireLogin()) {
-        logger.info("sync: listGistRevisions", "Login not required")
+    const provider = getProvider();
+
+    if (!await provider.isReady()) {
+        logger.info("sync: listGistRevisions", `Storage provider ${provider.id} not ready`);
         return [];
     }
 
     try {
-        const githubToken = getToken();
-        const gistId = getGistId();
+        const revisions = await provider.listRevisions();
 
-        if (!gistId) {
+        if (revisions.length === 0) {
             showNotification("info", "No cloud backup found");
-            return [];
         }
-
-        const res = await githubFetch(`${GIST_API}/${gistId}/commits`);
-
-        const data = await res.json();
-        return data;
+        return revisions;
 
     } catch (error) {
         if (error.message === "TOKEN_INVALID") {
@@ -1610,8 +2482,10 @@ export async function listGistRevisions() {
 
 export async function restoreFromGistVersion(versionId) {
     logger.debugSyncing("sync", () => "Running restoreFromGistVersion(). CALLED BY: " + getCallerName("restoreFromGistVersion"));
-    if (!requireLogin()) {
-        logger.info("sync: restoreFromGistVersion", "Login not required")
+    const provider = getProvider();
+
+    if (!await provider.isReady()) {
+        logger.info("sync: restoreFromGistVersion", `Storage provider ${provider.id} not ready`);
         return;
     }
 
@@ -1621,46 +2495,17 @@ export async function restoreFromGistVersion(versionId) {
     }
 
     try {
-        const gistId = getGistId();
-        const githubToken = getToken();
-
-        const res = await githubFetch(`${GIST_API}/${gistId}/${versionId}`);
-
-        const data = await res.json();
-
-        // ⭐ 1. Load metadata file if present
-        const metadataFile = data.files["__workspace.json"];
-        let metadata = null;
-
-        if (metadataFile && metadataFile.content) {
-            try {
-                metadata = JSON.parse(metadataFile.content);
-            } catch (e) {
-                console.warn("Invalid metadata file", e);
-            }
-        }
-
-        // 2. Convert flat gist files → recursive workspace tree
-        const flat = {};
-        for (const filename in data.files) {
-            if (filename === "__workspace.json") continue; // skip metadata file
-            flat[filename] = data.files[filename].content;
-        }
+        const revision = await provider.getRevision(versionId);
+        const { files, complete } = revision || { files: {}, complete: false };
 
-        // 1. Extract cloud flat files (excluding metadata)
-        const cloudFlat = {};
-        for (const filename in data.files) {
-            if (filename !== "__workspace.json") {
-                cloudFlat[filename] = data.files[filename].content;
-            }
+        if (!complete) {
+            showNotification("error", "That version could not be fully loaded — restore cancelled");
+            return;
         }
 
-        // 2. Parse cloud metadata
-        const cloudMetadata = metadata || [];
-        // ensure passing an array
-        if (!Array.isArray(cloudMetadata)) {
-            cloudMetadata = [cloudMetadata];
-        }
+        // 1–2. Same parser as the live load (handles both gist layouts)
+        const readable = await decryptGistFiles(files, { message: OLDER_PASSPHRASE, force: true });
+        const { flat: cloudFlat, metadata: cloudMetadata } = parseGistFiles(readable);
 
         // 3. Load local workspace (unsaved work)
         const localTree = getWorkspace();
@@ -1668,7 +2513,8 @@ export async function restoreFromGistVersion(versionId) {
         // 4. Merge cloud + local using metadata to preserve IDs
         const merged = mergeWorkspace(localTree, cloudFlat, cloudMetadata);
 
-        // 5. Save + render
+        // 5. Save + render (keeping what is replaced)
+        takeSnapshot("restore", { versionId });
         setWorkspace(merged);
         saveState();
         renderSidebar();
@@ -1697,20 +2543,16 @@ export async function showRestoreDialog() {
     }    
 
     try {
-        let msg = "Choose a version to restore:\n\n";
-        revisions.forEach((rev, i) => {
-            msg += `${i + 1}. ${rev.version} — ${rev.committed_at}\n`;
+        const restored = await showHistoryPanel({
+            revisions,
+            current: flattenForMerge(getWorkspace()),
+            loadManifest: loadRevisionManifest,
+            loadRevision: loadRevisionFlat
         });
-
-        const choice = prompt(msg);
-        if (!choice) return;
-
-        const index = parseInt(choice, 10) - 1;
-        const versionId = revisions[index]?.version;
-        if (!versionId) return;
+        if (!restored) return;
 
         try {
-            await restoreFromGistVersion(versionId);
+            await restoreFromGistVersion(restored);
         } catch (err) {
             if (err.message === "TOKEN_INVALID") {
                 handleExpiredToken();
@@ -1725,6 +2567,246 @@ export async function showRestoreDialog() {
     }      
 }
 
+// ------------------------------------------------------------
+// History of one file or folder (sidebar context menu)
+// ------------------------------------------------------------
+export async function showNodeHistory(nodeId) {
+    logger.debugSyncing("sync", () => "Running showNodeHistory(). CALLED BY: " + getCallerName("showNodeHistory"));
+
+    const workspace = getWorkspace();
+    const node = findNodeById(workspace, nodeId);
+    if (!node) return;
+
+    const revisions = await listGistRevisions();
+    if (!revisions || revisions.length === 0) {
+        logger.info("sync: showNodeHistory", "No revisions found");
+        return;
+    }
+
+    try {
+        const version = await showNodeHistoryPanel({
+            node: { id: node.id, type: node.type, name: node.name },
+            revisions,
+            current: flatSubtree(flattenForMerge(workspace), node.id),
+            loadManifest: loadRevisionManifest,
+            loadRevision: loadRevisionFlat
+        });
+        if (!version) return;
+
+        await restoreNodeFromVersion(nodeId, version);
+
+    } catch (err) {
+        if (err.message === "TOKEN_INVALID") {
+            handleExpiredToken();
+            return;
+        }
+
+        logger.error("sync: showNodeHistory", err);
+        showNotification("error", "Could not restore from history");
+    }
+}
+
+// ------------------------------------------------------------
+// Restore one node (and, for a folder, everything in it) from a revision.
+//
+// Files that still exist get their old content back where they are now;
+// files deleted since are put back in their old place inside the node.
+// Anything added since is left alone.
+// ------------------------------------------------------------
+async function restoreNodeFromVersion(nodeId, version) {
+    logger.debugSyncing("sync", () => "Running restoreNodeFromVersion(). CALLED BY: " + getCallerName("restoreNodeFromVersion"));
+
+    if (isReadOnlyDevice()) {
+        logger.info("sync: restoreNodeFromVersion", "Restore skipped — read-only device.");
+        return;
+    }
+
+    const workspace = getWorkspace();
+    const target = findNodeById(workspace, nodeId);
+    const flat = await loadRevisionFlat(version);
+    const entries = flat ? flatSubtree(flat, nodeId) : [];
+
+    if (!target || entries.length === 0) {
+        showNotification("error", "That version could not be loaded — nothing restored");
+        return;
+    }
+
+    // Parents before children, folders before files at the same depth
+    const depth = e => e.path.split("___").length;
+    entries.sort((a, b) => (depth(a) - depth(b)) || ((b.content === null) - (a.content === null)));
+
+    let updated = 0;
+    let recreated = 0;
+
+    for (const entry of entries) {
+        const existing = entry.id ? findNodeById(workspace, entry.id) : null;
+
+        if (existing) {
+            if (entry.content !== null && existing.type === "file" && existing.content !== entry.content) {
+                existing.content = entry.content;
+                updated++;
+            }
+            continue;
+        }
+
+        const names = entry.path.split("___").map(decodeName);
+        const name = names[names.length - 1];
+        const parent = ensureFolderPath(target, names.slice(1, -1));
+
+        if (entry.content === null && parent.children.some(c => c.type === "folder" && c.name === name)) {
+            continue;
+        }
+
+        const node = entry.content === null ? createFolder(name) : createFile(name, entry.content);
+        if (entry.id) node.id = entry.id;
+        insertChild(parent.children, node);
+
+        // Don't let the deletion tombstone remove it again on the next sync
+        recordRestore(node.id, getNodePath(workspace, node.id));
+        recreated++;
+    }
+
+    logger.info("sync: restoreNodeFromVersion", `Restored ${target.name} from ${version}: ${updated} updated, ${recreated} recreated`);
+
+    saveState();
+    renderSidebar();
+    if (activeFileId) loadFile(activeFileId);
+
+    showNotification("success", updated + recreated === 0
+        ? `“${target.name}” already matches that version`
+        : `Restored “${target.name}”: ${updated} file(s) updated, ${recreated} item(s) brought back`);
+}
+
+// Walk (creating as needed) folders by name below a folder node
+function ensureFolderPath(folder, names) {
+    let current = folder;
+    for (const name of names) {
+        let child = current.children.find(c => c.type === "folder" && c.name === name);
+        if (!child) {
+            child = createFolder(name);
+            insertChild(current.children, child);
+        }
+        current = child;
+    }
+    return current;
+}
+
+// ------------------------------------------------------------
+// Revision content for the history panel
+//
+// Revisions never change, so what we fetch is kept for the session
+// (keyed by store too, in case storage is switched).
+// ------------------------------------------------------------
+const revisionCache = new Map();   // "<store>:<version>:<what>" → Promise
+
+function cachedRevision(version, what, load) {
+    const key = `${getProvider().identity().id}:${version}:${what}`;
+
+    if (!revisionCache.has(key)) {
+        const pending = load().catch(err => {
+            revisionCache.delete(key);   // let a later click retry
+            throw err;
+        });
+        revisionCache.set(key, pending);
+    }
+    return revisionCache.get(key);
+}
+
+// → parsed __workspace.json of a revision, or null
+function loadRevisionManifest(version) {
+    return cachedRevision(version, "manifest", async () => {
+        const revision = await getProvider().getRevision(version, { manifestOnly: true });
+        const text = revision?.files?.["__workspace.json"]?.content;
+        if (!text) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            logger.error("sync: loadRevisionManifest", `Unreadable manifest in revision ${version}`, err);
+            return null;
+        }
+    });
+}
+
+// Versions saved before a passphrase change need the passphrase they were saved with
+const OLDER_PASSPHRASE = "This version is encrypted, possibly with an earlier passphrase. Passphrase:";
+
+// → flat list of a revision (encoded paths, like flattenForMerge), or null if incomplete
+function loadRevisionFlat(version) {
+    return cachedRevision(version, "flat", async () => {
+        const revision = await getProvider().getRevision(version);
+        if (!revision?.complete) return null;
+        return parseGistFiles(await decryptGistFiles(revision.files, { message: OLDER_PASSPHRASE })).flat;
+    });
+}
+
+// ------------------------------------------------------------
+// Choose where the workspace is stored.
+//
+// The sync baseline belongs to the old store, so it is dropped and the new
+// store is reconciled with the local workspace — without a baseline the two
+// are merged, so neither side is overwritten.
+// ------------------------------------------------------------
+export async function showStorageProviderDialog() {
+    logger.debugSyncing("sync", () => "Running showStorageProviderDialog(). CALLED BY: " + getCallerName("showStorageProviderDialog"));
+
+    if (!isSyncOwner()) {
+        showNotification("warning", "Change storage from the tab that owns sync");
+        return;
+    }
+
+    const providers = listProviders();
+    const previous = getProvider();
+    const previousIdentity = previous.identity().id;
+
+    let msg = "Where should the workspace be stored?\n\n";
+    providers.forEach((p, i) => {
+        msg += `${i + 1}. ${p.label}${p.id === previous.id ? " (current)" : ""}\n`;
+    });
+
+    const choice = prompt(msg);
+    if (!choice) return;
+
+    const provider = providers[parseInt(choice, 10) - 1];
+    if (!provider) return;
+
+    if (!await provider.configure()) {
+        showNotification("warning", `${provider.label} is not set up — storage unchanged`);
+        return;
+    }
+
+    setActiveProviderId(provider.id);
+
+    if (provider.id === previous.id && provider.identity().id === previousIdentity) {
+        showNotification("info", `Still using ${provider.identity().label}`);
+        return;
+    }
+
+    logger.info("sync: showStorageProviderDialog", `Switching storage → ${provider.identity().label}`);
+    clearSyncBaseline();
+
+    try {
+        await reconcileLocalAndCloud(getWorkspace());
+    } catch (err) {
+        if (err.message === "TOKEN_INVALID") {
+            handleExpiredToken();
+            return;
+        }
+        throw err;
+    }
+
+    renderSidebar();
+    showNotification("success", `Workspace now stored in ${provider.identity().label}`);
+    startSyncLoop();
+}
+
+// ------------------------------------------------------------
+// Workspaces (gist storage)
+//
+// On login without a gist the user picks a workspace gist instead of us
+// adopting whichever gist changed last — that could be anything on the
+// account, and the next save would overwrite it.
+// ------------------------------------------------------------
 async function adoptOrCreateGist() {
     logger.debugSyncing("sync", () => "Running adoptOrCreateGist(). CALLED BY: " + getCallerName("adoptOrCreateGist"));
     const token = getToken();
@@ -1733,63 +2815,252 @@ async function adoptOrCreateGist() {
         return null
     };
 
-    // --- 1. Try to adopt newest existing gist ---
-    try {
-        const newest = await getNewestGistAcrossAccount();
+    return chooseWorkspace({ onLogin: true });
+}
 
-        if (newest && newest.id) {
-            logger.info("sync: adoptOrCreateGist", `Adopting existing gist ${newest.id}`);
-            setGistId(newest.id);
-            return newest.id;
-        }
+export async function showWorkspacePicker() {
+    logger.debugSyncing("sync", () => "Running showWorkspacePicker(). CALLED BY: " + getCallerName("showWorkspacePicker"));
 
-        logger.info("sync: adoptOrCreateGist", "No existing gists found — will create new gist");
-    } catch (err) {
-        logger.error("sync: adoptOrCreateGist", "Failed while checking for existing gists", err);
-        // We *continue* — failure to list gists should not block creation
+    if (getProvider().id !== "gist") {
+        showNotification("info", "Workspaces live in GitHub gists — choose Storage → GitHub Gist first");
+        return;
+    }
+    if (!isSyncOwner()) {
+        showNotification("warning", "Switch workspaces from the tab that owns sync");
+        return;
     }
 
-    // --- 2. Create a new gist ---
+    await chooseWorkspace();
+}
+
+// Returns the gist id this device ends up attached to (null if none)
+async function chooseWorkspace({ onLogin = false } = {}) {
+    logger.debugSyncing("sync", () => "Running chooseWorkspace(). CALLED BY: " + getCallerName("chooseWorkspace"));
+    const currentId = getGistId();
+
     try {
-        const res = await githubFetch("https://api.github.com/gists", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                description: "Workspace",
-                public: false,
-                files: {
-                    "workspace.json": {
-                        content: JSON.stringify({ created: Date.now() }, null, 2)
-                    }
-                }
-            })
-        });
+        const workspaces = await listWorkspaceGists();
 
-        if (!res.ok) {
-            logger.error( "sync: adoptOrCreateGist", `GitHub returned ${res.status} when creating gist` );
-            return null;
+        // First login and nothing to choose from → make one for what's on this device
+        if (onLogin && workspaces.length === 0) {
+            logger.info("sync: chooseWorkspace", "No workspace gists found — creating one");
+            return await createWorkspace(getWorkspaceName(), { onLogin });
         }
 
-        const data = await res.json();
+        const choice = await showWorkspacePickerDialog({ workspaces, currentId, currentName: getWorkspaceName() });
+
+        if (!choice) {
+            if (onLogin) showNotification("info", "No workspace chosen — sync stays off until you pick one");
+            return currentId;
+        }
 
-        if (!data || !data.id) {
-            logger.error("sync: adoptOrCreateGist", "GitHub response missing gist ID", data);
+        switch (choice.action) {
+            case "open":
+                return await openWorkspace(choice.id, { onLogin });
+            case "create":
+                return await createWorkspace(choice.name, { onLogin });
+            case "rename":
+                setWorkspaceName(choice.name);
+                renderSidebar();
+                await saveWorkspaceToGist();
+                return currentId;
+            case "detach":
+                detachWorkspace();
+                return null;
+        }
+        return currentId;
+
+    } catch (err) {
+        if (err.message === "TOKEN_INVALID") {
+            handleExpiredToken();
             return null;
         }
+        logger.error("sync: chooseWorkspace", err);
+        showNotification("error", "Could not load your workspaces");
+        return currentId;
+    }
+}
 
-        logger.info("sync: adoptOrCreateGist", `Created new gist ${data.id}`);
-        setGistId(data.id);
-        return data.id;
+// Offer to save unsaved changes before this device leaves a workspace
+async function saveBeforeLeaving() {
+    if (!getGistId()) return;
 
-    } catch (error) {
-        if (error.message === "TOKEN_INVALID") {
+    const localHash = await computeWorkspaceHash(flattenWorkspace(getWorkspace()));
+    if (localHash === lastSyncedHash) return;
+
+    if (confirm(`“${getWorkspaceName()}” has changes that aren't saved to the cloud.\n\nSave them before leaving it?`)) {
+        await saveWorkspaceToGist();
+    }
+}
+
+async function openWorkspace(id, { onLogin = false } = {}) {
+    logger.info("sync: openWorkspace", `Opening workspace gist ${id}`);
+
+    if (onLogin) {
+        // The login sync check merges this device's pages with it
+        setGistId(id);
+        clearSyncBaseline();
+        return id;
+    }
+
+    // Already kept in another workspace on this device → just go there
+    const local = findWorkspaceBy(`gist_id_${deviceId}`, id);
+    if (local) {
+        await switchWorkspace(local.id);
+        return id;
+    }
+
+    await saveBeforeLeaving();
+
+    // What to go back to if the chosen workspace can't be loaded. The pages
+    // shown now stay in place until then, so the "cloud-apply" snapshot
+    // keeps a copy of them.
+    const previous = {
+        tree: getWorkspace(),
+        gistId: getGistId(),
+        name: getWorkspaceName(),
+        metadata: getMetadata(),
+        hash: lastSyncedHash,
+        flat: await getLastSyncedFlat()
+    };
+
+    stopSyncLoop();
+    setGistId(id);
+    clearSyncBaseline();
+
+    // This device now shows the chosen workspace instead
+    let applied = false;
+    try {
+        applied = await applyCloudWorkspace();
+    } catch (err) {
+        if (err.message === "TOKEN_INVALID") handleExpiredToken();
+        logger.error("sync: openWorkspace", "Loading the workspace failed", err);
+    }
+
+    if (!applied) {
+        if (previous.gistId) setGistId(previous.gistId);
+        else clearGistId();
+        if (previous.hash) recordSyncBaseline(previous.hash, previous.flat);
+        setWorkspaceName(previous.name);
+        setMetadata(previous.metadata);
+        setWorkspace(previous.tree);
+        saveState();
+        renderSidebar();
+
+        logger.warn("sync: openWorkspace", `Workspace gist ${id} not opened — back to the previous one`);
+        showNotification("error", "That workspace couldn't be loaded — nothing changed");
+        if (getSyncEnabled() && previous.gistId) startSyncLoop();
+        return previous.gistId;
+    }
+
+    const workspace = getWorkspace();
+    saveState();
+    recordSyncBaseline(await computeWorkspaceHash(flattenWorkspace(workspace)), flattenForMerge(workspace));
+
+    renderSidebar();
+    showNotification("success", `Opened workspace “${getWorkspaceName()}”`);
+    startSyncLoop();
+    return id;
+}
+
+async function createWorkspace(name, { onLogin = false } = {}) {
+    logger.info("sync: createWorkspace", `Creating workspace ${name}`);
+
+    // On login this device's pages become the new workspace; otherwise ask
+    const keepPages = onLogin || confirm("Start the new workspace with a copy of the pages shown now?\n\nOK = copy them, Cancel = start empty");
+
+    if (!onLogin) await saveBeforeLeaving();
+
+    const id = await createWorkspaceGist(name);
+
+    stopSyncLoop();
+    setWorkspaceName(name);
+    setGistId(id);
+    clearSyncBaseline();
+
+    if (onLogin) return id;
+
+    if (!keepPages) {
+        setWorkspace(createEmptyWorkspace());
+        saveState();
+        renderSidebar();
+    } else {
+        await saveWorkspaceToGist();
+    }
+
+    showNotification("success", `Created workspace “${name}”`);
+    startSyncLoop();
+    return id;
+}
+
+// ------------------------------------------------------------
+// Local workspaces (see workspaces.js)
+//
+// Switching swaps every piece of per-workspace state in place — no reload.
+// The workspace being left needs no save here: its tree is already stored
+// in IndexedDB under its own id (workspace-store.js — writes still queued
+// keep that id), and its cloud copy is picked up next time.
+// ------------------------------------------------------------
+export async function switchWorkspace(id) {
+    logger.debugSyncing("sync", () => "Running switchWorkspace(). CALLED BY: " + getCallerName("switchWorkspace"));
+
+    const previousId = getActiveWorkspaceId();
+    if (id === previousId) return;
+
+    stopSyncLoop();
+    if (!setActiveWorkspaceId(id)) return;
+
+    // Forget what belonged to the previous workspace
+    reloadSyncBaseline();
+    cloudLoadIncomplete = false;
+    newerCloudSchema = null;
+    cloudLayout = null;
+    declinedCloudHash = null;
+    setMetadata(null);
+
+    closeActiveFile();
+    const migrated = migrateWorkspace(await loadState() || createEmptyWorkspace());
+    setWorkspace(migrated);
+    saveState(migrated);
+    renderSidebar();
+    updateLoginIndicator();
+    transition(IDLE);
+
+    const owner = await switchTabsWorkspace(previousId);
+    showNotification("success", `Switched to “${getWorkspaceName()}”`);
+
+    if (!owner) return;
+
+    try {
+        await reconcileLocalAndCloud(migrated);
+    } catch (err) {
+        if (err.message === "TOKEN_INVALID") {
             handleExpiredToken();
-            return false;
+            return;
         }
-        logger.error("sync: adoptOrCreateGist", "Exception while creating gist", err);
-        return null;
+        logger.error("sync: switchWorkspace", "Reconcile after switching failed", err);
     }
 
+    renderSidebar();
+    if (getSyncEnabled() && getWorkspace().length > 0) startSyncLoop();
+}
+
+// Ask for a name, add an empty workspace and switch to it
+export async function newLocalWorkspace() {
+    const name = prompt("Name for the new workspace:");
+    if (!name || !name.trim()) return;
+
+    await switchWorkspace(addWorkspace(name.trim()));
+}
+
+function detachWorkspace() {
+    logger.info("sync: detachWorkspace", `Detaching from gist ${getGistId()}`);
+
+    stopSyncLoop();
+    clearGistId();
+    clearSyncBaseline();
+    transition(IDLE, { label: "Not attached" });
+    showNotification("info", "Detached — pick a workspace to sync again");
 }
 
 export async function applyCloudWorkspace() {
@@ -1847,6 +3118,7 @@ export async function applyCloudWorkspace() {
     // 3. Apply workspace
     // ------------------------------------------------------------
     logger.debugSyncing("sync.applyCloudWorkspace", "Applying workspace via setWorkspace()");
+    takeSnapshot("cloud-apply");
     setWorkspace(workspace);
 
     logger.debugSyncing("sync.applyCloudWorkspace", "Saving state");
@@ -1873,3 +3145,152 @@ export async function applyCloudWorkspace() {
 
     return true;
 }
+
+// ------------------------------------------------------------
+// Passphrase encryption of page contents (see crypto-box.js).
+// Turning it on, changing the passphrase or turning it off re-saves every
+// page; older gist revisions keep the passphrase they were saved with.
+// ------------------------------------------------------------
+export async function showEncryptionDialog() {
+    logger.debugSyncing("sync", () => "Running showEncryptionDialog(). CALLED BY: " + getCallerName("showEncryptionDialog"));
+
+    const encryption = getEncryption();
+    const canChange = !isReadOnlyDevice() && isSyncOwner();
+    const actions = [{ label: "Close", action: () => hideModal() }];
+
+    if (!encryption) {
+        if (canChange) actions.push({ label: "Turn on…", primary: true, action: () => { hideModal(); turnOnEncryption(); } });
+    } else {
+        actions.push({ label: "Unlock", action: () => { hideModal(); unlockEncryption(); } });
+        if (canChange) {
+            actions.push({ label: "Change passphrase…", action: () => { hideModal(); changePassphrase(); } });
+            actions.push({ label: "Turn off…", danger: true, action: () => { hideModal(); turnOffEncryption(); } });
+        }
+    }
+
+    const state = encryption
+        ? `Page contents are encrypted with a passphrase (${hasKey(encryption) ? "unlocked" : "locked"} on this device).`
+        : "Page contents are stored in the cloud as plain text.";
+    const hint = canChange
+        ? "Page and folder names stay readable. Only this workspace is affected."
+        : "Change encryption from the tab that owns sync.";
+
+    showModal({
+        title: "Encryption",
+        body: `<p>${state}</p><p class="history-hint">${hint}</p>`,
+        actions
+    });
+}
+
+// → a new passphrase entered twice, or null
+async function askNewPassphrase() {
+    const passphrase = await askPassphrase("New passphrase (at least 8 characters):");
+    if (passphrase === null) return null;
+
+    if (passphrase.length < 8) {
+        showNotification("error", "Passphrase too short — at least 8 characters");
+        return null;
+    }
+    if (await askPassphrase("Enter the passphrase again:") !== passphrase) {
+        showNotification("error", "Passphrases did not match — nothing changed");
+        return null;
+    }
+    return passphrase;
+}
+
+// Asks for the current passphrase; false if it isn't given correctly
+async function confirmCurrentPassphrase(params) {
+    const passphrase = await askPassphrase("Current passphrase:");
+    if (passphrase === null) return false;
+
+    if (!await tryPassphrase(passphrase, params)) {
+        showNotification("error", "Wrong passphrase — nothing changed");
+        return false;
+    }
+    return true;
+}
+
+async function turnOnEncryption() {
+    if (!confirm("Encrypt page contents with a passphrase?\n\nIf the passphrase is lost, the pages cannot be recovered — not even from GitHub.")) return;
+
+    const passphrase = await askNewPassphrase();
+    if (!passphrase) return;
+
+    logger.info("sync: turnOnEncryption", "Encryption turned on — re-saving all pages");
+    await saveWithEncryption(await createEncryption(passphrase), "Encryption not turned on");
+}
+
+async function changePassphrase() {
+    if (!await confirmCurrentPassphrase(getEncryption())) return;
+
+    const passphrase = await askNewPassphrase();
+    if (!passphrase) return;
+
+    logger.info("sync: changePassphrase", "Passphrase changed — re-saving all pages");
+    await saveWithEncryption(await createEncryption(passphrase), "Passphrase not changed");
+}
+
+async function turnOffEncryption() {
+    if (!await confirmCurrentPassphrase(getEncryption())) return;
+    if (!confirm("Store page contents as plain text again?")) return;
+
+    logger.info("sync: turnOffEncryption", "Encryption turned off — re-saving all pages");
+    await saveWithEncryption(null, "Encryption not turned off");
+}
+
+// Re-save every page with params. The cloud's manifest decides the settings
+// on the next load, so unless the save goes through the previous params are
+// put back and nothing has changed.
+async function saveWithEncryption(params, failure) {
+    const previous = getEncryption();
+    setEncryption(params);
+
+    let saved = false;
+    try {
+        saved = await saveWorkspaceToGist();
+    } catch (err) {
+        if (err.message === "TOKEN_INVALID") handleExpiredToken();
+        else logger.error("sync: saveWithEncryption", "Re-save failed", err);
+    }
+    if (saved) return true;
+
+    // A save queued offline would still send the new settings
+    setEncryption(previous);
+    await dropQueuedSave(getActiveWorkspaceId()).catch(err =>
+        logger.warn("sync: saveWithEncryption", "Could not clear the background save queue", err));
+    logger.warn("sync: saveWithEncryption", `${failure} — the save didn't go through`);
+    showNotification("warning", `${failure} — the workspace couldn't be saved, so nothing changed`);
+    return false;
+}
+
+// A passphrase prompt that was cancelled isn't shown again on its own
+async function unlockEncryption() {
+    try {
+        await unlock(getEncryption(), { force: true });
+    } catch (err) {
+        if (err.message !== "ENCRYPTION_LOCKED") {
+            logger.error("sync: unlockEncryption", "Unlocking failed", err);
+            showNotification("error", "Could not unlock the workspace");
+            return;
+        }
+        showNotification("warning", "Still locked");
+        return;
+    }
+
+    if (isReadOnlyDevice()) {
+        showNotification("success", "Unlocked — reload the page to read the workspace");
+        return;
+    }
+    showNotification("success", "Unlocked");
+
+    try {
+        await reconcileLocalAndCloud(getWorkspace());
+    } catch (err) {
+        if (err.message === "TOKEN_INVALID") {
+            handleExpiredToken();
+            return;
+        }
+        logger.error("sync: unlockEncryption", "Reconcile after unlocking failed", err);
+        showNotification("error", "Unlocked, but syncing with the cloud failed — try again later");
+    }
+}
@@ -0,0 +1,288 @@
+// tabs.js
+// Coordinates browser tabs that have the knowledgebase open.
+//
+// Only one tab per workspace — the sync owner — runs the sync loop and
+// writes to cloud storage; two tabs saving the same gist would overwrite
+// each other. Tabs showing different workspaces don't affect each other.
+// Ownership is a Web Lock, so it passes to a waiting tab by itself when the
+// owner closes or crashes. Tabs announce themselves over a BroadcastChannel,
+// and every tab picks up workspace edits made in the others when the
+// workspace store reports a write (see workspace-store.js).
+
+import { loadState, setWorkspace, getWorkspace, findNodeById } from "./workspace.js";
+import { onWorkspaceStored, flushWrites } from "./workspace-store.js";
+import { renderSidebar, loadFile, activeFileId, showNotification } from "./ui.js";
+import { getActiveWorkspaceId } from "./workspaces.js";
+import { logger, getCallerName } from "./logger.js";
+
+logger.debug("tabs", "tabs.js loaded from:", import.meta.url);
+
+const LOCK_NAME = "kb-sync-owner";
+const CHANNEL_NAME = "kb-tabs";
+
+export const tabId = crypto.randomUUID();
+
+let channel = null;
+let isOwner = false;
+let ownerTabId = null;
+let releaseLock = null;     // lets go of the held lock
+let queued = null;          // AbortController of a request still waiting for the lock
+const otherTabs = new Set();
+
+let handlers = {
+    onBecomeOwner: () => {},
+    onLoseOwner: () => {},
+    onSaveRequest: () => {}
+};
+
+export function isSyncOwner() {
+    return isOwner;
+}
+
+// ------------------------------------------------------------
+// Start coordinating. Resolves to true if this tab owns sync.
+//
+// handlers.onBecomeOwner / onLoseOwner fire on later changes only — the
+// caller acts on the resolved value for startup itself.
+// ------------------------------------------------------------
+export async function initTabs(options = {}) {
+    logger.debug("tabs", () => "Running initTabs(). CALLED BY: " + getCallerName("initTabs"));
+    handlers = { ...handlers, ...options };
+
+    if (!navigator.locks || !window.BroadcastChannel) {
+        logger.warn("tabs: initTabs", "Web Locks / BroadcastChannel unavailable — every tab syncs on its own");
+        isOwner = true;
+        return true;
+    }
+
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => handleMessage(event.data);
+
+    onWorkspaceStored(handleStoredElsewhere);
+    window.addEventListener("pagehide", () => post({ type: "bye" }));
+
+    document.getElementById("tab-role")?.addEventListener("click", () => {
+        if (!isOwner && confirm("Run sync from this tab instead?")) takeOver();
+    });
+
+    return joinElection();
+}
+
+// ------------------------------------------------------------
+// After this tab switched workspace: leave the old workspace's election
+// and join the new one's. Resolves to true if this tab owns sync there.
+// No handlers fire — the caller restarts sync itself.
+// ------------------------------------------------------------
+export async function switchTabsWorkspace(previousWorkspaceId) {
+    logger.debug("tabs", () => "Running switchTabsWorkspace(). CALLED BY: " + getCallerName("switchTabsWorkspace"));
+
+    if (!channel) return isOwner;   // no coordination available
+
+    post({ type: "bye" }, previousWorkspaceId);
+
+    queued?.abort();
+    queued = null;
+    if (isOwner) {
+        isOwner = false;
+        releaseLock?.();
+        releaseLock = null;
+    }
+    ownerTabId = null;
+    otherTabs.clear();
+
+    return joinElection();
+}
+
+async function joinElection() {
+    post({ type: "hello" });
+
+    if (await acquire({ ifAvailable: true })) {
+        ownerTabId = tabId;
+        post({ type: "owner" });
+        logger.info("tabs: joinElection", "This tab owns sync");
+    } else {
+        logger.info("tabs: joinElection", "Another tab owns sync — waiting");
+        queueForOwnership();
+    }
+
+    updateTabRole();
+    return isOwner;
+}
+
+// A tab that doesn't own sync asks the owner to save (e.g. Ctrl+S)
+export async function requestOwnerSave() {
+    logger.debug("tabs", () => "Running requestOwnerSave(). CALLED BY: " + getCallerName("requestOwnerSave"));
+    await flushWrites();   // the owner reads our edits from the store
+    post({ type: "save-request" });
+}
+
+// ------------------------------------------------------------
+// Ownership
+// ------------------------------------------------------------
+
+// One lock per workspace
+function lockName() {
+    return `${LOCK_NAME}:${getActiveWorkspaceId()}`;
+}
+
+// Resolves true once the lock is held — false if ifAvailable and it isn't,
+// or if a waiting request was given up. The lock is held until the tab goes
+// away, switches workspace or another tab steals it.
+function acquire({ ifAvailable = false, steal = false } = {}) {
+    const options = ifAvailable ? { ifAvailable } : steal ? { steal } : {};
+    let waiting = null;
+
+    if (!ifAvailable && !steal) {
+        waiting = new AbortController();
+        options.signal = waiting.signal;
+        queued = waiting;
+    }
+
+    return new Promise(resolve => {
+        navigator.locks.request(lockName(), options, (lock) => {
+            if (!lock) {
+                resolve(false);
+                return;
+            }
+            if (queued === waiting) queued = null;
+            isOwner = true;
+            resolve(true);
+            return new Promise(release => { releaseLock = release; });
+        }).catch(err => {
+            if (waiting?.signal.aborted) {
+                // We gave up waiting (switched workspace)
+                resolve(false);
+            } else if (isOwner) {
+                // Rejected with AbortError when another tab steals the lock
+                stepDown();
+            } else {
+                logger.error("tabs: acquire", "Sync lock request failed", err);
+            }
+        });
+    });
+}
+
+async function queueForOwnership() {
+    if (await acquire()) becomeOwner();
+}
+
+function becomeOwner() {
+    ownerTabId = tabId;
+    post({ type: "owner" });
+    updateTabRole();
+    logger.info("tabs: becomeOwner", "This tab now owns sync");
+    handlers.onBecomeOwner();
+}
+
+function stepDown() {
+    isOwner = false;
+    releaseLock = null;
+    ownerTabId = null;
+    updateTabRole();
+    logger.info("tabs: stepDown", "Another tab took over sync");
+    handlers.onLoseOwner();
+    queueForOwnership();
+}
+
+async function takeOver() {
+    logger.info("tabs: takeOver", "Taking over sync from another tab");
+
+    // Our own waiting request would otherwise be granted later, possibly
+    // after a workspace switch
+    queued?.abort();
+    queued = null;
+    await acquire({ steal: true });
+    becomeOwner();
+}
+
+// ------------------------------------------------------------
+// Messages between tabs
+// ------------------------------------------------------------
+function post(message, workspace = getActiveWorkspaceId()) {
+    channel?.postMessage({ ...message, from: tabId, workspace });
+}
+
+function handleMessage(message) {
+    if (!message || message.from === tabId) return;
+    if (message.workspace !== getActiveWorkspaceId()) return;   // a tab on another workspace
+
+    switch (message.type) {
+        case "hello":
+            otherTabs.add(message.from);
+            if (isOwner) post({ type: "owner" });
+            break;
+        case "owner":
+            otherTabs.add(message.from);
+            ownerTabId = message.from;
+            break;
+        case "bye":
+            otherTabs.delete(message.from);
+            if (ownerTabId === message.from) ownerTabId = null;
+            break;
+        case "save-request":
+            if (!isOwner) return;
+            // The requester's edits may not have reached us from the store yet
+            adoptStoredWorkspace().then(() => handlers.onSaveRequest());
+            break;
+        default:
+            logger.debug("tabs: handleMessage", "Unknown message:", message);
+    }
+
+    updateTabRole();
+}
+
+// ------------------------------------------------------------
+// Workspace edits made in other tabs
+// ------------------------------------------------------------
+function handleStoredElsewhere({ workspaceId }) {
+    if (workspaceId !== getActiveWorkspaceId()) return;
+    logger.debug("tabs: handleStoredElsewhere", "Workspace changed in another tab");
+    adoptStoredWorkspace();
+}
+
+async function adoptStoredWorkspace() {
+    const tree = await loadState();
+    if (!tree) return;
+
+    setWorkspace(tree);
+    renderSidebar();
+    refreshActiveFile();
+}
+
+function refreshActiveFile() {
+    if (!activeFileId) return;
+
+    const file = findNodeById(getWorkspace(), activeFileId);
+    const textarea = document.getElementById("editor-textarea");
+
+    if (!file) {
+        showNotification("warning", "The open page was deleted in another tab");
+        return;
+    }
+    if (!textarea || textarea.value === file.content) return;
+
+    // Don't pull the text out from under someone typing
+    if (document.activeElement === textarea) {
+        showNotification("warning", "This page was changed in another tab — your next edit here replaces that change");
+        return;
+    }
+
+    loadFile(activeFileId);
+}
+
+function updateTabRole() {
+    const el = document.getElementById("tab-role");
+    if (!el) return;
+
+    if (isOwner) {
+        el.textContent = "Syncing for all tabs";
+        el.title = `${otherTabs.size} other tab(s) open`;
+        el.classList.toggle("hidden", otherTabs.size === 0);
+    } else {
+        el.textContent = ownerTabId ? "Synced by another tab" : "Waiting for sync";
+        el.title = "Click to run sync from this tab instead";
+        el.classList.remove("hidden");
+    }
+
+    el.classList.toggle("tab-role-owner", isOwner);
+}
@@ -0,0 +1,203 @@
+// tombstones.js
+// Deletion and rename records, so a page deleted or renamed on one device
+// doesn't come back from another device that still has the old copy.
+//
+// Events (kept in localStorage and synced through __workspace.json):
+//   { kind: "delete" | "restore", id, path, at, deviceId, seenBy: [deviceIds] }
+//   { kind: "rename", id, path (old), to (new), at, deviceId, seenBy }
+//
+// Paths are raw metadata paths ("Folder___Page.md", not encoded).
+// Per node id only the latest delete/restore event and the latest rename
+// count. An event is pruned once every known device has seen it.
+
+import { logger, getCallerName } from "./logger.js";
+import { deviceId } from "./device.js";
+import { scopedKey } from "./workspaces.js";
+
+logger.debug("tombstones", "tombstones.js loaded from:", import.meta.url);
+
+const TOMBSTONES_KEY = "kb_tombstones";
+const DEVICES_KEY = "kb_known_devices";
+
+// A device that hasn't synced for this long no longer holds up pruning
+const DEVICE_EXPIRY_MS = 90 * 24 * 60 * 60 * 1000;
+
+// How stale this device's own "last seen" may get before a save refreshes it.
+// Refreshing on every save would change __workspace.json every time.
+const DEVICE_REFRESH_MS = 24 * 60 * 60 * 1000;
+
+function readJson(key, fallback) {
+    try {
+        const raw = localStorage.getItem(scopedKey(key));
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (err) {
+        logger.error("tombstones", `Failed to parse ${key}`, err);
+        return fallback;
+    }
+}
+
+export function getTombstones() {
+    const list = readJson(TOMBSTONES_KEY, []);
+    return Array.isArray(list) ? list : [];
+}
+
+function setTombstones(list) {
+    localStorage.setItem(scopedKey(TOMBSTONES_KEY), JSON.stringify(list));
+}
+
+function getKnownDevices() {
+    const devices = readJson(DEVICES_KEY, {});
+    return devices && typeof devices === "object" ? devices : {};
+}
+
+// delete/restore share one slot per id (latest wins); renames have their own
+function eventKey(event) {
+    return event.kind === "rename" ? `rename:${event.id}` : `life:${event.id}`;
+}
+
+// ------------------------------------------------------------
+// Union two event lists. The later event wins for each key; when both
+// sides hold the same event, their seenBy lists are combined.
+// ------------------------------------------------------------
+function mergeEvents(a, b) {
+    const map = new Map();
+
+    for (const event of [...a, ...b]) {
+        if (!event || !event.id || !event.kind) continue;
+
+        const key = eventKey(event);
+        const existing = map.get(key);
+
+        if (!existing || event.at > existing.at) {
+            map.set(key, { ...event, seenBy: [...(event.seenBy || [])] });
+        } else if (event.at === existing.at && event.kind === existing.kind) {
+            existing.seenBy = [...new Set([...existing.seenBy, ...(event.seenBy || [])])];
+        }
+    }
+
+    return [...map.values()];
+}
+
+function addEvent(event) {
+    const full = { ...event, at: Date.now(), deviceId, seenBy: [deviceId] };
+    setTombstones(mergeEvents(getTombstones(), [full]));
+    logger.debug("tombstones", `Recorded ${event.kind} for ${event.id} (${event.path})`);
+}
+
+// ------------------------------------------------------------
+// Recording (called by the UI actions)
+// ------------------------------------------------------------
+
+// Record a deleted node — folders record every descendant too
+export function recordDeletion(node, path) {
+    logger.debug("tombstones", () => "Running recordDeletion(). CALLED BY: " + getCallerName("recordDeletion"));
+    if (!node || !node.id) return;
+
+    addEvent({ kind: "delete", id: node.id, path });
+
+    if (node.type === "folder") {
+        for (const child of node.children || []) {
+            recordDeletion(child, `${path}___${child.name}`);
+        }
+    }
+}
+
+export function recordRename(node, oldPath, newPath) {
+    logger.debug("tombstones", () => "Running recordRename(). CALLED BY: " + getCallerName("recordRename"));
+    if (!node || !node.id || oldPath === newPath) return;
+
+    addEvent({ kind: "rename", id: node.id, path: oldPath, to: newPath });
+}
+
+// A deleted node was brought back on purpose — supersedes its delete event
+export function recordRestore(id, path) {
+    logger.debug("tombstones", () => "Running recordRestore(). CALLED BY: " + getCallerName("recordRestore"));
+    if (!id) return;
+
+    addEvent({ kind: "restore", id, path });
+}
+
+// ------------------------------------------------------------
+// Queries
+// ------------------------------------------------------------
+export function isDeleted(id) {
+    if (!id) return false;
+    const event = getTombstones().find(e => e.id === id && e.kind !== "rename");
+    return event?.kind === "delete";
+}
+
+// ------------------------------------------------------------
+// Should a node found at rawPath stay gone?
+//
+// ancestorId(path) returns the id of the node at an ancestor path on the
+// same side, so files under a renamed folder are recognised as stale
+// without the folder's new copy being mistaken for them.
+// ------------------------------------------------------------
+export function isTombstoned(id, rawPath, ancestorId = () => null) {
+    for (const event of getTombstones()) {
+        if (event.kind === "delete" && event.id === id) return true;
+
+        if (event.kind !== "rename") continue;
+
+        // The node itself still sits at its old name
+        if (event.path === rawPath && (!id || event.id === id)) return true;
+
+        // The node sits under a folder that was renamed away
+        if (rawPath.startsWith(event.path + "___") && ancestorId(event.path) === event.id) return true;
+    }
+    return false;
+}
+
+// ------------------------------------------------------------
+// Syncing through __workspace.json
+// ------------------------------------------------------------
+
+// Fold the cloud's events and devices into ours and mark them seen here
+export function absorbTombstones(manifest) {
+    logger.debug("tombstones", () => "Running absorbTombstones(). CALLED BY: " + getCallerName("absorbTombstones"));
+    if (!manifest) return;
+
+    const cloudEvents = Array.isArray(manifest.tombstones) ? manifest.tombstones : [];
+    const merged = mergeEvents(getTombstones(), cloudEvents);
+
+    for (const event of merged) {
+        if (!event.seenBy.includes(deviceId)) event.seenBy.push(deviceId);
+    }
+    setTombstones(merged);
+
+    const devices = getKnownDevices();
+    for (const [id, lastSeen] of Object.entries(manifest.devices || {})) {
+        devices[id] = Math.max(devices[id] || 0, lastSeen);
+    }
+    localStorage.setItem(scopedKey(DEVICES_KEY), JSON.stringify(devices));
+
+    logger.debug("tombstones", `Absorbed ${cloudEvents.length} cloud tombstone(s); ${merged.length} known`);
+}
+
+// { tombstones, devices } for the manifest, pruned of events every device has seen
+export function buildTombstoneManifest() {
+    logger.debug("tombstones", () => "Running buildTombstoneManifest(). CALLED BY: " + getCallerName("buildTombstoneManifest"));
+
+    const now = Date.now();
+    const devices = getKnownDevices();
+    if (!devices[deviceId] || now - devices[deviceId] > DEVICE_REFRESH_MS) devices[deviceId] = now;
+
+    for (const [id, lastSeen] of Object.entries(devices)) {
+        if (now - lastSeen > DEVICE_EXPIRY_MS) {
+            logger.info("tombstones", `Forgetting device ${id} — not seen for 90 days`);
+            delete devices[id];
+        }
+    }
+    localStorage.setItem(scopedKey(DEVICES_KEY), JSON.stringify(devices));
+
+    const deviceIds = Object.keys(devices);
+    const events = getTombstones();
+    const kept = events.filter(e => !deviceIds.every(id => e.seenBy.includes(id)));
+
+    if (kept.length !== events.length) {
+        logger.info("tombstones", `Pruned ${events.length - kept.length} tombstone(s) seen by every device`);
+        setTombstones(kept);
+    }
+
+    return { tombstones: kept, devices };
+}
@@ -0,0 +1,452 @@
+// trash.js
+// Deleted pages and folders, kept for a while so they can be brought back.
+//
+// Deleting a page or folder moves it here whole — its subtree, ids and
+// contents — with the path, folder and position it had. The trash view
+// restores an item to where it was (recreating its folders if they are gone
+// too) or deletes it for good. Items older than the retention period (per
+// workspace, 30 days unless changed in the trash view) go for good on their
+// own.
+//
+// Records live in IndexedDB ("trash" store, key [workspaceId, id]):
+//   { workspaceId, id, state, at, deletedAt, deviceId, path, parentId, index, node }
+// state is "trashed", "restored" or "purged". Restored and purged records
+// keep no node; they stay for one retention period so other devices learn
+// of the change. Per id the record with the latest `at` wins.
+//
+// The trash syncs through __workspace.json as
+//   trash: { retention: { days, at }, items }
+// A trashed page's content stays in its gist file (<id>.md), so it is
+// encrypted like any other page; the manifest item names the file instead
+// of holding the content. The file is removed from the gist once the item is
+// purged.
+
+import { logger, getCallerName } from "./logger.js";
+import { TRASH_STORE, storeGetAll, storeGet, storePut, storeBatch } from "./idb.js";
+import { getActiveWorkspaceId, scopedKey } from "./workspaces.js";
+import { deviceId } from "./device.js";
+import { getWorkspace, findNodeById, createFolder, insertChild, encodeName, getNodePath, saveState } from "./workspace.js";
+import { recordRestore } from "./tombstones.js";
+import { recordOfflineOp } from "./offline-journal.js";
+import { isReadOnlyDevice } from "./sync.js";
+import { showModal, hideModal, escapeHtml, showNotification, renderSidebar } from "./ui.js";
+
+logger.debug("trash", "trash.js loaded from:", import.meta.url);
+
+const RETENTION_KEY = "kb_trash_retention";
+const DEFAULT_RETENTION_DAYS = 30;
+const RETENTION_CHOICES = [7, 30, 90, 365];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ------------------------------------------------------------
+// Retention: { days, at } — at says which device's choice is newer
+// ------------------------------------------------------------
+function getRetention() {
+    try {
+        const retention = JSON.parse(localStorage.getItem(scopedKey(RETENTION_KEY)) || "null");
+        if (Number.isInteger(retention?.days) && retention.days > 0) return retention;
+    } catch (err) {
+        logger.error("trash", "Failed to parse trash retention", err);
+    }
+    return { days: DEFAULT_RETENTION_DAYS, at: 0 };
+}
+
+function setRetention(retention) {
+    localStorage.setItem(scopedKey(RETENTION_KEY), JSON.stringify(retention));
+}
+
+export function getRetentionDays() {
+    return getRetention().days;
+}
+
+export function setRetentionDays(days) {
+    setRetention({ days, at: Date.now() });
+}
+
+// ------------------------------------------------------------
+// Records
+// ------------------------------------------------------------
+
+// All records of the active workspace, in every state
+function listRecords() {
+    return storeGetAll(TRASH_STORE, "workspaceId", getActiveWorkspaceId());
+}
+
+// What the trash view shows, newest first
+export async function listTrash() {
+    const records = await listRecords();
+    return records
+        .filter(record => record.state === "trashed")
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+// A record that no longer holds its node
+function closed(record, state) {
+    return { ...record, state, at: Date.now(), node: null };
+}
+
+function countPages(node) {
+    if (!node) return 0;
+    return node.type === "folder"
+        ? (node.children || []).reduce((n, child) => n + countPages(child), 0)
+        : 1;
+}
+
+// ------------------------------------------------------------
+// Keep a deleted node. path is its raw metadata path, parentId and index
+// where it was (parentId null = top level). The copy is made before
+// returning; the promise never rejects.
+// ------------------------------------------------------------
+export function moveToTrash(node, path, parentId, index) {
+    logger.debug("trash", () => "Running moveToTrash(). CALLED BY: " + getCallerName("moveToTrash"));
+
+    const now = Date.now();
+    const record = {
+        workspaceId: getActiveWorkspaceId(),
+        id: node.id,
+        state: "trashed",
+        at: now,
+        deletedAt: now,
+        deviceId,
+        path,
+        parentId,
+        index,
+        node: JSON.parse(JSON.stringify(node))
+    };
+
+    return storePut(TRASH_STORE, record).then(() => {
+        logger.info("trash", `Moved to trash: ${path} (${countPages(record.node)} page(s))`);
+        return true;
+    }).catch(err => {
+        logger.error("trash", `Failed to keep ${path} in the trash`, err);
+        showNotification("error", `“${node.name}” was deleted but could not be kept in the trash`);
+        return false;
+    });
+}
+
+// ------------------------------------------------------------
+// Retention: trashed items past it are purged; restored and purged
+// records past it are forgotten
+// ------------------------------------------------------------
+export async function expireTrash() {
+    const cutoff = Date.now() - getRetentionDays() * DAY_MS;
+    const put = [];
+    const remove = [];
+
+    for (const record of await listRecords()) {
+        if (record.state === "trashed") {
+            if (record.deletedAt < cutoff) put.push(closed(record, "purged"));
+        } else if (record.at < cutoff) {
+            remove.push([record.workspaceId, record.id]);
+        }
+    }
+
+    if (put.length === 0 && remove.length === 0) return;
+
+    await storeBatch(TRASH_STORE, { put, remove });
+    logger.info("trash", `Trash retention: ${put.length} item(s) purged, ${remove.length} record(s) forgotten`);
+}
+
+// ------------------------------------------------------------
+// Syncing through __workspace.json
+// ------------------------------------------------------------
+
+// Gist file holding a trashed page — the same name as while it was in the
+// workspace ("id" layout)
+function trashFileName(node) {
+    return node.name.endsWith(".puml") ? `${node.id}.puml` : `${node.id}.md`;
+}
+
+// node → manifest form: page contents go to files (gist name → content)
+function toManifestNode(node, files) {
+    if (node.type === "folder") {
+        return { ...node, children: (node.children || []).map(child => toManifestNode(child, files)) };
+    }
+
+    const { content, ...rest } = node;
+    const file = trashFileName(node);
+    files[file] = content || "";
+    return { ...rest, file };
+}
+
+function fromManifestNode(node, files) {
+    if (node.type === "folder") {
+        return { ...node, children: (node.children || []).map(child => fromManifestNode(child, files)) };
+    }
+
+    const { file, ...rest } = node;
+    if (!files?.[file]) logger.warn("trash", `Trashed page's file missing from gist: ${file} (${node.name})`);
+    return { ...rest, content: files?.[file]?.content || "" };
+}
+
+// { trash, files } — the manifest's trash, and the gist files
+// (name → content) that trashed pages keep
+export async function buildTrashManifest() {
+    logger.debug("trash", () => "Running buildTrashManifest(). CALLED BY: " + getCallerName("buildTrashManifest"));
+
+    await expireTrash();
+
+    const files = {};
+    const items = (await listRecords())
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .map(({ workspaceId, node, ...item }) => ({
+            ...item,
+            node: node ? toManifestNode(node, files) : null
+        }));
+
+    return { trash: { retention: getRetention(), items }, files };
+}
+
+// Gist files the manifest's trash points at (not strays)
+export function trashFileNames(manifest) {
+    const names = new Set();
+    const walk = node => {
+        if (!node) return;
+        if (node.type === "folder") (node.children || []).forEach(walk);
+        else if (node.file) names.add(node.file);
+    };
+
+    for (const item of manifest?.trash?.items || []) walk(item?.node);
+    return names;
+}
+
+// Fold the cloud's trash into ours. files are the readable gist files.
+// Never rejects — the trash is not worth failing a load over.
+export async function absorbTrash(manifest, files) {
+    logger.debug("trash", () => "Running absorbTrash(). CALLED BY: " + getCallerName("absorbTrash"));
+    if (!manifest?.trash) return;
+
+    const retention = manifest.trash.retention;
+    if (Number.isInteger(retention?.days) && retention.days > 0 && retention.at > getRetention().at) {
+        setRetention(retention);
+    }
+
+    try {
+        const workspaceId = getActiveWorkspaceId();
+        const known = new Map((await listRecords()).map(record => [record.id, record]));
+        const put = [];
+
+        for (const item of manifest.trash.items || []) {
+            if (!item?.id || !item.state) continue;
+            if (known.has(item.id) && known.get(item.id).at >= item.at) continue;
+
+            put.push({ ...item, workspaceId, node: item.node ? fromManifestNode(item.node, files) : null });
+        }
+
+        if (put.length) await storeBatch(TRASH_STORE, { put });
+        logger.debug("trash", `Absorbed ${put.length} trash change(s) from the cloud`);
+    } catch (err) {
+        logger.error("trash", "Failed to absorb the cloud's trash", err);
+    }
+}
+
+// ------------------------------------------------------------
+// Restore
+// ------------------------------------------------------------
+
+// name, or "name (2)", "name (3)"… — whichever no sibling has
+function freeName(siblings, node) {
+    const taken = new Set(siblings.map(n => encodeName(n.name || "")));
+    if (!taken.has(encodeName(node.name))) return node.name;
+
+    const dot = node.type === "file" ? node.name.lastIndexOf(".") : -1;
+    const stem = dot > 0 ? node.name.slice(0, dot) : node.name;
+    const ext = dot > 0 ? node.name.slice(dot) : "";
+
+    let n = 2;
+    while (taken.has(encodeName(`${stem} (${n})${ext}`))) n++;
+    return `${stem} (${n})${ext}`;
+}
+
+// Where an item goes back to: the folder it was in, wherever that is now;
+// otherwise its old folders by name, recreated as needed
+function restoreTarget(tree, record) {
+    const parent = record.parentId ? findNodeById(tree, record.parentId) : null;
+    if (parent?.type === "folder") return { siblings: parent.children, parentId: parent.id, index: record.index };
+    if (!record.parentId) return { siblings: tree, parentId: null, index: record.index };
+
+    let siblings = tree;
+    let parentId = null;
+    for (const name of record.path.split("___").slice(0, -1)) {
+        let folder = siblings.find(n => n.type === "folder" && n.name === name);
+        if (!folder) {
+            folder = createFolder(name);
+            insertChild(siblings, folder);
+            recordOfflineOp("create", folder, { parentId });
+        }
+        siblings = folder.children;
+        parentId = folder.id;
+    }
+    return { siblings, parentId, index: null };
+}
+
+export async function restoreFromTrash(id) {
+    logger.debug("trash", () => "Running restoreFromTrash(). CALLED BY: " + getCallerName("restoreFromTrash"));
+
+    if (isReadOnlyDevice()) {
+        showNotification("info", "Restore not allowed on read-only device");
+        return false;
+    }
+
+    const record = await storeGet(TRASH_STORE, [getActiveWorkspaceId(), id]);
+    if (!record || record.state !== "trashed") {
+        showNotification("error", "That item is no longer in the trash");
+        return false;
+    }
+
+    const tree = getWorkspace();
+
+    // Already back (restored on another device, or by a version restore)
+    if (findNodeById(tree, id)) {
+        await storePut(TRASH_STORE, closed(record, "restored"));
+        showNotification("info", `“${record.node.name}” is already in the workspace`);
+        return false;
+    }
+
+    const node = record.node;
+    const { siblings, parentId, index } = restoreTarget(tree, record);
+    node.name = freeName(siblings, node);
+
+    if (Number.isInteger(index)) {
+        siblings.splice(Math.min(index, siblings.length), 0, node);
+    } else {
+        insertChild(siblings, node);
+    }
+
+    // Supersede the delete tombstones, or the next sync would remove it again
+    const walk = (n) => {
+        recordRestore(n.id, getNodePath(tree, n.id));
+        if (n.type === "folder") (n.children || []).forEach(walk);
+    };
+    walk(node);
+    recordOfflineOp("create", node, { parentId });
+
+    await storePut(TRASH_STORE, closed(record, "restored"));
+
+    saveState();
+    renderSidebar();
+
+    const path = getNodePath(tree, node.id);
+    logger.info("trash", `Restored ${record.path} → ${path}`);
+    showNotification("success", `Restored “${path.split("___").join(" / ")}”`);
+    return true;
+}
+
+// ------------------------------------------------------------
+// Delete for good
+// ------------------------------------------------------------
+export async function purgeFromTrash(ids) {
+    logger.debug("trash", () => "Running purgeFromTrash(). CALLED BY: " + getCallerName("purgeFromTrash"));
+
+    const wanted = new Set([].concat(ids));
+    const put = (await listRecords())
+        .filter(record => wanted.has(record.id) && record.state === "trashed")
+        .map(record => closed(record, "purged"));
+
+    if (put.length) await storeBatch(TRASH_STORE, { put });
+    logger.info("trash", `Purged ${put.length} item(s) from the trash`);
+}
+
+// ------------------------------------------------------------
+// Trash view
+// ------------------------------------------------------------
+function formatWhen(ms) {
+    return new Date(ms).toLocaleString();
+}
+
+function buildRow(record, actions) {
+    const daysLeft = Math.max(0, Math.ceil((record.deletedAt + getRetentionDays() * DAY_MS - Date.now()) / DAY_MS));
+    const pages = countPages(record.node);
+    const what = record.node.type === "folder" ? `folder, ${pages} page(s)` : "page";
+
+    const li = document.createElement("li");
+    li.className = "journal-row";
+    li.innerHTML = `
+        <div class="journal-row-head">
+            <span class="journal-when">${escapeHtml(record.node.name)}</span>
+            <span class="trash-actions">
+                <button class="btn-tool" data-action="restore">Restore</button>
+                <button class="btn-tool btn-danger" data-action="purge">Delete forever</button>
+            </span>
+        </div>
+        <div class="journal-files">${escapeHtml(record.path.split("___").join(" / "))} (${what})</div>
+        <div class="journal-hashes">Deleted ${escapeHtml(formatWhen(record.deletedAt))} · ${daysLeft} day(s) left</div>
+    `;
+
+    li.querySelector('[data-action="restore"]').addEventListener("click", () => actions.restore(record));
+    li.querySelector('[data-action="purge"]').addEventListener("click", () => actions.purge(record));
+    return li;
+}
+
+export async function showTrashPanel() {
+    logger.debug("trash", () => "Running showTrashPanel(). CALLED BY: " + getCallerName("showTrashPanel"));
+
+    let items;
+    try {
+        await expireTrash();
+        items = await listTrash();
+    } catch (err) {
+        logger.error("trash", "Failed to list the trash", err);
+        showNotification("error", "The trash is unavailable in this browser");
+        return;
+    }
+
+    const body = document.createElement("div");
+
+    const settings = document.createElement("p");
+    settings.innerHTML = `
+        <label>Keep deleted items for
+            <select class="trash-retention">
+                ${RETENTION_CHOICES.map(days => `<option value="${days}">${days} days</option>`).join("")}
+            </select>
+        </label>
+    `;
+    const select = settings.querySelector("select");
+    if (!RETENTION_CHOICES.includes(getRetentionDays())) {
+        select.insertAdjacentHTML("afterbegin", `<option value="${getRetentionDays()}">${getRetentionDays()} days</option>`);
+    }
+    select.value = String(getRetentionDays());
+    select.addEventListener("change", () => {
+        setRetentionDays(Number(select.value));
+        showTrashPanel();
+    });
+    body.appendChild(settings);
+
+    if (items.length === 0) {
+        body.insertAdjacentHTML("beforeend", `<p class="history-hint">The trash is empty.</p>`);
+    } else {
+        const list = document.createElement("ul");
+        list.className = "journal-list";
+
+        const actions = {
+            restore: async (record) => {
+                await restoreFromTrash(record.id);
+                showTrashPanel();
+            },
+            purge: async (record) => {
+                if (!confirm(`Delete “${record.node.name}” forever? This can't be undone.`)) return;
+                await purgeFromTrash(record.id);
+                showTrashPanel();
+            }
+        };
+
+        items.forEach(record => list.appendChild(buildRow(record, actions)));
+        body.appendChild(list);
+    }
+
+    const footer = [{ label: "Close", action: () => hideModal() }];
+    if (items.length) {
+        footer.push({
+            label: "Empty trash",
+            danger: true,
+            action: async () => {
+                if (!confirm(`Delete all ${items.length} item(s) in the trash forever? This can't be undone.`)) return;
+                await purgeFromTrash(items.map(record => record.id));
+                showNotification("success", "Trash emptied");
+                showTrashPanel();
+            }
+        });
+    }
+
+    showModal({ title: "Trash", body, wide: true, actions: footer });
+}
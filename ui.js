@@ -1,14 +1,22 @@
 import { getToken, getGistId} from "./auth.js";
 import { bindSmartKeyboardEvents, bindGlobalShortcuts, bindScrollSync, bindToolbarEvents, bindPopupEvents, bindSidebarEvents} from "./binding.js";
-import { getWorkspace, setWorkspace, findNodeById, findNodeAndParent, createFolder, createFile, saveState, flattenWorkspace, logIdAnomaly, sortTree } from "./workspace.js";
+import { getWorkspace, setWorkspace, findNodeById, findNodeAndParent, getNodePath, createFolder, createFile, saveState, flattenWorkspace, logIdAnomaly, insertChild, moveNode, isWithin } from "./workspace.js";
 import { getMetadata } from "./workspace-metadata.js";
 import { logger, getCallerName } from "./logger.js";
-import { EXCLUSION_FILES, buildReadableWorkspaceExport, lastSyncedHash, getSyncEnabled, isReadOnlyDevice, showSyncState } from "./sync.js";
+import { EXCLUSION_FILES, buildReadableWorkspaceExport, lastSyncedHash, getSyncEnabled, isReadOnlyDevice, showNodeHistory } from "./sync.js";
 import { deviceId } from "./device.js";
+import { recordDeletion, recordRename } from "./tombstones.js";
+import { recordOfflineOp } from "./offline-journal.js";
+import { takeSnapshot } from "./snapshots.js";
+import { bindDragAndDrop } from "./sidebar-dnd.js";
+import { moveToTrash } from "./trash.js";
+import { scopedKey, listWorkspaces, getActiveWorkspaceId } from "./workspaces.js";
 
 let saveTimer = null;
+let editPending = false;   // content changed since the last debounced save
 export let activeFileId = null;
 let notificationTimeout = null;
+let modalOnClose = null;   // onClose of the modal shown now, until it is hidden
 let countdownInterval = null;
 const contextMenu = document.getElementById("context-menu");
 const contextMenuList = contextMenu.querySelector("ul");
@@ -254,14 +262,52 @@ function logNodes(nodes, depth = 0) {
     });
 }
 
+// ------------------------------------------------------------
+// Workspace switcher in the sidebar header. Rendered with the sidebar so
+// it picks up renames (including ones absorbed from the cloud).
+// ------------------------------------------------------------
+export const NEW_WORKSPACE_OPTION = "__new";
+
+function renderWorkspaceSwitcher() {
+    const select = document.getElementById("workspace-switcher");
+    if (!select) return;
+
+    const activeId = getActiveWorkspaceId();
+    select.innerHTML = "";
+
+    for (const ws of listWorkspaces()) {
+        const option = document.createElement("option");
+        option.value = ws.id;
+        option.textContent = ws.name;
+        option.selected = ws.id === activeId;
+        select.appendChild(option);
+    }
+
+    const add = document.createElement("option");
+    add.value = NEW_WORKSPACE_OPTION;
+    add.textContent = "＋ New workspace…";
+    select.appendChild(add);
+}
+
+// Nothing open (e.g. after switching workspace)
+export function closeActiveFile() {
+    activeFileId = null;
+    document.getElementById("workspace-grid").classList.add("hidden");
+    document.getElementById("empty-state").classList.remove("hidden");
+    document.getElementById("active-file-title").textContent = "Select or create a file";
+    updateToolbarVisibility();
+}
+
 export function renderSidebar() {
     logger.debug("ui", () => "Running renderSidebar(). CALLED BY: " + getCallerName("renderSidebar"));
     const container = document.getElementById("sidebar-list");
     if (!container) return;
 
+    renderWorkspaceSwitcher();
+
     let tree = getWorkspace();
     logger.debug("ui.renderSidebar()", "renderSidebar workspace root snapshot:", JSON.stringify(tree, null, 2));
-    sortTree(tree);
+    // No sorting here: the tree's order is the user's (see moveNode())
 
     // testing purposes
     // logNodes(tree);
@@ -326,6 +372,7 @@ function renderFolderNode(folder, depth) {
         { label: "Add File", action: () => addFile(folder.id) },
         { label: "Add Folder", action: () => createSubfolder(folder.id) },
         { label: "Rename", action: () => renameFolder(folder.id) },
+        { label: "History", action: () => showNodeHistory(folder.id) },
         { label: "Delete", action: () => deleteFolder(folder.id) }
     ];
 
@@ -354,6 +401,9 @@ function renderFolderNode(folder, depth) {
         });
     }
 
+    // Move / reorder (not on a read-only device)
+    bindDragAndDrop(header, folder);
+
     // Expand/collapse always allowed
     header.querySelector(".folder-toggle").addEventListener("click", e => {
         e.stopPropagation();
@@ -424,6 +474,7 @@ function renderFileNode(file, depth) {
                     { label: "Rename", action: () => renameFile(file.id) },
                     { label: "Duplicate", action: () => duplicateFile(file.id) },
                     { label: "Copy internal link", action: () => copyInternalLink(file.id) },
+                    { label: "History", action: () => showNodeHistory(file.id) },
                     { label: "Delete", action: () => deleteFile(file.id) },
                     { label: "Export file", action: () => exportFile(file.id) }
                 ], e.pageX, e.pageY);
@@ -438,6 +489,7 @@ function renderFileNode(file, depth) {
                 { label: "Rename", action: () => renameFile(file.id) },
                 { label: "Duplicate", action: () => duplicateFile(file.id) },
                 { label: "Copy internal link", action: () => copyInternalLink(file.id) },
+                { label: "History", action: () => showNodeHistory(file.id) },
                 { label: "Delete", action: () => deleteFile(file.id) },
                 { label: "Export file", action: () => exportFile(file.id) }
             ], e.pageX, e.pageY);
@@ -451,6 +503,9 @@ function renderFileNode(file, depth) {
         });
     }
 
+    // Move / reorder (not on a read-only device)
+    bindDragAndDrop(el, file);
+
     return el;
 }
 
@@ -500,7 +555,8 @@ export function duplicateFile(fileId) {
         
         logger.debug("ui: duplicateFile", "Original file name: ", file.name, "Content length: ", file.content?.length, "Raw: ", file.content); 
 
-        parent.children.push(copy);
+        insertChild(parent.children, copy);
+        recordOfflineOp("create", copy, { parentId: parent.id });
 
         setWorkspace(tree);
         saveState();
@@ -545,7 +601,9 @@ export function createFileInFolder(parentFolder) {
         ? name.trim()
         : name.trim() + ".md";
 
-    parentFolder.children.push(createFile(fileName, ""));
+    const file = createFile(fileName, "");
+    insertChild(parentFolder.children, file);
+    recordOfflineOp("create", file, { parentId: parentFolder.id });
 
     commitWorkspace();
 }
@@ -566,14 +624,9 @@ export function createSubfolder(parentId) {
 
     if (!parent || parent.type !== "folder") return;
 
-    parent.children.push(createFolder(name.trim()));
-
-    parent.children.sort((a, b) => {
-        if (a.type !== b.type) {
-            return a.type === "folderenderFileNoder" ? -1 : 1;
-        }
-        return a.name.localeCompare(b.name);
-    });
+    const folder = createFolder(name.trim());
+    insertChild(parent.children, folder);
+    recordOfflineOp("create", folder, { parentId });
 
     setWorkspace(tree);
     saveState();
@@ -641,6 +694,13 @@ export function updateToolbarVisibility() {
         "save-btn",
         "load-btn",
         "restore-btn",
+        "storage-btn",
+        "workspaces-btn",
+        "journal-btn",
+        "encryption-btn",
+        "recovery-btn",
+        "integrity-btn",
+        "trash-btn",
         "exportAll-btn",
         "importAll-btn",
         "sync-toggle-btn",
@@ -681,6 +741,11 @@ export function updateToolbarVisibility() {
             "save-btn",
             "delete-btn",
             "restore-btn",
+            "storage-btn",
+            "workspaces-btn",
+            "recovery-btn",
+            "integrity-btn",
+            "trash-btn",
             "importAll-btn",
             "copy-rendered-puml-btn",
             "sync-toggle-btn"
@@ -697,7 +762,7 @@ export function applyReadonlyUI() {
 
     // Hide the editor immediately
     hideEditor();
-    showSyncState("readonly");
+    setSyncStatus("readonly", "Read‑only");
 
     // Disable the toggle button - disable this for now
     /* const btn = document.getElementById("toggle-editor");
@@ -759,7 +824,10 @@ export function renameFolder(folderId) {
     const newName = prompt("Rename folder:", folder.name);
     if (!newName || !newName.trim()) return;
 
+    const oldPath = getNodePath(tree, folderId);
     folder.name = newName.trim();
+    recordRename(folder, oldPath, getNodePath(tree, folderId));
+    recordOfflineOp("rename", folder);
 
     setWorkspace(tree);
     saveState();
@@ -780,7 +848,13 @@ export function deleteFolder(folderId) {
 
     const { node, parent } = result;
 
-    if (!confirm(`Delete folder "${node.name}" and all its contents?`)) return;
+    if (!confirm(`Move folder "${node.name}" and all its contents to the trash?`)) return;
+
+    const path = getNodePath(tree, folderId);
+    const siblings = parent ? parent.children : tree;
+    moveToTrash(node, path, parent ? parent.id : null, siblings.indexOf(node));
+    recordDeletion(node, path);
+    recordOfflineOp("delete", node);
 
     if (parent) {
         parent.children = parent.children.filter(c => c.id !== folderId);
@@ -827,9 +901,14 @@ export async function updatePreview() {
         // ------------------------------------------------------------
         //  SAVE CONTENT (DEBOUNCED)
         // ------------------------------------------------------------
+        editPending = editPending || file.content !== content;
         file.content = content;
         clearTimeout(saveTimer);
-        saveTimer = setTimeout(() => saveState(), 300);
+        saveTimer = setTimeout(() => {
+            saveState();
+            if (editPending) recordOfflineOp("edit", file);
+            editPending = false;
+        }, 300);
 
         // ------------------------------------------------------------
         //  PUML FILE PREVIEW (.puml files)
@@ -1431,7 +1510,9 @@ export function addFolder() {
     if (!name || !name.trim()) return;
 
     const tree = getWorkspace();
-    tree.push(createFolder(name.trim()));
+    const folder = createFolder(name.trim());
+    insertChild(tree, folder);
+    recordOfflineOp("create", folder);
 
     setWorkspace(tree);
     saveState();
@@ -1500,14 +1581,8 @@ export function addFile(folderId) {
         isMarkdown ? `# ${fileName}\n` : "@startuml\n\n@enduml"
     );
 
-    folder.children.push(newFile);
-    // Sort children: folders first, then files, alphabetical
-    folder.children.sort((a, b) => {
-        if (a.type !== b.type) {
-            return a.type === "folder" ? -1 : 1;
-        }
-        return a.name.localeCompare(b.name);
-    });
+    insertChild(folder.children, newFile);
+    recordOfflineOp("create", newFile, { parentId: folderId });
 
 
     setWorkspace(tree);
@@ -1719,6 +1794,9 @@ export async function importWorkspace(json) {
             return;
         }
 
+        // The workspace being replaced can be brought back from the recovery screen
+        takeSnapshot("import");
+
 
         // Inflate flat metadata into nested tree
         const byId = new Map(tree.map(n => [n.id, n]));
@@ -1749,12 +1827,12 @@ export async function importWorkspace(json) {
 
         // Restore sync metadata
         if (json.lastSyncedHash) {
-            localStorage.setItem("lastSyncedHash", json.lastSyncedHash);
+            localStorage.setItem(scopedKey("lastSyncedHash"), json.lastSyncedHash);
         }
         // leave syncEnabled as it was prior to import
         /*
         if (json.syncEnabled !== undefined) {
-            localStorage.setItem("syncEnabled", json.syncEnabled);
+            localStorage.setItem(scopedKey("syncEnabled"), json.syncEnabled);
         }
         */
 
@@ -1805,7 +1883,12 @@ export function deleteFile(fileId) {
 
     const { node, parent } = result;
 
-    if (!confirm(`Delete file "${node.name}"?`)) return;
+    if (!confirm(`Move file "${node.name}" to the trash?`)) return;
+
+    const path = getNodePath(tree, fileId);
+    moveToTrash(node, path, parent.id, parent.children.indexOf(node));
+    recordDeletion(node, path);
+    recordOfflineOp("delete", node);
 
     parent.children = parent.children.filter(c => c.id !== fileId);
 
@@ -1837,7 +1920,10 @@ export function renameFile(fileId) {
     const newName = prompt("Rename file:", file.name);
     if (!newName || !newName.trim()) return;
 
+    const oldPath = getNodePath(tree, fileId);
     file.name = newName.trim();
+    recordRename(file, oldPath, getNodePath(tree, fileId));
+    recordOfflineOp("rename", file);
 
     setWorkspace(tree);
     saveState();
@@ -1903,6 +1989,111 @@ export function setSyncStatus(state, text) {
     el.textContent = text;
 }
 
+// ------------------------------------------------------------
+// Sync status badge — subscribed to sync-state.js events in app.js.
+// event: { state, info } (see sync-state.js)
+// ------------------------------------------------------------
+const SYNC_STATUS_TEXT = {
+    checking:       ["saving", "Checking…"],
+    saving:         ["saving", "Saving…"],
+    conflict:       ["error",  "Cloud changed"],
+    offline:        ["error",  "Offline"],
+    "auth-expired": ["error",  "Signed out"]
+};
+
+export function renderSyncState({ state, info = {} }) {
+    if (isReadOnlyDevice()) return;
+
+    if (state === "idle") {
+        if (info.error) setSyncStatus("error", info.error);
+        else if (info.label) setSyncStatus("idle", info.label);
+        else if (info.synced) setSyncStatus("synced", "Synced");
+        else setSyncStatus("idle", "");
+        return;
+    }
+
+    const [cls, text] = SYNC_STATUS_TEXT[state];
+    setSyncStatus(cls, state === "offline" && info.reason ? info.reason : text);
+}
+
+// GitHub API quota, next to the sync status. level: "ok" | "low" | "out"
+export function setRateLimitStatus(level, text, title = "") {
+    const el = document.getElementById("rate-limit");
+    if (!el) return;
+
+    el.className = `rate-limit rate-${level}`;
+    el.textContent = text;
+    el.title = title;
+}
+
+export function escapeHtml(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// ------------------------------------------------------------
+// Generic modal — for dialogs and panels that need more room than a notification.
+// Only one modal is shown at a time; showing another replaces the content.
+//
+// actions: [{ label, action, primary?, danger? }]
+// onClose: called when the user dismisses the modal with ✖
+// ------------------------------------------------------------
+export function showModal({ title, body, actions = [], onClose = null, wide = false }) {
+    logger.debug("ui", () => "Running showModal(). CALLED BY: " + getCallerName("showModal"));
+
+    const modal = document.getElementById("modal");
+    if (!modal) {
+        logger.error("ui: showModal", "Modal element 'modal' not found");
+        return;
+    }
+
+    // A modal replaced by another counts as closed — whoever waits on it
+    // (e.g. the conflict review) must not wait forever
+    const replaced = !modal.classList.contains("hidden") ? modalOnClose : null;
+    modalOnClose = null;
+    if (replaced) replaced();
+    modalOnClose = onClose;
+
+    modal.querySelector(".modal-panel").classList.toggle("modal-wide", wide);
+    document.getElementById("modal-title").textContent = title;
+
+    const bodyEl = document.getElementById("modal-body");
+    bodyEl.innerHTML = "";
+    if (typeof body === "string") {
+        bodyEl.innerHTML = body;
+    } else if (body) {
+        bodyEl.appendChild(body);
+    }
+
+    const footer = document.getElementById("modal-footer");
+    footer.innerHTML = "";
+    actions.forEach(item => {
+        const btn = document.createElement("button");
+        btn.className = "btn-tool";
+        if (item.primary) btn.classList.add("btn-primary");
+        if (item.danger) btn.classList.add("btn-danger");
+        btn.textContent = item.label;
+        btn.addEventListener("click", () => item.action());
+        footer.appendChild(btn);
+    });
+
+    document.getElementById("modal-close").onclick = () => {
+        hideModal();
+        if (onClose) onClose();
+    };
+
+    modal.classList.remove("hidden");
+}
+
+export function hideModal() {
+    modalOnClose = null;
+    const modal = document.getElementById("modal");
+    if (modal) modal.classList.add("hidden");
+}
+
 export function showNotification(type, text) {
     const el = document.getElementById("notification");
     if (!el) return;
@@ -2157,7 +2348,7 @@ function hideEditor() {
     btn.textContent = "Show Source";
 }
 
-export function showCountdownNotification({ countdown, onConfirm, onCancel }) {
+export function showCountdownNotification({ countdown, onConfirm, onCancel, onReview = null }) {
     logger.debug("ui", () => "Running showCountdownNotification(). CALLED BY: " + getCallerName("showCountdownNotification"));
 
     if (isReadOnlyDevice()) { return; }
@@ -2186,13 +2377,27 @@ export function showCountdownNotification({ countdown, onConfirm, onCancel }) {
             }
         }
 
+        function bindReview() {
+            const review = el.querySelector("#review-countdown");
+            if (review) {
+                review.onclick = () => {
+                    logger.debug("ui: countdown", "User chose to REVIEW the cloud changes");
+                    clearInterval(countdownInterval);
+                    el.classList.remove("show");
+                    onReview();
+                };
+            }
+        }
+
         function render() {
             el.className = "notification notification-countdown show";
             el.innerHTML = `
-                Overwriting with newer cloud version in <strong>${remaining}</strong> seconds.
+                Merging newer cloud version in <strong>${remaining}</strong> seconds.
+                ${onReview ? `<a id="review-countdown">Review</a>` : ""}
                 <a id="cancel-countdown">Cancel</a>
             `;
             bindCancel();   // must be called after every render
+            bindReview();
         }
 
         render();
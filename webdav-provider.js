@@ -0,0 +1,260 @@
+// webdav-provider.js
+// Stores the workspace under a WebDAV (or plain REST) collection URL.
+//
+// The server needs: GET / PUT / DELETE on <url>/<file>, plus either
+// PROPFIND (WebDAV) or a JSON array of file names from GET <url>/ (REST).
+// That is little enough for a local stand-in server in tests, or for teams
+// that can't use GitHub.
+//
+// Revisions are full snapshots in <url>/_history/<timestamp>.json, each
+// built from the one before it (see writeRevision).
+//
+// The URL and username are kept in localStorage; the password only in
+// sessionStorage, so it is asked for again in each new tab.
+
+import { showNotification } from "./ui.js";
+import { logger, getCallerName } from "./logger.js";
+import { scopedKey } from "./workspaces.js";
+
+logger.debug("webdav-provider", "webdav-provider.js loaded from:", import.meta.url);
+
+const CONFIG_KEY = "webdavConfig";
+const PASSWORD_KEY = "webdavPassword";   // sessionStorage
+const HISTORY_DIR = "_history";
+const MAX_REVISIONS = 30;
+
+let declined = false;   // password prompt cancelled — not asked again until configure()
+
+function getConfig() {
+    try {
+        const config = JSON.parse(localStorage.getItem(scopedKey(CONFIG_KEY)) || "null");
+        if (config && "password" in config) {
+            // Saved by an older version — move the password out of localStorage
+            if (config.password) sessionStorage.setItem(scopedKey(PASSWORD_KEY), config.password);
+            delete config.password;
+            localStorage.setItem(scopedKey(CONFIG_KEY), JSON.stringify(config));
+        }
+        return config && config.url ? config : null;
+    } catch (err) {
+        logger.error("webdav-provider", "Failed to parse WebDAV config", err);
+        return null;
+    }
+}
+
+// The password for this session, asking for it if needed; null if not given
+function getPassword(config) {
+    const saved = sessionStorage.getItem(scopedKey(PASSWORD_KEY));
+    if (saved !== null) return saved;
+    if (declined) return null;
+
+    const password = prompt(`Password for ${config.username} at ${config.url}:`);
+    if (password === null) {
+        declined = true;
+        return null;
+    }
+    sessionStorage.setItem(scopedKey(PASSWORD_KEY), password);
+    return password;
+}
+
+function baseUrl(config) {
+    return config.url.endsWith("/") ? config.url : config.url + "/";
+}
+
+async function davFetch(path, options = {}) {
+    const config = getConfig();
+    if (!config) throw new Error("WEBDAV_NOT_SET");
+
+    const headers = { ...options.headers };
+    if (config.username) {
+        const password = getPassword(config);
+        if (password === null) throw new Error("WEBDAV_AUTH");
+        headers["Authorization"] = "Basic " + btoa(`${config.username}:${password}`);
+    }
+
+    const res = await fetch(baseUrl(config) + path, { ...options, headers });
+
+    if (res.status === 401 || res.status === 403) {
+        sessionStorage.removeItem(scopedKey(PASSWORD_KEY));   // asked again next time
+        throw new Error("WEBDAV_AUTH");
+    }
+    return res;
+}
+
+// ------------------------------------------------------------
+// File names in a collection: PROPFIND first, JSON listing as fallback
+// ------------------------------------------------------------
+async function listNames(dir = "") {
+    const res = await davFetch(dir, {
+        method: "PROPFIND",
+        headers: { "Depth": "1", "Content-Type": "application/xml" }
+    });
+
+    if (res.status === 404) return [];
+
+    if (res.status === 207) {
+        const xml = new DOMParser().parseFromString(await res.text(), "application/xml");
+        const names = [];
+
+        for (const response of xml.getElementsByTagNameNS("DAV:", "response")) {
+            const isCollection = response.getElementsByTagNameNS("DAV:", "collection").length > 0;
+            if (isCollection) continue;
+
+            const href = response.getElementsByTagNameNS("DAV:", "href")[0]?.textContent || "";
+            const name = decodeURIComponent(href.replace(/\/$/, "").split("/").pop());
+            if (name) names.push(name);
+        }
+        return names;
+    }
+
+    // Not WebDAV → plain REST listing
+    const listing = await davFetch(dir);
+    if (listing.status === 404) return [];
+    if (!listing.ok) throw new Error(`WEBDAV_ERROR ${listing.status}`);
+
+    const names = await listing.json();
+    return Array.isArray(names) ? names.filter(n => typeof n === "string") : [];
+}
+
+async function getText(path) {
+    const res = await davFetch(path);
+    if (!res.ok) throw new Error(`WEBDAV_ERROR ${res.status}: GET ${path}`);
+    return res.text();
+}
+
+async function putText(path, content, contentType = "text/plain; charset=utf-8") {
+    const res = await davFetch(path, {
+        method: "PUT",
+        headers: { "Content-Type": contentType },
+        body: content
+    });
+    if (!res.ok) throw new Error(`WEBDAV_ERROR ${res.status}: PUT ${path}`);
+}
+
+async function loadFiles(names) {
+    const files = {};
+    for (const name of names) {
+        files[name] = { content: await getText(encodeURIComponent(name)) };
+    }
+    return files;
+}
+
+// Newest revision this tab wrote — the next one starts from it
+let lastRevision = null;   // { url, version, files }
+
+// ------------------------------------------------------------
+// A revision is the previous one with this save's changes on top, so a save
+// costs a listing and at most one GET however big the workspace is. Only the
+// first revision in a collection reads every file.
+// ------------------------------------------------------------
+async function writeRevision(changes) {
+    // MKCOL fails harmlessly (405) when the collection already exists
+    await davFetch(`${HISTORY_DIR}/`, { method: "MKCOL" }).catch(() => {});
+
+    const url = getConfig().url;
+    const names = (await listNames(`${HISTORY_DIR}/`)).filter(n => n.endsWith(".json")).sort().reverse();
+    const newest = names[0]?.slice(0, -".json".length);
+
+    let files;
+    if (lastRevision && lastRevision.url === url && lastRevision.version === newest) {
+        files = { ...lastRevision.files };
+    } else if (newest) {
+        files = JSON.parse(await getText(`${HISTORY_DIR}/${encodeURIComponent(names[0])}`)).files || {};
+    } else {
+        files = await loadFiles(await listNames());
+    }
+
+    for (const [name, file] of Object.entries(changes)) {
+        if (file === null) delete files[name];
+        else files[name] = { content: file.content ?? "" };
+    }
+
+    const version = new Date().toISOString().replace(/[:.]/g, "-");
+    await putText(`${HISTORY_DIR}/${version}.json`, JSON.stringify({ files }), "application/json");
+    lastRevision = { url, version, files };
+
+    for (const old of names.slice(MAX_REVISIONS - 1)) {
+        await davFetch(`${HISTORY_DIR}/${encodeURIComponent(old)}`, { method: "DELETE" });
+    }
+}
+
+export const webdavProvider = {
+    id: "webdav",
+    label: "WebDAV / REST server",
+
+    async isReady({ quiet = false } = {}) {
+        if (getConfig()) return true;
+        if (!quiet) showNotification("warning", "No server URL set — choose Storage to configure it");
+        return false;
+    },
+
+    async configure() {
+        logger.debug("webdav-provider", () => "Running configure(). CALLED BY: " + getCallerName("configure"));
+        const current = getConfig() || {};
+
+        const url = prompt("Server URL for the workspace folder:", current.url || "https://");
+        if (!url || !url.trim()) return false;
+
+        const username = prompt("Username (leave empty for none):", current.username || "") || "";
+        const password = username ? (prompt("Password (not saved — kept until this tab is closed, then asked again):") || "") : "";
+
+        localStorage.setItem(scopedKey(CONFIG_KEY), JSON.stringify({ url: url.trim(), username }));
+        if (username) sessionStorage.setItem(scopedKey(PASSWORD_KEY), password);
+        else sessionStorage.removeItem(scopedKey(PASSWORD_KEY));
+        declined = false;
+        logger.info("webdav-provider", `Using server: ${url.trim()}`);
+        return true;
+    },
+
+    identity() {
+        const url = getConfig()?.url || null;
+        return { provider: "webdav", id: url, label: url || "WebDAV" };
+    },
+
+    async load({ manifestOnly = false } = {}) {
+        const names = await listNames();
+        const wanted = manifestOnly ? names.filter(n => n === "__workspace.json") : names;
+
+        return {
+            id: getConfig().url,
+            updatedAt: null,
+            names,
+            files: await loadFiles(wanted),
+            complete: true
+        };
+    },
+
+    async save(changes) {
+        for (const [name, file] of Object.entries(changes)) {
+            const path = encodeURIComponent(name);
+
+            if (file === null) {
+                const res = await davFetch(path, { method: "DELETE" });
+                if (!res.ok && res.status !== 404) throw new Error(`WEBDAV_ERROR ${res.status}: DELETE ${name}`);
+            } else {
+                await putText(path, file.content ?? "");
+            }
+        }
+
+        await writeRevision(changes);
+        return { id: getConfig().url };
+    },
+
+    async listRevisions() {
+        const names = await listNames(`${HISTORY_DIR}/`);
+
+        return names
+            .filter(n => n.endsWith(".json"))
+            .map(n => {
+                const version = n.slice(0, -".json".length);
+                // 2026-01-31T10-20-30-123Z → 2026-01-31T10:20:30.123Z
+                const iso = version.replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z$/, "T$1:$2:$3.$4Z");
+                return { version, committedAt: iso };
+            })
+            .sort((a, b) => b.version.localeCompare(a.version));
+    },
+
+    async getRevision(version) {
+        const { files } = JSON.parse(await getText(`${HISTORY_DIR}/${encodeURIComponent(version)}.json`));
+        return { files: files || {}, complete: true };
+    }
+};
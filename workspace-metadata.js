@@ -1,7 +1,14 @@
 // workspace-metadata.js
 import { logger, getCallerName } from "./logger.js";
+import { scopedKey, DEFAULT_WORKSPACE_NAME } from "./workspaces.js";
+import { SCHEMA_VERSION } from "./schema.js";
 let currentMetadata = null;
 
+// __workspace.json carries kind so a gist can be recognised as a workspace
+// (the picker never offers unrelated gists), and name for the picker to show
+export const WORKSPACE_KIND = "bian-kb-workspace";
+const WORKSPACE_NAME_KEY = "kb_workspace_name";
+
 logger.debug("workspace-metadata","workspace-metadata.js loaded from:", import.meta.url);
 
 
@@ -13,6 +20,14 @@ export function setMetadata(meta) {
     currentMetadata = meta;
 }
 
+export function getWorkspaceName() {
+    return localStorage.getItem(scopedKey(WORKSPACE_NAME_KEY)) || DEFAULT_WORKSPACE_NAME;
+}
+
+export function setWorkspaceName(name) {
+    localStorage.setItem(scopedKey(WORKSPACE_NAME_KEY), name);
+}
+
 
 export function extractMetadata(nodes) {
     logger.debug("workspace-metadata", () => "Running extractMetadata. CALLED BY: " + getCallerName("extractMetadata"));
@@ -55,7 +70,8 @@ export function extractMetadata(nodes) {
                 id: node.id,
                 type: node.type,
                 name: node.name,
-                path
+                path,
+                order: list.indexOf(node)   // place among its siblings (the sort above doesn't change it)
             };
 
             if (node.type === "folder") {
@@ -64,13 +80,12 @@ export function extractMetadata(nodes) {
                 // 4. Folder-specific metadata.
                 //
                 //    children:
-                //      - Sorted for determinism.
+                //      - In tree order: the order the sidebar shows,
+                //        which the user sets by drag and drop.
                 //      - UI fields (isOpen) preserved for saving.
                 // ------------------------------------------------------------
                 entry.isOpen = !!node.isOpen;
-                entry.children = node.children
-                    .map(c => c.id)
-                    .sort(); // deterministic ordering
+                entry.children = node.children.map(c => c.id);
 
                 meta.push(entry);
 
@@ -108,6 +123,9 @@ export function extractMetadata(nodes) {
 
     return {
         version: 1,
+        schemaVersion: SCHEMA_VERSION,
+        kind: WORKSPACE_KIND,
+        name: getWorkspaceName(),
         nodes: meta
     };
 }
@@ -0,0 +1,125 @@
+// workspace-picker.js
+// Choose which workspace gist this device syncs with.
+//
+// Only gists marked as workspaces are listed (see listWorkspaceGists()),
+// so the knowledgebase can't end up attached to an unrelated gist.
+// The dialog only collects the choice; sync.js carries it out.
+
+import { logger, getCallerName } from "./logger.js";
+import { showModal, hideModal, escapeHtml } from "./ui.js";
+
+logger.debug("workspace-picker", "workspace-picker.js loaded from:", import.meta.url);
+
+function formatWhen(iso) {
+    return iso ? new Date(iso).toLocaleString() : "unknown";
+}
+
+function askName(message, current = "") {
+    const name = prompt(message, current);
+    return name && name.trim() ? name.trim() : null;
+}
+
+// ------------------------------------------------------------
+// Show the picker.
+//
+//   workspaces  [{ id, name, updatedAt, pages, legacy }] from listWorkspaceGists()
+//   currentId   gist this device is attached to, or null
+//   currentName its name
+//
+// Resolves with one of
+//   { action: "open", id }     switch to another workspace
+//   { action: "create", name } start a new one
+//   { action: "rename", name } rename the current one
+//   { action: "detach" }       stop syncing this device with it
+// or null if closed.
+// ------------------------------------------------------------
+export function showWorkspacePickerDialog({ workspaces, currentId, currentName }) {
+    logger.debugSyncing("workspace-picker", () => "Running showWorkspacePickerDialog(). CALLED BY: " + getCallerName("showWorkspacePickerDialog"));
+
+    return new Promise(resolve => {
+        const done = (choice) => {
+            hideModal();
+            logger.info("workspace-picker", "Workspace choice:", choice);
+            resolve(choice);
+        };
+
+        const body = document.createElement("div");
+
+        const intro = document.createElement("p");
+        intro.textContent = workspaces.length === 0
+            ? "No workspaces found on this GitHub account yet."
+            : currentId
+                ? "This device syncs with the workspace marked current."
+                : "This device isn't attached to a workspace. Open one or create a new one.";
+        body.appendChild(intro);
+
+        const list = document.createElement("ul");
+        list.className = "workspace-list";
+
+        for (const ws of workspaces) {
+            const isCurrent = ws.id === currentId;
+            const li = document.createElement("li");
+            li.className = `workspace-row ${isCurrent ? "current" : ""}`;
+            li.innerHTML = `
+                <div class="workspace-row-info">
+                    <div class="workspace-row-name">
+                        ${escapeHtml(ws.name)}
+                        ${isCurrent ? `<span class="conflict-status">current</span>` : ""}
+                        ${ws.legacy ? `<span class="conflict-status" title="Saved before workspaces were marked — it gets the marker on its next save">older format</span>` : ""}
+                    </div>
+                    <div class="workspace-row-meta">${ws.pages} page(s) · updated ${escapeHtml(formatWhen(ws.updatedAt))} · ${escapeHtml(ws.id.slice(0, 8))}</div>
+                </div>
+            `;
+
+            if (!isCurrent) {
+                const openBtn = document.createElement("button");
+                openBtn.className = "btn-tool";
+                openBtn.textContent = "Open";
+                openBtn.addEventListener("click", () => done({ action: "open", id: ws.id }));
+                li.appendChild(openBtn);
+            }
+
+            list.appendChild(li);
+        }
+        body.appendChild(list);
+
+        const actions = [
+            { label: "Close", action: () => done(null) },
+            {
+                label: "New workspace…",
+                action: () => {
+                    const name = askName("Name for the new workspace:");
+                    if (name) done({ action: "create", name });
+                }
+            }
+        ];
+
+        if (currentId) {
+            actions.push(
+                {
+                    label: "Rename current…",
+                    action: () => {
+                        const name = askName("New name for this workspace:", currentName);
+                        if (name && name !== currentName) done({ action: "rename", name });
+                    }
+                },
+                {
+                    label: "Detach",
+                    danger: true,
+                    action: () => {
+                        if (confirm(`Detach this device from “${currentName}”?\n\nYour pages stay on this device, but nothing syncs until you open a workspace again.`)) {
+                            done({ action: "detach" });
+                        }
+                    }
+                }
+            );
+        }
+
+        showModal({
+            title: "Workspaces",
+            body,
+            onClose: () => resolve(null),
+            actions
+        });
+    });
+}
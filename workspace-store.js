@@ -0,0 +1,272 @@
+// workspace-store.js
+// The workspace on this device, kept in IndexedDB with one record per node.
+//
+//   "nodes" store, key [workspaceId, key]:
+//   { workspaceId, key, parentKey, order, node, folder }
+//
+// key is the node's id (its position, for a node without a unique id);
+// node is the node without its children. A record with key ROOT_KEY marks
+// a workspace that has been stored, so an emptied workspace reads back as
+// [] rather than "nothing stored", and carries the tree's schemaVersion
+// (see schema.js).
+//
+// writeTree() compares the tree with what it last wrote and only puts the
+// records that changed and deletes the removed ones, so typing in a page
+// writes that page rather than the whole workspace. Writes are queued and
+// coalesced — a burst of saveState() calls writes the latest tree once.
+//
+// Other tabs learn about writes over a BroadcastChannel (tabs.js).
+// The workspace used to live in localStorage ("kb_data"); readTree() moves
+// it over the first time a workspace is read.
+//
+// The sync baseline — the flat list last synced, the base for three-way
+// merges — is kept here too, one record per workspace in the "baselines"
+// store. It used to be in localStorage ("lastSyncedFlat").
+
+import { logger, getCallerName } from "./logger.js";
+import { NODE_STORE, BASELINE_STORE, storeGetAll, storeGet, storePut, storeDelete, storeBatch } from "./idb.js";
+import { keyFor } from "./workspaces.js";
+import { showNotification } from "./ui.js";
+
+logger.debug("workspace-store", "workspace-store.js loaded from:", import.meta.url);
+
+const LEGACY_KEY = "kb_data";
+const LEGACY_BASELINE_KEY = "lastSyncedFlat";
+const ROOT_KEY = "";
+const CHANNEL_NAME = "kb-workspace-store";
+
+const written = new Map();      // workspaceId → Map(key → { sig, content }) as last written
+const queued = new Map();       // workspaceId → { tree, schemaVersion } waiting to be written
+let writing = null;             // the running drain(), if any
+let failing = false;            // warned that writes fail; cleared by the next good write
+
+const channel = window.BroadcastChannel ? new BroadcastChannel(CHANNEL_NAME) : null;
+let storedElsewhere = () => {};
+if (channel) channel.onmessage = (event) => storedElsewhere(event.data);
+
+// listener({ workspaceId }) — another tab wrote that workspace
+export function onWorkspaceStored(listener) {
+    storedElsewhere = listener;
+}
+
+// ------------------------------------------------------------
+// Tree <-> records
+// ------------------------------------------------------------
+function toRecords(workspaceId, tree, schemaVersion) {
+    const root = { workspaceId, key: ROOT_KEY, parentKey: null, order: 0, node: null, folder: true, schemaVersion };
+    const records = new Map([[ROOT_KEY, root]]);
+
+    const walk = (nodes, parentKey) => nodes.forEach((child, order) => {
+        const { children, ...node } = child;
+        const key = child.id && !records.has(child.id) ? child.id : `${parentKey}/${order}`;
+
+        records.set(key, { workspaceId, key, parentKey, order, node, folder: Array.isArray(children) });
+        if (Array.isArray(children)) walk(children, key);
+    });
+
+    walk(tree, ROOT_KEY);
+    return records;
+}
+
+function fromRecords(records) {
+    const byParent = new Map();
+    for (const record of records) {
+        if (record.key === ROOT_KEY) continue;
+        if (!byParent.has(record.parentKey)) byParent.set(record.parentKey, []);
+        byParent.get(record.parentKey).push(record);
+    }
+
+    const build = (parentKey) => (byParent.get(parentKey) || [])
+        .sort((a, b) => a.order - b.order)
+        .map(record => record.folder
+            ? { ...record.node, children: build(record.key) }
+            : { ...record.node });
+
+    return build(ROOT_KEY);
+}
+
+// Content is compared on its own — it's the large part and rarely needs serialising
+function signature(record) {
+    const { content, ...rest } = record.node || {};
+    return JSON.stringify([record.parentKey, record.order, record.folder, rest, record.schemaVersion]);
+}
+
+function remember(workspaceId, records) {
+    const state = new Map();
+    for (const record of records) {
+        state.set(record.key, { sig: signature(record), content: record.node?.content });
+    }
+    written.set(workspaceId, state);
+}
+
+// ------------------------------------------------------------
+// Writing
+// ------------------------------------------------------------
+
+// Queue a write of tree; resolves once it (or a later one) is stored
+export function writeTree(workspaceId, tree, schemaVersion) {
+    queued.set(workspaceId, { tree, schemaVersion });
+    if (!writing) writing = drain();
+    return writing;
+}
+
+// Resolves when everything queued so far is stored
+export function flushWrites() {
+    return writing || Promise.resolve();
+}
+
+async function drain() {
+    await Promise.resolve();   // let saveState() calls in the same task coalesce
+
+    while (queued.size) {
+        const [workspaceId, { tree, schemaVersion }] = queued.entries().next().value;
+        queued.delete(workspaceId);
+        await writeNow(workspaceId, tree, schemaVersion);
+    }
+    writing = null;
+}
+
+async function writeNow(workspaceId, tree, schemaVersion) {
+    // Not read by this tab yet → compare with what is stored, so stale records are removed
+    if (!written.has(workspaceId)) {
+        try {
+            remember(workspaceId, await storeGetAll(NODE_STORE, "workspaceId", workspaceId));
+        } catch (err) {
+            reportWriteError(err);
+            return false;
+        }
+    }
+
+    const records = toRecords(workspaceId, tree, schemaVersion);
+    const before = written.get(workspaceId);
+
+    const put = [];
+    for (const [key, record] of records) {
+        const last = before.get(key);
+        if (!last || last.content !== record.node?.content || last.sig !== signature(record)) put.push(record);
+    }
+    const remove = [...before.keys()]
+        .filter(key => !records.has(key))
+        .map(key => [workspaceId, key]);
+
+    if (put.length === 0 && remove.length === 0) return true;
+
+    try {
+        await storeBatch(NODE_STORE, { put, remove });
+    } catch (err) {
+        reportWriteError(err);
+        return false;   // `written` is unchanged, so the next write retries all of it
+    }
+
+    remember(workspaceId, records.values());
+    logger.debug("workspace-store", () => `Stored workspace ${workspaceId}: ${put.length} put, ${remove.length} removed`);
+
+    if (failing) {
+        failing = false;
+        showNotification("success", "The workspace is saved on this device again");
+    }
+    channel?.postMessage({ workspaceId });
+    return true;
+}
+
+// Warns once per run of failures, not on every keystroke
+function reportWriteError(err) {
+    const full = err?.name === "QuotaExceededError";
+    logger.error("workspace-store", full ? "Device storage full — workspace not saved locally" : "Failed to store workspace", err);
+
+    if (failing) return;
+    failing = true;
+    showNotification("error", full
+        ? "Device storage is full — recent changes are NOT saved on this device. Save to the cloud or export now, then free some space."
+        : err?.message === "IDB_BLOCKED"
+            ? "Could not save the workspace on this device while the app is open in an older tab — reload or close the app's other tabs"
+            : "Could not save the workspace on this device — save to the cloud or export now");
+}
+
+// ------------------------------------------------------------
+// Reading. → { tree, schemaVersion }, or null if nothing is stored for
+// the workspace.
+// ------------------------------------------------------------
+export async function readTree(workspaceId) {
+    logger.debug("workspace-store", () => "Running readTree(). CALLED BY: " + getCallerName("readTree"));
+
+    await flushWrites();
+    const records = await storeGetAll(NODE_STORE, "workspaceId", workspaceId);
+
+    if (records.length === 0) return migrateLegacyTree(workspaceId);
+
+    remember(workspaceId, records);
+    const root = records.find(record => record.key === ROOT_KEY);
+    return { tree: fromRecords(records), schemaVersion: root?.schemaVersion ?? 0 };
+}
+
+// One-off move of a localStorage workspace into IndexedDB
+async function migrateLegacyTree(workspaceId) {
+    const legacyKey = keyFor(workspaceId, LEGACY_KEY);
+    const saved = localStorage.getItem(legacyKey);
+    if (!saved) return null;
+
+    let tree;
+    try {
+        tree = JSON.parse(saved);
+    } catch (err) {
+        logger.error("workspace-store", "Failed to parse the localStorage workspace — left where it is", err);
+        return null;
+    }
+    if (!Array.isArray(tree)) {
+        logger.error("workspace-store", "Invalid localStorage workspace — left where it is:", tree);
+        return null;
+    }
+
+    // Keep the old copy unless the new one is safely stored
+    if (await writeNow(workspaceId, tree, 0)) {
+        localStorage.removeItem(legacyKey);
+        logger.info("workspace-store", `Workspace ${workspaceId} moved from localStorage to IndexedDB`);
+    }
+    return { tree, schemaVersion: 0 };
+}
+
+// ------------------------------------------------------------
+// Sync baseline (see recordSyncBaseline in sync.js)
+// ------------------------------------------------------------
+export function writeBaseline(workspaceId, flat) {
+    return storePut(BASELINE_STORE, { workspaceId, flat });
+}
+
+export function deleteBaseline(workspaceId) {
+    return storeDelete(BASELINE_STORE, workspaceId);
+}
+
+// → the flat list, or null if none is stored
+export async function readBaseline(workspaceId) {
+    const record = await storeGet(BASELINE_STORE, workspaceId);
+    if (record) return Array.isArray(record.flat) ? record.flat : null;
+
+    return migrateLegacyBaseline(workspaceId);
+}
+
+// One-off move of a localStorage baseline into IndexedDB
+async function migrateLegacyBaseline(workspaceId) {
+    const legacyKey = keyFor(workspaceId, LEGACY_BASELINE_KEY);
+    const saved = localStorage.getItem(legacyKey);
+    if (!saved) return null;
+
+    let flat;
+    try {
+        flat = JSON.parse(saved);
+    } catch (err) {
+        logger.error("workspace-store", "Failed to parse the localStorage sync baseline — dropped", err);
+        localStorage.removeItem(legacyKey);
+        return null;
+    }
+    if (!Array.isArray(flat)) {
+        localStorage.removeItem(legacyKey);
+        return null;
+    }
+
+    // Keep the old copy unless the new one is safely stored
+    await writeBaseline(workspaceId, flat);
+    localStorage.removeItem(legacyKey);
+    logger.info("workspace-store", `Sync baseline of ${workspaceId} moved from localStorage to IndexedDB`);
+    return flat;
+}
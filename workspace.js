@@ -1,8 +1,17 @@
 import { logger, getCallerName } from "./logger.js";
 import { saveEmergencySnapshot, isReadOnlyDevice } from "./sync.js";
+import { isTombstoned } from "./tombstones.js";
+import { getActiveWorkspaceId } from "./workspaces.js";
+import { writeTree, readTree } from "./workspace-store.js";
+import { SCHEMA_VERSION, migrateTree, isNewerSchema } from "./schema.js";
+import { showNotification } from "./ui.js";
 
 let workspace = []
-const STORAGE_KEY = "kb_data";
+
+// Schema version of trees read from the store, until migrateWorkspace().
+// Any other tree is built by this code, so it is at SCHEMA_VERSION.
+const treeSchema = new WeakMap();
+let newerSchemaWarned = false;
 
 
 logger.debug("workspace","workspace.js loaded from:", import.meta.url);
@@ -25,7 +34,7 @@ export function setWorkspace(tree) {
     logger.debug("workspace", () => "Running setWorkspace(). CALLED BY: " + getCallerName("setWorkspace"));
     //logger.debug("workspace", "setWorkspace()");
 
-    logger.debug("workspace", "setWorkspace storing tree:", JSON.stringify(tree, null, 2));
+    logger.debug("workspace", () => "setWorkspace storing tree: " + JSON.stringify(tree, null, 2));
 
     if (!Array.isArray(tree)) {
         logger.error("workspace", "setWorkspace received non-array:", tree);
@@ -33,106 +42,134 @@ export function setWorkspace(tree) {
     }
 
     workspace = tree;
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(workspace));
+    persist(workspace);
+}
+
+// Schema version of the workspace in memory
+export function workspaceSchemaVersion() {
+    return treeSchema.get(workspace) ?? SCHEMA_VERSION;
 }
 
+// A tree written by a newer client is kept as it is (see schema.js)
+function persist(tree) {
+    const version = treeSchema.get(tree) ?? SCHEMA_VERSION;
 
-export function sortTree(nodes) {
-    logger.debug("workspace", () => "Running sortTree(). CALLED BY: " + getCallerName("sortTree"));
-    nodes.sort((a, b) =>
-        a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
-    );
+    if (isNewerSchema(version)) {
+        logger.warn("workspace", `Not storing the workspace — it has schema ${version}, this app knows ${SCHEMA_VERSION}`);
+        if (!newerSchemaWarned) {
+            newerSchemaWarned = true;
+            showNotification("warning", "This workspace was saved by a newer version of the app — reload the page to update. Changes made here are not kept.");
+        }
+        return Promise.resolve();
+    }
+
+    return writeTree(getActiveWorkspaceId(), tree, version);
+}
+
+
+// ------------------------------------------------------------
+// Sibling order
+//
+// The order of a folder's children is the order the sidebar shows them
+// in, and drag and drop changes it. Flat entries carry it as `order`: the
+// node's index among its siblings at each level from the root ([2, 0] is
+// the first child of the third top-level folder). __workspace.json keeps
+// each node's index as `order`, and a folder's `children` in tree order.
+// ------------------------------------------------------------
+function byName(a, b) {
+    return a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
+}
+
+// Sort every level by rank (Map node → index). Nodes without one — from a
+// workspace saved before order was kept — go after, by name.
+function orderTree(nodes, ranks) {
+    nodes.sort((a, b) => {
+        const ra = ranks.get(a);
+        const rb = ranks.get(b);
+        if (ra !== undefined && rb !== undefined) return ra - rb;
+        if (ra !== undefined || rb !== undefined) return ra !== undefined ? -1 : 1;
+        return byName(a, b);
+    });
 
     nodes.forEach(node => {
         if (node.type === "folder" && Array.isArray(node.children)) {
-            sortTree(node.children);
+            orderTree(node.children, ranks);
         }
     });
 }
 
+// A new node goes where name order would put it, without moving the others
+export function insertChild(siblings, node) {
+    const at = siblings.findIndex(sibling => byName(node, sibling) < 0);
+    siblings.splice(at === -1 ? siblings.length : at, 0, node);
+}
 
-function normalizeNode(node) {
-    logger.debug("workspace", () => "Running normalizeNode(). CALLED BY: " + getCallerName("normalizeNode"));
-    // Convert old "title" to new "name"
-    if (!node.name && node.title) {
-        node.name = node.title;
-    }
+// Is the node with id `ancestorId` this node, or one of its folders?
+export function isWithin(nodeList, id, ancestorId) {
+    const ancestor = findNodeById(nodeList, ancestorId);
+    return !!ancestor && (ancestor.id === id || (ancestor.type === "folder" && !!findNodeById(ancestor.children, id)));
+}
 
-    // Detect folder-like nodes
-    const looksLikeFolder =
-        Array.isArray(node.children) ||
-        Array.isArray(node.files) ||   // ← THIS IS THE IMPORTANT LINE
-        node.isOpen === true;
+// ------------------------------------------------------------
+// Move a node into a folder (null = top level) at index, keeping its id.
+// index counts the target's children without the node itself.
+// Returns false if the move isn't possible.
+// ------------------------------------------------------------
+export function moveNode(tree, nodeId, targetId, index) {
+    logger.debug("workspace", () => "Running moveNode(). CALLED BY: " + getCallerName("moveNode"));
 
-    // Fix type
-    if (looksLikeFolder) {
-        node.type = "folder";
-    } else {
-        node.type = "file";
-    }
+    const found = findNodeAndParent(tree, nodeId);
+    if (!found) return false;
 
-    // Ensure folder children
-    if (node.type === "folder") {
-        if (!Array.isArray(node.children)) {
-            node.children = [];
-        }
+    const target = targetId ? findNodeById(tree, targetId) : null;
+    if (targetId && target?.type !== "folder") return false;
+    if (targetId && isWithin(tree, targetId, nodeId)) return false;   // into itself
 
-        // Migrate old "files" array
-        if (Array.isArray(node.files)) {
-            node.files.forEach(f => {
-                node.children.push(normalizeNode({
-                    id: f.id,
-                    type: "file",
-                    name: f.title,
-                    content: f.content || ""
-                }));
-            });
-            delete node.files;
-        }
-    }
+    const from = found.parent ? found.parent.children : tree;
+    const to = target ? target.children : tree;
 
-    return node;
+    from.splice(from.indexOf(found.node), 1);
+    to.splice(Math.max(0, Math.min(index, to.length)), 0, found.node);
+    return true;
 }
 
 
-
+// Stored in IndexedDB (see workspace-store.js). Only the nodes that changed
+// are written; the returned promise resolves once they are.
 export function saveState() {
     logger.debug("workspace", () => "Running saveState(). CALLED BY: " + getCallerName("saveState"));
     const tree = getWorkspace();
 
     if (!Array.isArray(tree)) {
         logger.error("workspace", "saveState received non-array workspace:", tree);
-        return;
+        return Promise.resolve();
     }
 
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(tree));
+    return persist(tree);
 }
 
-export function loadState() {
+// → the stored workspace (a fresh copy), or null if none
+export async function loadState() {
     logger.debug("workspace", () => "Running loadState(). CALLED BY: " + getCallerName("loadState"));
-    const saved = localStorage.getItem(STORAGE_KEY);
-
-    if (!saved) {
-        logger.info("workspace: loadState", "No local workspace found");
-        return null;   // ← IMPORTANT
-    }
-
-    logger.debug("workspace: loadState", "Raw localStorage:", saved);
 
+    let stored;
     try {
-        const tree = JSON.parse(saved);
-
-        if (!Array.isArray(tree)) {
-            logger.error("workspace: loadState", "Invalid workspace format:", tree);
-            return null;   // ← IMPORTANT
+        stored = await readTree(getActiveWorkspaceId());
+    } catch (e) {
+        logger.error("workspace: loadState", "Failed to read workspace:", e);
+        if (e?.message === "IDB_BLOCKED") {
+            showNotification("error", "The workspace can't be opened while the app is open in an older tab — reload or close the app's other tabs, then reload this one");
         }
+        return null;   // ← IMPORTANT
+    }
 
-        return tree;   // ← DO NOT migrate or save here
-
-    } catch (e) {
-        logger.error("workspace: loadState", "Failed to parse workspace:", e);
+    if (!stored) {
+        logger.info("workspace: loadState", "No local workspace found");
         return null;   // ← IMPORTANT
     }
+
+    treeSchema.set(stored.tree, stored.schemaVersion);
+    return stored.tree;   // ← DO NOT migrate or save here
 }
 
 
@@ -150,6 +187,20 @@ export function findNodeById(nodeList, id) {
     return null;
 }
 
+// Raw "___"-joined path of a node (the form used in metadata), or null
+export function getNodePath(nodeList, id, prefix = "") {
+    for (const node of nodeList) {
+        const path = prefix ? `${prefix}___${node.name}` : node.name;
+        if (node.id === id) return path;
+
+        if (node.type === "folder") {
+            const found = getNodePath(node.children, id, path);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
 export function findNodeAndParent(nodeList, id, parent = null) {
     logger.debug("workspace", () => "Running findNodeAndParent(). CALLED BY: " + getCallerName("findNodeAndParent"));
     for (const node of nodeList) {
@@ -245,7 +296,7 @@ export function flattenWorkspace(tree) {
     logger.debug("workspace", () => "Running flattenWorkspace(). CALLED BY: " + getCallerName("flattenWorkspace"));
     const output = [];
 
-    function walk(nodes, pathParts) {
+    function walk(nodes, pathParts, orderParts) {
 
         // ------------------------------------------------------------
         // 1. Deterministically sort siblings before processing them.
@@ -275,7 +326,7 @@ export function flattenWorkspace(tree) {
                 // Recurse into folder children.
                 // We push the encoded folder name into the path.
                 // ------------------------------------------------------------
-                walk(node.children, [...pathParts, encoded]);
+                walk(node.children, [...pathParts, encoded], [...orderParts, nodes.indexOf(node)]);
 
             } else if (node.type === "file") {
 
@@ -297,19 +348,21 @@ export function flattenWorkspace(tree) {
                 const fullPath = [...pathParts, fileName].join("___");
 
                 // ------------------------------------------------------------
-                // 4. Push deterministic file entry.
+                // 4. Push deterministic file entry. order is its place in
+                //    the tree, which the sorting above doesn't change.
                 // ------------------------------------------------------------
                 output.push({
                     path: fullPath,
                     content: node.content || "",
-                    id: node.id
+                    id: node.id,
+                    order: [...orderParts, nodes.indexOf(node)]
                 });
             }
         }
     }
 
     // Start walking from the root
-    walk(tree, []);
+    walk(tree, [], []);
 
     // ------------------------------------------------------------
     // 5. Sort final output list by path.
@@ -324,6 +377,63 @@ export function flattenWorkspace(tree) {
     return output;
 }
 
+// Folder entries in the same encoded-path format as flattenWorkspace().
+// flattenWorkspace() only emits files; the three-way merge also needs folders
+// so that empty folders and folder deletions survive a merge.
+export function flattenFolders(tree) {
+    logger.debug("workspace", () => "Running flattenFolders(). CALLED BY: " + getCallerName("flattenFolders"));
+    const output = [];
+
+    function walk(nodes, pathParts, orderParts) {
+        nodes.forEach((node, index) => {
+            if (node.type !== "folder") return;
+
+            const parts = [...pathParts, encodeName(node.name)];
+            const order = [...orderParts, index];
+            output.push({
+                path: parts.join("___"),
+                content: null,
+                id: node.id,
+                order
+            });
+
+            walk(node.children || [], parts, order);
+        });
+    }
+
+    walk(Array.isArray(tree) ? tree : [], [], []);
+
+    output.sort((a, b) => a.path.localeCompare(b.path));
+    return output;
+}
+
+// Entries of a flat list at or under the node with this id, with paths made
+// relative to the node's parent (so the node's own name comes first).
+// [] if the node isn't in the list.
+export function flatSubtree(flat, rootId) {
+    const root = (flat || []).find(e => e.id === rootId);
+    if (!root) return [];
+
+    const cut = root.path.lastIndexOf("___");
+    const parentLength = cut === -1 ? 0 : cut + 3;
+    const under = root.path + "___";
+
+    return flat
+        .filter(e => e.path === root.path || e.path.startsWith(under))
+        .map(e => ({ ...e, path: e.path.slice(parentLength) }));
+}
+
+// Raw metadata path ("_App___Bugs.md") → encoded flat path ("__UNDERSCORE__App___Bugs.md")
+// Like encodePath(), plus the extension rule flattenWorkspace() applies to files
+export function encodeFilePath(rawPath) {
+    const path = encodePath(rawPath);
+    return path.endsWith(".md") || path.endsWith(".puml") ? path : path + ".md";
+}
+
+export function encodePath(rawPath) {
+    return rawPath.split("___").map(encodeName).join("___");
+}
+
 export function inflateWorkspace(flatList) {
     logger.debug("workspace", () => "Running inflateWorkspace().  CALLED BY: " + getCallerName("inflateWorkspace"));
     logger.debug("workspace", "inflateWorkspace input:", flatList);
@@ -338,6 +448,8 @@ export function inflateWorkspace(flatList) {
 
     // Map from path → node for quick lookup
     const pathMap = new Map();
+    // node → index among its siblings, from the first entry that gives one
+    const ranks = new Map();
 
     for (const entry of flatList) {
         if (!entry || !entry.path) continue;
@@ -391,6 +503,10 @@ export function inflateWorkspace(flatList) {
                 pathMap.set(currentPath, node);
             }
 
+            if (!ranks.has(node) && Array.isArray(entry.order) && entry.order.length === parts.length) {
+                ranks.set(node, entry.order[i]);
+            }
+
             logger.debug("workspace: inflateWorkspace", "inflate: created node", {
                 name: node.name,
                 type: node.type,
@@ -406,6 +522,7 @@ export function inflateWorkspace(flatList) {
         }
     }
 
+    orderTree(root, ranks);
     return root;
 }
 
@@ -603,6 +720,12 @@ export function mergeWorkspace(localTree, cloudFlat, cloudMetadata) {
             logIdAnomaly("cloudLoop:undefined-id", flatKey, cloudEntry, meta, local);
         }        
 
+        // Deleted on some device after this copy was saved → keep it gone
+        if (isTombstoned(id, parts.map(decodeName).join("___"))) {
+            logger.debug("workspace: mergeWorkspace", "Skipping tombstoned cloud entry:", flatKey);
+            continue;
+        }
+
         mergedMap[flatKey] = {
             id,
             type: isFile ? "file" : "folder",
@@ -621,6 +744,12 @@ export function mergeWorkspace(localTree, cloudFlat, cloudMetadata) {
         const node = localMap[path];
         const parts = path.split("___");
 
+        // Deleted or renamed on another device → don't bring the old copy back
+        if (isTombstoned(node.id, path, ancestorPath => localMap[ancestorPath]?.id)) {
+            logger.debug("workspace: mergeWorkspace", "Skipping tombstoned local node:", path);
+            continue;
+        }
+
         // Ensure parents exist
         for (let i = 1; i < parts.length; i++) {
             const parentPath = parts.slice(0, i).join("___");
@@ -640,6 +769,19 @@ export function mergeWorkspace(localTree, cloudFlat, cloudMetadata) {
     const root = [];
     const mergedPaths = Object.keys(mergedMap).sort();
 
+    // Sibling order from the cloud, by path (local-only nodes have none)
+    const rankByPath = new Map();
+    for (const entry of cloudFlat) {
+        if (!Array.isArray(entry.order)) continue;
+        const parts = entry.path.split("___");
+        if (entry.order.length !== parts.length) continue;
+        parts.forEach((part, i) => {
+            const prefix = parts.slice(0, i + 1).join("___");
+            if (!rankByPath.has(prefix)) rankByPath.set(prefix, entry.order[i]);
+        });
+    }
+    const ranks = new Map();
+
     for (const path of mergedPaths) {
         const parts = path.split("___");
         let current = root;
@@ -669,6 +811,7 @@ export function mergeWorkspace(localTree, cloudFlat, cloudMetadata) {
                     children: []
                 };
                 current.push(existing);
+                if (rankByPath.has(fullPath)) ranks.set(existing, rankByPath.get(fullPath));
             }
 
             if (!isFile) {
@@ -677,36 +820,12 @@ export function mergeWorkspace(localTree, cloudFlat, cloudMetadata) {
         }
     }
 
-    // --- 4. Sort children: folders first, then files, by name ---
-    function sortTree(nodes) {
-        logger.debug("workspace", () => "Running sortTree(). CALLED BY: " + getCallerName("sortTree"));
-        nodes.sort((a, b) => {
-            if (a.type !== b.type) {
-                return a.type === "folder" ? -1 : 1;
-            }
-            return a.name.localeCompare(b.name);
-        });
-        for (const n of nodes) {
-            if (n.children && n.children.length > 0) {
-                sortTree(n.children);
-            }
-        }
-    }
-
-    sortTree(root);
+    // --- 4. Cloud order; local-only nodes after, by name ---
+    orderTree(root, ranks);
 
     return root;
 }
 
-// Detect old format: array of { title, files }
-function looksLikeOldFormat(data) {
-    logger.debug("workspace", () => "Running looksLikeOldFormat(). CALLED BY: " + getCallerName("looksLikeOldFormat"));
-    return Array.isArray(data) &&
-           data.length > 0 &&
-           data[0].title &&
-           Array.isArray(data[0].files);
-}
-
 export function createNewID(context = "unspecified") {
     logger.debug("workspace", () => "Running createNewID(). CALLED BY: " + getCallerName("createNewID"));
     const id = crypto.randomUUID();
@@ -734,53 +853,15 @@ tags	✔	❌	Workspace tree → Gist	Future feature
 template	✔	❌	Workspace tree → Gist	Future feature
 pathCache	✔	❌	Workspace tree (local only)	Internal linking helper
 path	❌	✔	Metadata	Full path used as metadata key
+order	❌	✔	Metadata	Index among siblings (sidebar order)
 
 */
 
-function migrateNode(node) {
-    logger.debug("workspace", () => "Running migrateNode(). CALLED BY: " + getCallerName("migrateNode"));
-    logger.debug("workspace", "migrateNode BEFORE", {
-        name: node.name,
-        type: node.type,
-        id: node.id
-    });
-   
-    // Internal linking
-    if (!("pathCache" in node)) node.pathCache = null;
-
-    // Public sharing
-    if (!("isPublic" in node)) node.isPublic = false;
-    if (!("publicId" in node)) node.publicId = null;
-    if (!("publicAt" in node)) node.publicAt = null;
-    //if (!("updatedAt" in node)) node.updatedAt = null;
-
-    // Future features
-    /*
-    if (node.type === "file") {
-        if (!("backlinks" in node)) node.backlinks = [];
-        if (!("tags" in node)) node.tags = [];
-        if (!("template" in node)) node.template = false;
-    }
-    */
-   
-    // Folder-specific
-    if (node.type === "folder") {
-        if (!Array.isArray(node.children)) node.children = [];
-        node.children.forEach(migrateNode);
-    }
-
-    logger.debug("workspace", "migrateNode AFTER", {
-        name: node.name,
-        type: node.type,
-        id: node.id
-    });
-
-}
-
+// Brings a tree to the current schema (see schema.js). Trees of unknown
+// age — from the cloud, an import — are migrated from version 0.
 export function migrateWorkspace(workspace) {
     logger.debug("workspace", () => "migrateWorkspace(). CALLED BY: " + getCallerName("migrateWorkspace"));
-    logger.debug("workspace", "migrateWorkspace(). Calls migrateNode() for each workspace tree node.");
-    workspace.forEach(migrateNode);
+    treeSchema.set(workspace, migrateTree(workspace, treeSchema.get(workspace) ?? 0));
     return workspace;   // ← THIS WAS MISSING
 }
 
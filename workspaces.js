@@ -0,0 +1,90 @@
+// workspaces.js
+// Several named workspaces on one device (e.g. BIAN service domains,
+// internal architecture, personal notes).
+//
+// Each workspace keeps its own localStorage namespace — its gist binding
+// and storage choice, sync state and tombstones — through scopedKey(). The
+// default workspace uses the plain keys (lastSyncedHash…), so data from
+// before there were workspaces simply is the default workspace. Others use
+// "ws:<id>:<key>". The tree itself is in IndexedDB, by workspace id
+// (workspace-store.js).
+//
+// The active workspace is per tab (sessionStorage); localStorage remembers
+// the last one used so a new tab opens where you left off.
+
+import { logger } from "./logger.js";
+
+logger.debug("workspaces", "workspaces.js loaded from:", import.meta.url);
+
+export const DEFAULT_WORKSPACE_ID = "default";
+export const DEFAULT_WORKSPACE_NAME = "Knowledgebase";
+
+const REGISTRY_KEY = "kb_workspaces";          // [workspace ids], besides default
+const ACTIVE_KEY = "kb_active_workspace";
+const NAME_KEY = "kb_workspace_name";          // scoped — see workspace-metadata.js
+
+let activeId = readActiveId();
+
+function readActiveId() {
+    const id = sessionStorage.getItem(ACTIVE_KEY) || localStorage.getItem(ACTIVE_KEY);
+    return id && (id === DEFAULT_WORKSPACE_ID || readRegistry().includes(id)) ? id : DEFAULT_WORKSPACE_ID;
+}
+
+function readRegistry() {
+    try {
+        const ids = JSON.parse(localStorage.getItem(REGISTRY_KEY) || "[]");
+        return Array.isArray(ids) ? ids.filter(id => typeof id === "string") : [];
+    } catch (err) {
+        logger.error("workspaces", "Failed to parse workspace registry", err);
+        return [];
+    }
+}
+
+// localStorage key of `key` in workspace `id`
+export function keyFor(id, key) {
+    return id === DEFAULT_WORKSPACE_ID ? key : `ws:${id}:${key}`;
+}
+
+// localStorage key of `key` in the active workspace
+export function scopedKey(key) {
+    return keyFor(activeId, key);
+}
+
+export function getActiveWorkspaceId() {
+    return activeId;
+}
+
+export function setActiveWorkspaceId(id) {
+    if (id !== DEFAULT_WORKSPACE_ID && !readRegistry().includes(id)) {
+        logger.error("workspaces", `Unknown workspace: ${id}`);
+        return false;
+    }
+
+    activeId = id;
+    sessionStorage.setItem(ACTIVE_KEY, id);
+    localStorage.setItem(ACTIVE_KEY, id);
+    logger.info("workspaces", `Active workspace → ${id}`);
+    return true;
+}
+
+// [{ id, name }] — default first, then in creation order
+export function listWorkspaces() {
+    return [DEFAULT_WORKSPACE_ID, ...readRegistry()].map(id => ({
+        id,
+        name: localStorage.getItem(keyFor(id, NAME_KEY)) || (id === DEFAULT_WORKSPACE_ID ? DEFAULT_WORKSPACE_NAME : "Untitled workspace")
+    }));
+}
+
+// New, empty workspace → its id (not switched to)
+export function addWorkspace(name) {
+    const id = crypto.randomUUID().slice(0, 8);
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify([...readRegistry(), id]));
+    localStorage.setItem(keyFor(id, NAME_KEY), name);
+    logger.info("workspaces", `Added workspace ${id} (${name})`);
+    return id;
+}
+
+// The workspace (other than the active one) whose stored value of `key` is `value`
+export function findWorkspaceBy(key, value) {
+    return listWorkspaces().find(ws => ws.id !== activeId && localStorage.getItem(keyFor(ws.id, key)) === value) || null;
+}